@@ -0,0 +1,299 @@
+/**
+ * @file aiPlayer.js
+ * @description Adversário controlado pelo computador, calculado no navegador do
+ * Jogador 1 nas salas `?opponent=computer`. A partir das bolas e da geometria da
+ * mesa, enumera as linhas bola branca → bola alvo → caçapa, descarta as obstruídas,
+ * pontua as demais pelo ângulo de corte e pela distância e envia a melhor como uma
+ * tacada comum (`computer_strike`), com um erro de mira e de força que depende do
+ * nível. A vez e as bolas válidas vêm do estado das regras (`Rules.EightBall` ou
+ * `Rules.Snooker`).
+ * Com bola na mão, o computador primeiro escolhe onde recolocar a branca e, se o
+ * servidor recusar a posição, tenta a seguinte.
+ */
+
+import { placementError, placementZone } from './ballInHand';
+
+// A velocidade decai exponencialmente no tempo, ou seja, linearmente na distância:
+// uma bola lançada a `v` percorre `v / speedLossPerUnit(table)` antes de parar. O
+// atrito (`friction`) vem na especificação da mesa, a mesma usada pelo servidor.
+const speedLossPerUnit = table => -Math.log(1 - table.friction);
+
+const COMPUTER_SEAT = 'player2';
+const MAX_FORCE = 1000; // Mesma força máxima do taco do jogador
+const POCKET_ENTRY_SPEED = 120; // Folga para a bola alvo não parar na boca da caçapa
+const BREAK_FORCE = MAX_FORCE;
+const SAFETY_EXTRA_DISTANCE = 250;
+const PLACEMENT_GRID_STEP = 40;
+const PLACEMENT_RANDOM_TRIES = 200;
+
+export const AI_LEVELS = {
+  easy: { aimError: 0.035, powerError: 0.3, maxCutDegrees: 60, thinkMs: 1500 },
+  medium: { aimError: 0.012, powerError: 0.15, maxCutDegrees: 70, thinkMs: 1000 },
+  hard: { aimError: 0.003, powerError: 0.05, maxCutDegrees: 80, thinkMs: 700 }
+};
+
+// --- Geometria ---
+
+const sub = ([ax, ay], [bx, by]) => [ax - bx, ay - by];
+const length = ([x, y]) => Math.sqrt(x * x + y * y);
+const normalize = v => {
+  const len = length(v);
+  return len === 0 ? [0, 0] : [v[0] / len, v[1] / len];
+};
+const dot = ([ax, ay], [bx, by]) => ax * bx + ay * by;
+
+/** Distância do ponto `p` ao segmento `a`–`b` */
+function distanceToSegment(p, a, b) {
+  const ab = sub(b, a);
+  const lengthSquared = dot(ab, ab);
+  const t = lengthSquared === 0 ? 0 : Math.min(Math.max(dot(sub(p, a), ab) / lengthSquared, 0), 1);
+  return length(sub(p, [a[0] + ab[0] * t, a[1] + ab[1] * t]));
+}
+
+/** Alguma bola, fora as ignoradas, fica no caminho de uma bola de `a` até `b`? */
+function pathBlocked(balls, a, b, ignored, radius) {
+  return balls.some(ball => !ignored.includes(ball) && distanceToSegment(ball.pos, a, b) < radius * 2);
+}
+
+// Ruído gaussiano (Box-Muller) a partir do gerador uniforme `random`
+function gaussian(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// --- Escolha da tacada ---
+
+/**
+ * Bolas em que `player` pode mirar: na quebra e com a mesa aberta, qualquer uma
+ * menos a 8; depois, as do seu naipe, e a 8 quando o naipe acabou. Na sinuca, as
+ * bolas da vez (vermelhas, qualquer colorida ou a próxima da sequência) ou, com
+ * bola livre, qualquer uma.
+ */
+export function legalTargets(balls, gameState, player) {
+  const objectBalls = balls.filter(ball => ball.color.type !== 'cue');
+  if (gameState?.game === 'snooker') return snookerTargets(objectBalls, gameState);
+
+  const suit = gameState?.ball_assignments?.[player];
+  if (!suit) return objectBalls.filter(ball => ball.color.number !== 8);
+
+  const own = objectBalls.filter(ball => ball.color.number !== 8 && ball.color.type === suit);
+  return own.length > 0 ? own : objectBalls.filter(ball => ball.color.number === 8);
+}
+
+function snookerTargets(objectBalls, { ball_on: ballOn, free_ball: freeBall }) {
+  if (freeBall) return objectBalls;
+  if (ballOn === 'red') return objectBalls.filter(ball => ball.color.type === 'red');
+  if (ballOn === 'colour') return objectBalls.filter(ball => ball.color.type === 'colour');
+  return objectBalls.filter(ball => ball.color.name === ballOn);
+}
+
+/**
+ * Enumera as tacadas diretas possíveis (sem obstruções e com corte aceitável),
+ * da melhor para a pior. Cada uma traz a direção e a velocidade ideais da branca.
+ */
+export function candidateShots(cue, targets, balls, table, maxCutDegrees) {
+  const radius = table.ball_radius;
+  const speedLoss = speedLossPerUnit(table);
+  const minCutCos = Math.cos((maxCutDegrees * Math.PI) / 180);
+  const shots = [];
+
+  for (const target of targets) {
+    for (const pocket of table.pockets) {
+      const toPocket = sub(pocket.pos, target.pos);
+      const pocketDirection = normalize(toPocket);
+      // Ponto onde a branca deve estar no contato ("bola fantasma")
+      const ghost = [target.pos[0] - pocketDirection[0] * radius * 2, target.pos[1] - pocketDirection[1] * radius * 2];
+      const toGhost = sub(ghost, cue.pos);
+      const cutCos = dot(normalize(toGhost), pocketDirection);
+      if (cutCos < minCutCos) continue;
+
+      if (pathBlocked(balls, cue.pos, ghost, [cue, target], radius)) continue;
+      if (pathBlocked(balls, target.pos, pocket.pos, [cue, target], radius)) continue;
+
+      // Nas caçapas do meio, a bola precisa chegar de frente para a boca
+      const entry = pocket.kind === 'middle' ? Math.abs(pocketDirection[1]) : 1;
+      if (entry < 0.35) continue;
+
+      const cueDistance = length(toGhost);
+      const objectDistance = length(toPocket);
+      const objectSpeed = objectDistance * speedLoss + POCKET_ENTRY_SPEED;
+      const speed = objectSpeed / cutCos + cueDistance * speedLoss;
+      const score = (cutCos * cutCos * entry) / (1 + (cueDistance + objectDistance) / table.width);
+
+      shots.push({ target, pocket, direction: normalize(toGhost), speed, score });
+    }
+  }
+
+  return shots.sort((a, b) => b.score - a.score);
+}
+
+// Sem tacada para caçapa: toca a bola válida com o caminho livre mais próxima
+function safetyShot(cue, targets, balls, table) {
+  const reachable = targets
+    .filter(target => !pathBlocked(balls, cue.pos, target.pos, [cue, target], table.ball_radius))
+    .sort((a, b) => length(sub(a.pos, cue.pos)) - length(sub(b.pos, cue.pos)));
+  const target = reachable[0] || targets[0];
+  if (!target) return null;
+
+  const toTarget = sub(target.pos, cue.pos);
+  const speed = (length(toTarget) + SAFETY_EXTRA_DISTANCE) * speedLossPerUnit(table);
+  return { target, pocket: null, direction: normalize(toTarget), speed, score: 0 };
+}
+
+// Nenhuma bola válida alcançável (ex: estado das regras defasado): toca qualquer
+// bola ou, sem nenhuma, taca numa direção qualquer, para a vez nunca travar
+function fallbackShot(cue, balls, table, random) {
+  const shot = safetyShot(cue, balls.filter(ball => ball !== cue), balls, table);
+  if (shot) return shot;
+
+  const angle = random() * 2 * Math.PI;
+  const speed = SAFETY_EXTRA_DISTANCE * speedLossPerUnit(table);
+  return { target: null, pocket: null, direction: [Math.cos(angle), Math.sin(angle)], speed, score: 0 };
+}
+
+/**
+ * Planeja a tacada de `player` no nível `levelName`. Retorna a força no formato
+ * de `apply_force` (a mesma escala do taco do jogador) e a tacada escolhida, ou
+ * `null` se a bola branca não está na mesa. `forceScale` é o fator que o servidor
+ * aplica a essa força, recebido no `initial_state`.
+ */
+export function planShot({ particles, table, gameState, forceScale, player = COMPUTER_SEAT, levelName = 'medium', random = Math.random }) {
+  const level = AI_LEVELS[levelName] || AI_LEVELS.medium;
+  const balls = Array.from(particles.values());
+  const cue = balls.find(ball => ball.color.type === 'cue');
+  if (!cue || !table) return null;
+
+  const targets = legalTargets(balls, gameState, player);
+  let shot;
+  let force;
+
+  if (gameState?.game_phase === 'break') {
+    // Quebra: força máxima na bola mais próxima. Só vale na primeira tacada do rack:
+    // `Rules.EightBall` abre a mesa depois dela, mesmo sem bola encaçapada
+    shot = safetyShot(cue, targets, balls, table) || fallbackShot(cue, balls, table, random);
+    force = BREAK_FORCE;
+  } else {
+    shot = candidateShots(cue, targets, balls, table, level.maxCutDegrees)[0] ||
+      safetyShot(cue, targets, balls, table) ||
+      fallbackShot(cue, balls, table, random);
+    force = shot.speed / forceScale;
+  }
+
+  const angle = Math.atan2(shot.direction[1], shot.direction[0]) + gaussian(random) * level.aimError;
+  force = Math.min(Math.max(force * (1 + gaussian(random) * level.powerError), 1), MAX_FORCE);
+
+  return {
+    force: { x: Math.cos(angle) * force, y: Math.sin(angle) * force },
+    spin: { x: 0, y: 0 },
+    shot
+  };
+}
+
+/**
+ * Lista onde recolocar a branca com bola na mão, da melhor para a pior posição:
+ * percorre a zona permitida em grade e pontua cada posição válida pela melhor
+ * tacada que ela oferece. Se nenhum ponto da grade serve (ex: o D cheio de bolas),
+ * sorteia posições válidas na zona.
+ */
+export function rankPlacements({ particles, table, gameState, player = COMPUTER_SEAT, levelName = 'medium', random = Math.random }) {
+  const level = AI_LEVELS[levelName] || AI_LEVELS.medium;
+  const zone = gameState.ball_in_hand;
+  const rect = placementZone(table, zone);
+  const balls = Array.from(particles.values()).filter(ball => ball.color.type !== 'cue');
+  const targets = legalTargets(balls, gameState, player);
+  const valid = pos => !placementError(table, zone, particles, pos);
+
+  let positions = [];
+  for (let x = rect.x0; x <= rect.x1; x += PLACEMENT_GRID_STEP) {
+    for (let y = rect.y0; y <= rect.y1; y += PLACEMENT_GRID_STEP) {
+      if (valid({ x, y })) positions.push({ x, y });
+    }
+  }
+  if (positions.length === 0) {
+    positions = Array.from({ length: PLACEMENT_RANDOM_TRIES }, () => ({
+      x: rect.x0 + random() * (rect.x1 - rect.x0),
+      y: rect.y0 + random() * (rect.y1 - rect.y0)
+    })).filter(valid);
+  }
+
+  return positions
+    .map(pos => {
+      const cue = { pos: [pos.x, pos.y], color: { type: 'cue' } };
+      const [shot] = candidateShots(cue, targets, [cue, ...balls], table, level.maxCutDegrees);
+      return { pos, score: shot ? shot.score : -1 };
+    })
+    .sort((a, b) => b.score - a.score)
+    .map(({ pos }) => pos);
+}
+
+// --- Integração com o hook ---
+
+/** É a vez do computador, e este navegador é quem joga por ele? */
+function isComputerTurn(hook) {
+  const gameState = hook.hud.gameState;
+  return hook.settings.opponent === 'computer' &&
+    hook.role === 'player1' &&
+    gameState && !gameState.winner &&
+    gameState.current_turn === COMPUTER_SEAT &&
+    !hook.shotInProgress;
+}
+
+/**
+ * Agenda a jogada do computador quando chega a sua vez. Chamado a cada novo
+ * estado das regras; a espera dá ao jogador tempo de ver a mesa parada.
+ */
+export function scheduleComputerTurn(hook) {
+  if (hook.computerTimer || !isComputerTurn(hook)) return;
+
+  const levelName = hook.settings.ai_level;
+  const level = AI_LEVELS[levelName] || AI_LEVELS.medium;
+  hook.computerTimer = setTimeout(() => {
+    hook.computerTimer = null;
+    if (!isComputerTurn(hook)) return;
+
+    const { gameState } = hook.hud;
+    if (gameState.ball_in_hand) {
+      hook.computerPlacements = rankPlacements({ particles: hook.particles, table: hook.table, gameState, levelName });
+      placeNextCueBall(hook);
+      return;
+    }
+
+    const plan = planShot({ particles: hook.particles, table: hook.table, gameState, forceScale: hook.forceScale, levelName });
+    if (!plan) return;
+    hook.pushEvent("computer_strike", { ...plan.force, spin: plan.spin });
+    hook.shotInProgress = true;
+  }, level.thinkMs);
+}
+
+// Envia a próxima posição ainda não tentada; sem nenhuma, a jogada é reagendada
+function placeNextCueBall(hook) {
+  const pos = hook.computerPlacements.shift();
+  if (pos) {
+    hook.pushEvent("computer_place_cue_ball", pos);
+  } else {
+    hook.computerPlacements = null;
+    scheduleComputerTurn(hook);
+  }
+}
+
+/**
+ * O servidor recusou a posição da branca: se era do computador, tenta a próxima
+ * da lista e retorna `true`.
+ */
+export function retryComputerPlacement(hook) {
+  if (!hook.computerPlacements) return false;
+  if (!isComputerTurn(hook) || !hook.hud.gameState.ball_in_hand) {
+    hook.computerPlacements = null;
+    return false;
+  }
+
+  placeNextCueBall(hook);
+  return true;
+}
+
+export function cancelComputerTurn(hook) {
+  clearTimeout(hook.computerTimer);
+  hook.computerTimer = null;
+  hook.computerPlacements = null;
+}
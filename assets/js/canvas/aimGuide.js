@@ -0,0 +1,109 @@
+/**
+ * @file aimGuide.js
+ * @description Previsão de trajetória para a mira assistida (bola fantasma).
+ * Usa a especificação da mesa (`table_spec`), a mesma do CollisionEngine:
+ * uma bola é encaçapada quando seu centro entra no raio da caçapa, e o centro nunca
+ * ultrapassa `world_bounds` recuado de um raio.
+ */
+
+/** Menor t >= 0 em que o raio `origin + dir * t` fica a `distance` de `center` */
+function rayCircleHit(origin, dir, center, distance) {
+    const fx = origin.x - center.x;
+    const fy = origin.y - center.y;
+    const b = fx * dir.x + fy * dir.y;
+    const c = fx * fx + fy * fy - distance * distance;
+    const discriminant = b * b - c;
+    if (discriminant < 0) return null;
+    const t = -b - Math.sqrt(discriminant);
+    return t >= 0 ? t : null;
+}
+
+/** Primeira tabela atingida pelo centro da bola, com a normal da tabela */
+function rayCushionHit(origin, dir, radius, bounds) {
+    const minX = bounds.x + radius, maxX = bounds.x + bounds.w - radius;
+    const minY = bounds.y + radius, maxY = bounds.y + bounds.h - radius;
+    let t = Infinity, normal = null;
+
+    if (dir.x > 0 && (maxX - origin.x) / dir.x < t) { t = (maxX - origin.x) / dir.x; normal = { x: -1, y: 0 }; }
+    if (dir.x < 0 && (minX - origin.x) / dir.x < t) { t = (minX - origin.x) / dir.x; normal = { x: 1, y: 0 }; }
+    if (dir.y > 0 && (maxY - origin.y) / dir.y < t) { t = (maxY - origin.y) / dir.y; normal = { x: 0, y: -1 }; }
+    if (dir.y < 0 && (minY - origin.y) / dir.y < t) { t = (minY - origin.y) / dir.y; normal = { x: 0, y: 1 }; }
+
+    return { t: Math.max(t, 0), normal };
+}
+
+/**
+ * Traça a bola a partir de `origin` na direção `dir` até tocar outra bola, cair numa
+ * caçapa ou esgotar as tabelas permitidas (`maxBounces`).
+ * Retorna os pontos do caminho e o evento final: 'ball', 'pocket' ou 'cushion'.
+ */
+export function traceBall(origin, dir, radius, obstacles, table, maxBounces = 0) {
+    const points = [origin];
+    let position = origin;
+    let direction = dir;
+
+    for (let bounce = 0; ; bounce++) {
+        let event = { type: 'cushion', t: Infinity };
+
+        for (const ball of obstacles) {
+            const [bx, by] = ball.pos;
+            const t = rayCircleHit(position, direction, { x: bx, y: by }, radius + ball.radius);
+            if (t !== null && t < event.t) event = { type: 'ball', t, ball };
+        }
+        for (const { pos: [px, py], radius: pocketRadius } of table.pockets) {
+            const t = rayCircleHit(position, direction, { x: px, y: py }, pocketRadius);
+            if (t !== null && t < event.t) event = { type: 'pocket', t };
+        }
+        const cushion = rayCushionHit(position, direction, radius, table.world_bounds);
+        if (cushion.t < event.t) event = { type: 'cushion', t: cushion.t, normal: cushion.normal };
+
+        const end = { x: position.x + direction.x * event.t, y: position.y + direction.y * event.t };
+        points.push(end);
+
+        if (event.type !== 'cushion' || bounce >= maxBounces || !event.normal) {
+            return { points, event: { ...event, position: end, direction } };
+        }
+
+        // Reflexão especular na tabela
+        const dot = direction.x * event.normal.x + direction.y * event.normal.y;
+        direction = { x: direction.x - 2 * dot * event.normal.x, y: direction.y - 2 * dot * event.normal.y };
+        position = end;
+    }
+}
+
+/**
+ * Prevê a tacada: caminho da bola branca, bola fantasma no ponto de contato, direção
+ * da bola objeto e tangente de desvio da branca (tacada sem efeito).
+ */
+export function predictShot(cueBall, dir, particles, table, { maxBounces = 1 } = {}) {
+    const origin = { x: cueBall.pos[0], y: cueBall.pos[1] };
+    const others = Array.from(particles.values()).filter(p => p.id !== cueBall.id);
+    const cuePath = traceBall(origin, dir, cueBall.radius, others, table, maxBounces);
+    const prediction = { cuePath, ghost: null, target: null, objectPath: null, deflection: null };
+
+    if (cuePath.event.type !== 'ball') return prediction;
+
+    const ghost = cuePath.event.position;
+    const target = cuePath.event.ball;
+    const incoming = cuePath.event.direction;
+    const nx = target.pos[0] - ghost.x, ny = target.pos[1] - ghost.y;
+    const nLen = Math.sqrt(nx * nx + ny * ny) || 1;
+    const normal = { x: nx / nLen, y: ny / nLen };
+
+    const objectObstacles = others.filter(p => p.id !== target.id);
+    prediction.ghost = ghost;
+    prediction.target = target;
+    prediction.objectPath = traceBall(
+        { x: target.pos[0], y: target.pos[1] }, normal, target.radius, objectObstacles, table, 0
+    );
+
+    // A branca segue pela tangente ao ponto de contato, com velocidade proporcional ao seno do corte.
+    const along = incoming.x * normal.x + incoming.y * normal.y;
+    const tx = incoming.x - along * normal.x, ty = incoming.y - along * normal.y;
+    const strength = Math.sqrt(tx * tx + ty * ty);
+    if (strength > 0.01) {
+        prediction.deflection = { x: tx / strength, y: ty / strength, strength };
+    }
+
+    return prediction;
+}
@@ -0,0 +1,110 @@
+/**
+ * @file ballInHand.js
+ * @description Posicionamento da bola branca com "bola na mão", depois de uma falta
+ * com a branca encaçapada. O jogador da vez arrasta a bola pela zona permitida (a
+ * mesa inteira, atrás da linha de cabeceira após falta na quebra, ou o D da sinuca)
+ * e solta para confirmar. A validação espelha `SnookerGameEx.Core.CuePlacement`, mas quem decide
+ * é o servidor.
+ */
+
+export const PLACEMENT_ERROR_LABELS = {
+  out_of_bounds: 'Fora da mesa',
+  outside_kitchen: 'Só atrás da linha de cabeceira',
+  outside_d: 'Só dentro do D',
+  in_pocket: 'Sobre a caçapa',
+  overlapping: 'Encostada em outra bola'
+};
+
+/**
+ * Retângulo onde o centro da branca pode ficar, na zona `zone` (`table`, `kitchen`
+ * ou `d`; para o D, o retângulo que o contém)
+ */
+export function placementZone(table, zone) {
+  const { world_bounds: bounds, ball_radius: radius } = table;
+  const rect = { x0: bounds.x + radius, y0: bounds.y + radius, x1: bounds.x + bounds.w - radius, y1: bounds.y + bounds.h - radius };
+
+  if (zone === 'kitchen') {
+    const headString = table.lines.find(line => line.name === 'head_string');
+    if (headString) rect.x1 = Math.min(rect.x1, headString.from[0]);
+  }
+  const d = zone === 'd' && findD(table);
+  if (d) {
+    const [cx, cy] = d.center;
+    rect.x0 = Math.max(rect.x0, cx - d.radius);
+    rect.x1 = Math.min(rect.x1, cx);
+    rect.y0 = Math.max(rect.y0, cy - d.radius);
+    rect.y1 = Math.min(rect.y1, cy + d.radius);
+  }
+  return rect;
+}
+
+/** Onde sugerir a branca antes do primeiro clique: dentro do D ou no ponto de cabeceira */
+export function placementHint(table, zone) {
+  const d = zone === 'd' && findD(table);
+  if (d) return { x: d.center[0] - d.radius / 2, y: d.center[1] };
+
+  const headSpot = table.spots.find(spot => spot.name === 'head_spot');
+  return headSpot ? { x: headSpot.pos[0], y: headSpot.pos[1] } : null;
+}
+
+/** O D da sinuca (o semicírculo atrás da linha de baulk), se a mesa o tem */
+export function findD(table) {
+  return (table.arcs || []).find(arc => arc.name === 'd') || null;
+}
+
+/** Motivo pelo qual a branca não pode ficar em `pos`, ou `null` se pode */
+export function placementError(table, zone, particles, { x, y }) {
+  const rect = placementZone(table, 'table');
+  if (x < rect.x0 || x > rect.x1 || y < rect.y0 || y > rect.y1) return 'out_of_bounds';
+  if (zone === 'kitchen' && x > placementZone(table, 'kitchen').x1) return 'outside_kitchen';
+  const d = zone === 'd' && findD(table);
+  if (d && (x > d.center[0] || Math.hypot(x - d.center[0], y - d.center[1]) > d.radius)) return 'outside_d';
+
+  const distance = ([px, py]) => Math.sqrt((px - x) ** 2 + (py - y) ** 2);
+  if (table.pockets.some(pocket => distance(pocket.pos) < pocket.radius)) return 'in_pocket';
+
+  for (const particle of particles.values()) {
+    if (particle.color.type !== 'cue' && distance(particle.pos) < table.ball_radius * 2) return 'overlapping';
+  }
+  return null;
+}
+
+/** O jogador local está com bola na mão? */
+export function isPlacingCueBall(hook) {
+  const gameState = hook.hud.gameState;
+  return !!gameState?.ball_in_hand &&
+    !gameState.winner &&
+    gameState.current_turn === hook.role &&
+    !hook.replay.playback &&
+    !Array.from(hook.particles.values()).some(p => p.color.type === 'cue');
+}
+
+/** Começa a arrastar a branca; retorna `false` se o jogador não está com bola na mão */
+export function startPlacement(hook, worldPos) {
+  if (!hook.table || hook.placement.pending || !isPlacingCueBall(hook)) return false;
+  hook.placement.dragging = true;
+  hook.placement.pos = worldPos;
+  return true;
+}
+
+export function movePlacement(placement, worldPos) {
+  if (placement.dragging) placement.pos = worldPos;
+}
+
+/** Solta a branca: numa posição válida, pede ao servidor para recolocá-la */
+export function confirmPlacement(hook) {
+  const { placement } = hook;
+  placement.dragging = false;
+  if (!placement.pos || !isPlacingCueBall(hook)) return;
+  if (placementError(hook.table, hook.hud.gameState.ball_in_hand, hook.particles, placement.pos)) return;
+
+  hook.pushEvent("place_cue_ball", { x: placement.pos.x, y: placement.pos.y });
+  placement.pending = true;
+}
+
+/** Volta ao estado inicial (bola recolocada, posição recusada ou nova tacada) */
+export function resetPlacement(placement) {
+  placement.pos = null;
+  placement.dragging = false;
+  placement.pending = false;
+}
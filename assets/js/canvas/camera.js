@@ -1,12 +1,33 @@
 /**
  * @file camera.js
  * @description Funções para controlar a câmera do canvas (pan, zoom, rotação).
+ * Além do controle manual, a câmera tem modos automáticos (seguir a branca,
+ * enquadrar as bolas em movimento, olhar por trás do taco). Reset, rotação e os
+ * botões de zoom são animados; zoom e pan ficam limitados para a mesa não sumir.
  */
 
-/** Converte coordenadas da tela para o mundo do canvas */
-export function screenToWorld({ x, y }, camera, canvas) {
+export const CAMERA_MODES = {
+  manual: { icon: '✋', label: 'Câmera livre' },
+  follow: { icon: '🎯', label: 'Seguir a bola branca' },
+  frame: { icon: '🔲', label: 'Enquadrar as bolas em movimento' },
+  aim: { icon: '🧭', label: 'Atrás do taco (mira pelo teclado ou controle)' }
+};
+
+const FOLLOW_ZOOM = 1.8; // Em relação ao zoom que enquadra a mesa inteira
+const AIM_ZOOM = 1.4;
+const FRAME_MAX_ZOOM = 2.5;
+const FRAME_PADDING = 4; // Raios de bola em volta das bolas enquadradas
+const AIM_LOOK_AHEAD = 0.2; // Fração da altura da tela entre a branca e o centro, à frente da tacada
+
+const easeInOutCubic = (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2);
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+// Diferença entre dois ângulos pelo caminho mais curto, em (-π, π]
+const angleDelta = (from, to) => Math.atan2(Math.sin(to - from), Math.cos(to - from));
+
+/** Converte coordenadas da tela (pixels CSS) para o mundo do canvas */
+export function screenToWorld({ x, y }, camera, viewport) {
   const { pan, zoom, rotation } = camera;
-  const { width, height } = canvas;
+  const { width, height } = viewport;
   const relX = x - width / 2;
   const relY = y - height / 2;
   const unscaledX = relX / zoom;
@@ -18,45 +39,222 @@ export function screenToWorld({ x, y }, camera, canvas) {
   return { x: rotatedX + pan.x, y: rotatedY + pan.y };
 }
 
-/** Reseta a visão da câmera para a posição inicial */
-export function resetView(camera) {
-  camera.pan = { x: 1000 / 2, y: 500 / 2 }; // Assumindo tamanho do mundo
-  camera.zoom = 1.0;
-  camera.rotation = 0;
+/** Converte coordenadas do mundo do canvas para a tela (inverso de `screenToWorld`) */
+export function worldToScreen({ x, y }, camera, viewport) {
+  const { pan, zoom, rotation } = camera;
+  const { width, height } = viewport;
+  const relX = x - pan.x;
+  const relY = y - pan.y;
+  const cosR = Math.cos(rotation);
+  const sinR = Math.sin(rotation);
+  const rotatedX = relX * cosR - relY * sinR;
+  const rotatedY = relX * sinR + relY * cosR;
+  return { x: rotatedX * zoom + width / 2, y: rotatedY * zoom + height / 2 };
+}
+
+/** Zoom que faz um retângulo `width` × `height` do mundo caber na tela, na rotação dada */
+function fitZoom(width, height, rotation, viewport) {
+  const cosR = Math.abs(Math.cos(rotation));
+  const sinR = Math.abs(Math.sin(rotation));
+  const screenW = width * cosR + height * sinR;
+  const screenH = width * sinR + height * cosR;
+  return Math.min(viewport.width / screenW, viewport.height / screenH) || 1.0;
+}
+
+// Alvo de uma animação em andamento, ou a posição atual
+function currentTarget(camera) {
+  const target = camera.transition ? camera.transition.to : camera;
+  return { pan: { ...target.pan }, zoom: target.zoom, rotation: target.rotation };
+}
+
+/** Anima a câmera até `target` (`pan`, `zoom` e/ou `rotation`), com aceleração suave */
+export function animateTo(camera, target) {
+  const to = { ...currentTarget(camera), ...target };
+  to.zoom = clamp(to.zoom, camera.minZoom, camera.maxZoom);
+  camera.transition = {
+    from: { pan: { ...camera.pan }, zoom: camera.zoom, rotation: camera.rotation },
+    to,
+    elapsed: 0
+  };
+}
+
+/**
+ * Reseta a visão da câmera, centralizando e enquadrando a mesa inteira na tela.
+ * `instant` pula a animação (ex: ao receber a mesa, quando ainda não há o que animar).
+ */
+export function resetView(camera, table, viewport, { instant = false } = {}) {
+  if (!table) return;
+  const target = {
+    pan: { x: table.width / 2, y: table.height / 2 },
+    zoom: fitZoom(table.width, table.height, 0, viewport),
+    rotation: Math.round(camera.rotation / (2 * Math.PI)) * 2 * Math.PI // Volta pelo caminho mais curto
+  };
+
+  if (instant) {
+    Object.assign(camera, target, { rotation: 0, transition: null });
+  } else {
+    animateTo(camera, target);
+  }
 }
 
 /** Rotaciona a câmera em 90 graus */
 export function rotateCamera(camera) {
-  camera.rotation += Math.PI / 2;
+  animateTo(camera, { rotation: currentTarget(camera).rotation + Math.PI / 2 });
+}
+
+/**
+ * Aproxima a câmera de um ponto (ex: duplo toque na branca), com `ratio` vezes o zoom
+ * que enquadra a mesa; se ela já está aproximada, volta à mesa inteira.
+ */
+export function toggleFocus(camera, table, viewport, point, ratio) {
+  if (!table) return;
+  const focused = clamp(fitZoom(table.width, table.height, camera.rotation, viewport) * ratio, camera.minZoom, camera.maxZoom);
+  if (currentTarget(camera).zoom >= focused * 0.95) {
+    resetView(camera, table, viewport);
+  } else {
+    animateTo(camera, { pan: { ...point }, zoom: focused });
+  }
 }
 
-/** Aplica zoom na câmera */
-export function zoom(camera, factor, zoomCenter, canvas) {
-  const center = zoomCenter || { x: canvas.width / 2, y: canvas.height / 2 };
-  const worldPosBeforeZoom = screenToWorld(center, camera, canvas);
-  
-  camera.zoom *= factor;
+/** Zoom animado, em torno do centro da tela (botões de zoom) */
+export function zoomBy(camera, factor) {
+  animateTo(camera, { zoom: currentTarget(camera).zoom * factor });
+}
 
-  const worldPosAfterZoom = screenToWorld(center, camera, canvas);
+/**
+ * Aplica zoom na câmera imediatamente, mantendo fixo o ponto sob `zoomCenter`.
+ * Para entradas contínuas (roda do mouse, pinça, gatilhos), que não esperam animação.
+ */
+export function zoom(camera, factor, zoomCenter, viewport) {
+  const center = zoomCenter || { x: viewport.width / 2, y: viewport.height / 2 };
+  const worldPosBeforeZoom = screenToWorld(center, camera, viewport);
+
+  // Uma animação em andamento termina na hora, para não disputar o zoom com o jogador
+  if (camera.transition) Object.assign(camera, currentTarget(camera), { transition: null });
+  camera.zoom = clamp(camera.zoom * factor, camera.minZoom, camera.maxZoom);
+
+  const worldPosAfterZoom = screenToWorld(center, camera, viewport);
   camera.pan.x += worldPosBeforeZoom.x - worldPosAfterZoom.x;
   camera.pan.y += worldPosBeforeZoom.y - worldPosAfterZoom.y;
 }
 
-/** Atualiza a posição do pan com base no estado (teclado ou D-pad) */
+/**
+ * Atualiza a posição do pan com base no estado (teclado, D-pad ou controle).
+ * Cada direção é um booleano ou, nas alavancas analógicas, uma intensidade de 0 a 1.
+ */
 export function updatePan(camera, state, deltaTime) {
   const { zoom, rotation, PAN_SPEED } = camera;
   const moveAmount = (PAN_SPEED * deltaTime) / zoom;
-  let moveX = 0, moveY = 0;
-
-  if (state.up) moveY -= moveAmount;
-  if (state.down) moveY += moveAmount;
-  if (state.left) moveX -= moveAmount;
-  if (state.right) moveX += moveAmount;
+  const intensity = (value) => (value === true ? 1 : value || 0);
+  const moveX = (intensity(state.right) - intensity(state.left)) * moveAmount;
+  const moveY = (intensity(state.down) - intensity(state.up)) * moveAmount;
 
   if (moveX === 0 && moveY === 0) return;
 
   const cosR = Math.cos(rotation);
   const sinR = Math.sin(rotation);
-  camera.pan.x += moveX * cosR - moveY * sinR;
-  camera.pan.y += moveX * sinR + moveY * cosR;
+  const dx = moveX * cosR - moveY * sinR;
+  const dy = moveX * sinR + moveY * cosR;
+  // Durante uma animação, o deslocamento vale também para as pontas dela
+  const pans = camera.transition ? [camera.pan, camera.transition.from.pan, camera.transition.to.pan] : [camera.pan];
+  pans.forEach(pan => {
+    pan.x += dx;
+    pan.y += dy;
+  });
+}
+
+/** Passa para o próximo modo de câmera (ordem de `CAMERA_MODES`) */
+export function cycleCameraMode(camera) {
+  const modes = Object.keys(CAMERA_MODES);
+  camera.mode = modes[(modes.indexOf(camera.mode) + 1) % modes.length];
+  return camera.mode;
+}
+
+// Bolas na tela: as do replay em reprodução ou as ao vivo, já interpoladas
+function visibleBalls(hook) {
+  const particles = hook.replay.playback ? hook.replay.playback.particles : hook.particles;
+  return Array.from(particles.values(), particle => ({ ...(particle.render || particle), color: particle.color }));
+}
+
+const isMoving = ({ vel: [vx, vy] }) => vx !== 0 || vy !== 0;
+
+/** Para onde o modo automático quer levar a câmera agora, ou `null` para deixá-la onde está */
+function autoTarget(hook, fit) {
+  const { camera, viewport, cueState, table } = hook;
+
+  if (camera.mode === 'aim') {
+    // Só com a mira por ângulo e o ponteiro solto: girar a tela mudaria o ponto sob o cursor
+    if (cueState.status !== 'aiming' || !cueState.directAim || cueState.pointerAiming) return null;
+    const heading = cueState.angle * Math.PI / 180;
+    const zoom = fit * AIM_ZOOM;
+    const lookAhead = (viewport.height * AIM_LOOK_AHEAD) / zoom;
+    return {
+      pan: { x: cueState.start.x + Math.cos(heading) * lookAhead, y: cueState.start.y + Math.sin(heading) * lookAhead },
+      zoom,
+      rotation: -Math.PI / 2 - heading // A tacada aponta para o alto da tela
+    };
+  }
+
+  const moving = visibleBalls(hook).filter(isMoving);
+  if (moving.length === 0) return null;
+
+  if (camera.mode === 'follow') {
+    const cue = moving.find(ball => ball.color.type === 'cue');
+    if (!cue) return null;
+    return { pan: { x: cue.pos[0], y: cue.pos[1] }, zoom: fit * FOLLOW_ZOOM };
+  }
+
+  if (camera.mode === 'frame') {
+    const margin = table.ball_radius * FRAME_PADDING;
+    const xs = moving.map(ball => ball.pos[0]);
+    const ys = moving.map(ball => ball.pos[1]);
+    const [x0, x1, y0, y1] = [Math.min(...xs) - margin, Math.max(...xs) + margin, Math.min(...ys) - margin, Math.max(...ys) + margin];
+    return {
+      pan: { x: (x0 + x1) / 2, y: (y0 + y1) / 2 },
+      zoom: clamp(fitZoom(x1 - x0, y1 - y0, camera.rotation, viewport), fit, fit * FRAME_MAX_ZOOM)
+    };
+  }
+  return null;
+}
+
+/**
+ * Atualiza a câmera a cada frame: limites de zoom, animações, modos automáticos e
+ * o limite do pan (o centro da tela fica sempre sobre a mesa).
+ */
+export function updateCamera(hook, deltaTime) {
+  const { camera, viewport, table } = hook;
+  if (!table) return;
+
+  const fit = fitZoom(table.width, table.height, camera.rotation, viewport);
+  camera.minZoom = fit * camera.MIN_ZOOM_RATIO;
+  camera.maxZoom = fit * camera.MAX_ZOOM_RATIO;
+
+  const { transition } = camera;
+  const target = camera.mode === 'manual' ? null : autoTarget(hook, fit);
+  if (target) {
+    // Alvo que se move a cada frame: aproximação exponencial em vez de duração fixa
+    camera.transition = null;
+    const t = 1 - Math.exp(-camera.FOLLOW_RATE * deltaTime);
+    if (target.pan) {
+      camera.pan.x += (target.pan.x - camera.pan.x) * t;
+      camera.pan.y += (target.pan.y - camera.pan.y) * t;
+    }
+    if (target.zoom) camera.zoom += (clamp(target.zoom, camera.minZoom, camera.maxZoom) - camera.zoom) * t;
+    if (target.rotation !== undefined) camera.rotation += angleDelta(camera.rotation, target.rotation) * t;
+  } else if (transition) {
+    transition.elapsed += deltaTime;
+    const progress = Math.min(transition.elapsed / camera.TRANSITION_DURATION, 1);
+    const eased = easeInOutCubic(progress);
+    const { from, to } = transition;
+    camera.pan.x = from.pan.x + (to.pan.x - from.pan.x) * eased;
+    camera.pan.y = from.pan.y + (to.pan.y - from.pan.y) * eased;
+    // Interpolação geométrica: o zoom parece variar na mesma velocidade ao aproximar e ao afastar
+    camera.zoom = from.zoom * Math.pow(to.zoom / from.zoom, eased);
+    camera.rotation = from.rotation + (to.rotation - from.rotation) * eased;
+    if (progress === 1) camera.transition = null;
+  }
+
+  camera.zoom = clamp(camera.zoom, camera.minZoom, camera.maxZoom);
+  camera.pan.x = clamp(camera.pan.x, 0, table.width);
+  camera.pan.y = clamp(camera.pan.y, 0, table.height);
 }
@@ -1,38 +1,148 @@
-import { createInitialCameraState, createInitialCueState } from './state';
+import { createInitialAudioState, createInitialCameraState, createInitialCueState, createInitialEffectsState, createInitialGamepadState, createInitialHudState, createInitialPlacementState, createInitialRenderCacheState, createInitialReplayState, createInitialSyncState, createInitialThemeState, createInitialTouchState } from './state';
+import { getDisplayTime, recordSnapshot } from './interpolation';
+import { applyGameState, showRejection } from './hud';
+import { keepOrientation } from './orientation';
+import { spawnImpact, spawnPocketDrop } from './effects';
+import { cancelComputerTurn, retryComputerPlacement, scheduleComputerTurn } from './aiPlayer';
 import * as cameraModule from './camera';
 import * as cueModule from './cue';
+import * as ballInHandModule from './ballInHand';
+import * as soundModule from './sound';
+import * as gamepadModule from './gamepad';
+import * as replayModule from './replay';
+import * as touchModule from './touch';
+import * as themeModule from './themes';
 import { drawFrame } from './renderer';
+import { canUseRenderWorker, startRenderWorker, stopRenderWorker } from './renderWorkerClient';
 import InputHandler from './inputHandler';
 
 export const CanvasHook = {
   mounted() {
+    this.initCanvas();
+
+    this.handleEvent("table_spec", (spec) => this.applyTableSpec(spec));
+    this.handleEvent("initial_state", ({ particles, settings, role, force_scale }) => {
+      console.log("Received initial state with", particles.length, "particles.");
+      this.settings = settings ?? this.settings; // `null` se a sala não existe
+      this.role = role;
+      this.forceScale = force_scale;
+      this.particles.clear();
+      this.sync = createInitialSyncState(); // Uma sala reiniciada recomeça o relógio de simulação do zero
+      particles.forEach(p => this.updateParticle(p));
+      this.shotInProgress = particles.some(({ vel: [vx, vy] }) => vx !== 0 || vy !== 0);
+      // Inicia o loop de renderização APÓS receber o estado inicial
+      this.startGame();
+    });
+    this.handleEvent("particle_moved", (payload) => {
+      replayModule.recordParticle(this.replay, this.particles, payload);
+      this.updateParticle(payload);
+      soundModule.playQueuedImpacts(this);
+    });
+    this.handleEvent("frame", (frame) => {
+      replayModule.recordFrame(this.replay, this.particles, frame);
+      this.applyFrame(frame);
+    });
+    this.handleEvent("particle_removed", (payload) => {
+      replayModule.recordRemoval(this.replay, payload.id);
+      soundModule.playPocketDrop(this, payload.id);
+      spawnPocketDrop(this.effects, this.particles.get(payload.id), this.table, performance.now());
+      this.particles.delete(payload.id);
+    });
+    this.handleEvent("ball_pocketed", ({ id }) => soundModule.playPocketDrop(this, id));
+    this.handleEvent("game_state", (gameState) => {
+      replayModule.recordRules(this.replay, gameState);
+      applyGameState(this.hud, gameState);
+      if (!gameState.ball_in_hand) ballInHandModule.resetPlacement(this.placement);
+      scheduleComputerTurn(this);
+    });
+    this.handleEvent("role", ({ role }) => {
+      this.role = role;
+      scheduleComputerTurn(this); // Quem herda a cadeira do Jogador 1 passa a jogar pelo computador
+    });
+    this.handleEvent("shot_ended", () => {
+      this.shotInProgress = false;
+      if (replayModule.finishShot(this.replay)) this.inputHandler.updateReplayControls();
+      scheduleComputerTurn(this);
+    });
+    this.handleEvent("shot_rejected", ({ reason }) => {
+      showRejection(this.hud, reason);
+      if (reason !== 'balls_moving') this.shotInProgress = false;
+      scheduleComputerTurn(this); // Uma tacada recusada do computador é planejada de novo
+    });
+    this.handleEvent("placement_rejected", ({ reason }) => {
+      showRejection(this.hud, reason);
+      if (!retryComputerPlacement(this)) this.placement.pending = false;
+    });
+    
+    // Solicita o estado inicial assim que o hook é montado
+    this.pushEvent("request_initial_state", {});
+  },
+
+  /** Estado e elementos do canvas, compartilhados com o reprodutor de replays */
+  initCanvas() {
     this.particles = new Map();
     this.camera = createInitialCameraState();
     this.cueState = createInitialCueState();
+    cueModule.loadShotMode(this.cueState);
+    this.placement = createInitialPlacementState();
+    this.audio = createInitialAudioState();
+    soundModule.loadAudioSettings(this.audio);
+    this.gamepad = createInitialGamepadState();
+    gamepadModule.loadGamepadSettings(this.gamepad);
+    this.sync = createInitialSyncState();
+    this.hud = createInitialHudState();
+    this.effects = createInitialEffectsState();
+    this.touch = createInitialTouchState();
+    this.theme = createInitialThemeState();
+    themeModule.loadTheme(this.theme);
+    this.replay = createInitialReplayState();
+    this.settings = { aim_guide: false };
+    this.role = 'spectator'; // Até o servidor dizer o contrário, ninguém dá tacadas
+    this.shotInProgress = false; // Da tacada enviada até o `shot_ended` do servidor
+    this.computerTimer = null; // Jogada agendada do computador (ver aiPlayer.js)
+    this.forceScale = 1; // Fator do servidor sobre a força de `apply_force` (vem no `initial_state`)
+    this.computerPlacements = null; // Posições da bola na mão do computador ainda não tentadas
+    this.table = null;
     this.animationFrameId = null;
     this.cameraModule = cameraModule;
     this.cueModule = cueModule;
+    this.ballInHandModule = ballInHandModule;
+    this.soundModule = soundModule;
+    this.gamepadModule = gamepadModule;
+    this.replayModule = replayModule;
+    this.touchModule = touchModule;
+    this.themeModule = themeModule;
 
     this.canvas = this.el.querySelector("#physics-canvas");
-    this.ctx = this.canvas.getContext("2d");
+    this.viewport = { width: this.canvas.width, height: this.canvas.height, dpr: 1 }; // Em pixels CSS (ver resizeCanvas)
+    this.renderCache = createInitialRenderCacheState();
+    this.renderWorker = null;
+    this.initRenderer(this.el.dataset.renderWorker);
     this.canvasWrapper = this.el.querySelector('#canvas-wrapper');
     this.powerBarElement = this.el.querySelector('#power-bar');
+    this.aimReadoutElement = this.el.querySelector('#aim-readout');
+    this.powerSliderElement = this.el.querySelector('#power-slider');
+    this.touchPowerFillElement = this.el.querySelector('#touch-power-fill');
 
     this.inputHandler = new InputHandler(this);
     this.inputHandler.addEventListeners();
+  },
 
-    this.handleEvent("initial_state", ({ particles }) => {
-      console.log("Received initial state with", particles.length, "particles.");
-      this.particles.clear();
-      particles.forEach(p => this.updateParticle(p));
-      // Inicia o loop de renderização APÓS receber o estado inicial
-      this.startGame();
-    });
-    this.handleEvent("particle_moved", (payload) => this.updateParticle(payload));
-    this.handleEvent("particle_removed", (payload) => this.particles.delete(payload.id));
-    
-    // Solicita o estado inicial assim que o hook é montado
-    this.pushEvent("request_initial_state", {});
+  /**
+   * Desenha num worker quando a página informa o script dele e o navegador suporta
+   * OffscreenCanvas; senão (ou se o worker falhar), no próprio navegador. Enquanto o
+   * worker sobe (`renderMode` 'pending'), o laço roda normalmente, só sem desenhar.
+   */
+  initRenderer(workerUrl) {
+    const useMainThread = () => {
+      this.ctx = this.canvas.getContext("2d");
+      this.renderMode = 'main';
+    };
+    if (!workerUrl || !canUseRenderWorker(this.canvas)) return useMainThread();
+
+    this.ctx = null;
+    this.renderMode = 'pending';
+    startRenderWorker(this, workerUrl).then(started => started || useMainThread());
   },
 
   startGame() {
@@ -47,15 +157,50 @@ export const CanvasHook = {
     if (this.animationFrameId) {
       cancelAnimationFrame(this.animationFrameId);
     }
+    cancelComputerTurn(this);
+    stopRenderWorker(this);
     this.inputHandler.removeEventListeners();
   },
 
+  /** Adota a geometria da mesa enviada pelo servidor e reenquadra a câmera */
+  applyTableSpec(spec) {
+    this.table = spec;
+    if (this.canvasWrapper) {
+      this.canvasWrapper.style.paddingTop = `${(spec.height / spec.width) * 100}%`;
+    }
+    this.inputHandler.resizeCanvas();
+    this.cameraModule.resetView(this.camera, this.table, this.viewport, { instant: true });
+  },
+
   updateParticle(payload) {
     const existingParticle = this.particles.get(payload.id);
-    if (existingParticle) {
-      payload.lastRollAngle = existingParticle.lastRollAngle;
-      payload.lastTextureOffsetY = existingParticle.lastTextureOffsetY;
-    }
+    keepOrientation(payload, existingParticle);
+    const impact = soundModule.detectImpact(existingParticle, payload, this.particles, this.table, this.audio.MIN_IMPACT_SPEED);
+    soundModule.queueImpact(this.audio, impact);
+    recordSnapshot(payload, existingParticle, this.sync);
+    spawnImpact(this.effects, impact, getDisplayTime(this.sync, payload));
     this.particles.set(payload.id, payload);
   },
+
+  /**
+   * Aplica o frame de um tick inteiro de uma vez. Cada linha é
+   * `[id, x, y, vx, vy, spin_angle, roll_distance]` e só traz as bolas que mudaram;
+   * `color` e `radius` vêm do estado inicial.
+   */
+  applyFrame({ tick, sim_time, particles }) {
+    for (const [id, x, y, vx, vy, spin_angle, roll_distance] of particles) {
+      const existingParticle = this.particles.get(id);
+      if (!existingParticle) continue;
+      this.updateParticle({
+        ...existingParticle,
+        pos: [x, y],
+        vel: [vx, vy],
+        spin_angle,
+        roll_distance,
+        tick,
+        sim_time
+      });
+    }
+    soundModule.playQueuedImpacts(this);
+  },
 };
\ No newline at end of file
@@ -1,62 +1,225 @@
 /**
  * @file cue.js
- * @description Lógica para o taco de sinuca, incluindo mira e tacada.
+ * @description Lógica para o taco de sinuca, incluindo mira e tacada. Toda mira se
+ * resume a um ângulo e a uma força (0 a 1); o recuo desenhado do taco (`end`) é
+ * derivado deles. A força vem sempre de grandezas de tela (pixels arrastados, barra,
+ * medidor), então o zoom não muda a força da tacada.
  */
 
-function getPullDistance(cueState) {
-    const { start, end } = cueState;
-    const dx = end.x - start.x;
-    const dy = end.y - start.y;
-    return Math.sqrt(dx * dx + dy * dy);
+const AIM_GRAB_TOLERANCE_PX = 30;
+const MIN_POWER = 0.01;
+const PLAYER_LABELS = { player1: 'Jogador 1', player2: 'Jogador 2' };
+const SHOT_MODE_STORAGE_KEY = 'snooker:shot-mode';
+
+/** Esquemas de tacada com o mouse ou o toque */
+export const SHOT_MODES = {
+    drag: 'Arrastar da branca', // Puxa o taco a partir da bola e solta para tacar
+    slider: 'Mirar e ajustar a força', // Clique define a direção; força pela barra ou controle deslizante
+    meter: 'Medidor de força', // Clique define a direção; taca no momento certo do medidor oscilante
+    touch: 'Toque (celular)' // Um dedo gira o taco; a força vem da faixa lateral (ver touch.js)
+};
+
+/**
+ * Restaura o esquema de tacada escolhido em visitas anteriores. Sem escolha salva,
+ * telas de toque começam no esquema 'touch'.
+ */
+export function loadShotMode(cueState, storage = window.localStorage) {
+    try {
+        const saved = storage.getItem(SHOT_MODE_STORAGE_KEY);
+        if (SHOT_MODES[saved]) cueState.inputMode = saved;
+        else if (window.matchMedia?.('(pointer: coarse)').matches) cueState.inputMode = 'touch';
+    } catch (_error) {
+        // Armazenamento indisponível: fica com o padrão
+    }
+}
+
+/** Troca o esquema de tacada, desistindo de uma mira em andamento */
+export function setShotMode(cueState, mode) {
+    if (!SHOT_MODES[mode]) return;
+    cancelAiming(cueState);
+    cueState.inputMode = mode;
+    try {
+        window.localStorage.setItem(SHOT_MODE_STORAGE_KEY, mode);
+    } catch (_error) {
+        // Armazenamento indisponível (ex: navegação privada): a escolha vale só para esta visita
+    }
+}
+
+/**
+ * Motivo pelo qual o jogador local não pode tacar agora, ou `null` se pode.
+ * O servidor faz a mesma verificação; aqui ela só serve para desabilitar o taco.
+ */
+export function shotBlockReason(hook) {
+    if (hook.replay.playback) return 'Replay em andamento';
+    if (hook.role === 'spectator') return 'Você está assistindo';
+
+    const gameState = hook.hud.gameState;
+    if (gameState?.winner) return 'Partida encerrada';
+    if (gameState && gameState.current_turn !== hook.role) return `Vez do ${PLAYER_LABELS[gameState.current_turn]}`;
+    if (hook.shotInProgress) return 'Aguarde as bolas pararem';
+    return null;
 }
 
-/** Inicia o processo de mira */
+// --- Arrastar da branca ---
+
+/**
+ * Começa a puxar o taco (esquema 'drag'), se o ponteiro está sobre a branca.
+ * Retorna `true` se a mira começou.
+ */
 export function startAiming(hook, worldPos) {
-    if (hook.cueState.status !== 'inactive' || hook.camera.isPanning) return;
+    if (hook.cueState.status !== 'inactive' || hook.camera.isPanning || !hook.table) return false;
+    if (shotBlockReason(hook)) return false;
+
+    const whiteBall = Array.from(hook.particles.values()).find(p => p.color.type === "cue");
+    if (!whiteBall) return false;
+
+    const [wx, wy] = whiteBall.pos;
+    const distance = Math.sqrt((worldPos.x - wx)**2 + (worldPos.y - wy)**2);
+    if (distance > hook.table.ball_radius + AIM_GRAB_TOLERANCE_PX / hook.camera.zoom) return false;
+
+    hook.pushEvent("hold_ball", 0);
+    hook.cueState.status = 'aiming';
+    hook.cueState.pointerAiming = true;
+    hook.cueState.start = { x: wx, y: wy };
+    hook.cueState.power = 0;
+    syncCue(hook.cueState);
+    return true;
+}
+
+/**
+ * Puxa o taco até o ponteiro (em pixels de tela): a tacada sai na direção oposta,
+ * e a força é a distância na tela até a branca.
+ */
+export function dragAim(hook, screenPos) {
+    const { cueState, camera, viewport, cameraModule } = hook;
+    if (cueState.status !== 'aiming' || cueState.directAim) return;
+
+    const ball = cameraModule.worldToScreen(cueState.start, camera, viewport);
+    const pointer = cameraModule.screenToWorld(screenPos, camera, viewport);
+    const dragged = Math.hypot(screenPos.x - ball.x, screenPos.y - ball.y);
+    if (dragged > 0) {
+        cueState.angle = ((Math.atan2(cueState.start.y - pointer.y, cueState.start.x - pointer.x) * 180 / Math.PI) + 360) % 360;
+    }
+    cueState.power = Math.min(dragged / cueState.FULL_POWER_DRAG_PX, 1);
+    syncCue(cueState);
+}
+
+// --- Mira por ângulo e força (teclado, controle e os esquemas 'slider', 'meter' e 'touch') ---
+
+/** Posiciona o taco a partir do ângulo e da força escolhidos */
+function syncCue(cueState) {
+    const radians = cueState.angle * Math.PI / 180;
+    const pull = cueState.power * cueState.MAX_PULL_DISTANCE;
+    cueState.end = {
+        x: cueState.start.x - Math.cos(radians) * pull,
+        y: cueState.start.y - Math.sin(radians) * pull
+    };
+}
+
+/** Inicia a mira por ângulo e força, com os últimos valores usados */
+export function startDirectAiming(hook) {
+    if (hook.cueState.status !== 'inactive' || !hook.table || shotBlockReason(hook)) return false;
 
     const whiteBall = Array.from(hook.particles.values()).find(p => p.color.type === "cue");
-    if (whiteBall) {
-        const [wx, wy] = whiteBall.pos;
-        const distance = Math.sqrt((worldPos.x - wx)**2 + (worldPos.y - wy)**2);
-
-        if (distance <= whiteBall.radius + 30 / hook.camera.zoom) {
-            hook.pushEvent("hold_ball", {});
-            hook.cueState.status = 'aiming';
-            hook.cueState.start = { x: wx, y: wy };
-            hook.cueState.end = worldPos;
-            hook.inputHandler.addGlobalListeners();
-        }
+    if (!whiteBall) return false;
+
+    const [wx, wy] = whiteBall.pos;
+    hook.pushEvent("hold_ball", 0);
+    hook.cueState.status = 'aiming';
+    hook.cueState.directAim = true;
+    hook.cueState.start = { x: wx, y: wy };
+    hook.cueState.meterStart = performance.now();
+    hook.cueState.power = Math.max(hook.cueState.power, MIN_POWER); // Depois de um arrasto desistido, a força é 0
+    syncCue(hook.cueState);
+    return true;
+}
+
+/** Aponta a tacada para `worldPos`, começando a mira se preciso (clique nos esquemas 'slider' e 'meter') */
+export function aimAt(hook, worldPos) {
+    const { cueState } = hook;
+    if (cueState.status !== 'aiming' || !cueState.directAim) {
+        if (hook.camera.isPanning || !startDirectAiming(hook)) return false;
+    }
+    const { start } = cueState;
+    if (worldPos.x !== start.x || worldPos.y !== start.y) {
+        setAimAngle(cueState, Math.atan2(worldPos.y - start.y, worldPos.x - start.x) * 180 / Math.PI);
     }
+    return true;
 }
 
-/** Atualiza a posição da mira */
-export function updateAim(cueState, worldPos) {
-    cueState.end = worldPos;
+/** Medidor oscilante: a força vai de 0 a 100% e volta, continuamente, enquanto se mira */
+export function advancePowerMeter(cueState, now) {
+    if (cueState.inputMode !== 'meter' || cueState.status !== 'aiming' || !cueState.directAim) return;
+    const phase = ((now - cueState.meterStart) / cueState.METER_PERIOD_MS) % 1;
+    setPower(cueState, 1 - Math.abs(1 - 2 * phase));
+}
+
+/** Gira o taco em torno da branca; `degrees` positivo gira no sentido horário da mesa */
+export function rotateAim(cueState, degrees) {
+    if (cueState.status !== 'aiming' || !cueState.directAim) return;
+    cueState.angle = ((cueState.angle + degrees) % 360 + 360) % 360;
+    syncCue(cueState);
+}
+
+/** Ajusta a força (fração de 0 a 1 da força máxima) */
+export function changePower(cueState, delta) {
+    setPower(cueState, cueState.power + delta);
+}
+
+/** Aponta o taco para `degrees`, no lugar de girá-lo aos poucos (ex: alavanca do controle) */
+export function setAimAngle(cueState, degrees) {
+    rotateAim(cueState, degrees - cueState.angle);
+}
+
+/** Define a força; fora da mira por ângulo, ela fica guardada para a próxima (ex: controle deslizante) */
+export function setPower(cueState, power) {
+    cueState.power = Math.min(Math.max(power, MIN_POWER), 1);
+    if (cueState.status === 'aiming' && cueState.directAim) syncCue(cueState);
+}
+
+/** Desiste da tacada em andamento, seja qual for a forma de mira */
+export function cancelAiming(cueState) {
+    cueState.pointerAiming = false;
+    if (cueState.status !== 'aiming') return;
+    cueState.status = 'inactive';
+    cueState.directAim = false;
+}
+
+/** Ângulo (graus) e força (0 a 1) da mira atual, para exibição */
+export function aimReadout(cueState) {
+    return { angle: cueState.angle, power: cueState.power };
+}
+
+/** Define o ponto de contato do taco na bola branca, limitado ao disco unitário */
+export function setSpin(cueState, x, y) {
+    const magnitude = Math.sqrt(x * x + y * y);
+    const scale = magnitude > 1 ? 1 / magnitude : 1;
+    cueState.spin = { x: x * scale, y: y * scale };
 }
 
 /** Calcula a força e inicia a animação da tacada */
 export function applyStrike(hook) {
-    if (hook.cueState.status !== 'aiming') return;
-
-    const { start, end } = hook.cueState;
-    const pullDistance = getPullDistance(hook.cueState);
-    const power = Math.min(pullDistance / hook.cueState.MAX_PULL_DISTANCE, 1);
+    const { cueState } = hook;
+    if (cueState.status !== 'aiming') return;
 
-    const dx = start.x - end.x;
-    const dy = start.y - end.y;
-    const dirLen = Math.sqrt(dx * dx + dy * dy);
+    const { power } = cueState;
+    cueState.pointerAiming = false;
+    cueState.directAim = false;
 
-    if (dirLen === 0) {
-        hook.cueState.status = 'inactive';
+    // Taco solto em cima da branca: não houve tacada
+    if (power <= 0) {
+        cueState.status = 'inactive';
         return;
     }
 
-    const normX = dx / dirLen;
-    const normY = dy / dirLen;
+    const radians = cueState.angle * Math.PI / 180;
     const forceMultiplier = 1000 * power;
+    const pullDistance = power * cueState.MAX_PULL_DISTANCE;
 
-    hook.cueState.status = 'striking';
-    hook.cueState.animation.startTime = performance.now();
-    hook.cueState.animation.force = { x: normX * forceMultiplier, y: normY * forceMultiplier };
-    hook.cueState.animation.initialPullDistance = pullDistance;
+    cueState.status = 'striking';
+    cueState.animation.startTime = performance.now();
+    cueState.animation.force = { x: Math.cos(radians) * forceMultiplier, y: Math.sin(radians) * forceMultiplier };
+    cueState.animation.spin = { ...cueState.spin };
+    cueState.animation.initialPullDistance = pullDistance;
+    cueState.animation.pullDistance = pullDistance;
 }
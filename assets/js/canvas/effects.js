@@ -0,0 +1,117 @@
+/**
+ * @file effects.js
+ * @description Efeitos visuais de curta duração, no relógio do navegador: a bola
+ * afundando na caçapa (com a última velocidade que tinha), o anel de um choque entre
+ * bolas ou com a tabela e o rótulo que sobe da caçapa. Aqui ficam a criação e a
+ * geometria de cada efeito; o desenho é do renderer (`drawEffects`). A posição da
+ * luz, que orienta as sombras das bolas, também mora no estado dos efeitos.
+ */
+
+const BALL_LABELS = { cue: 'Branca', red: 'Vermelha' };
+const COLOUR_LABELS = { yellow: 'Amarela', green: 'Verde', brown: 'Marrom', blue: 'Azul', pink: 'Rosa', black: 'Preta' };
+
+function spawn(effects, item) {
+  if (effects.items.length >= effects.MAX_ITEMS) effects.items.shift(); // Ex: quebra com muitos choques
+  effects.items.push({ id: effects.nextId++, ...item });
+}
+
+/** Descarta os efeitos que já terminaram; chamado a cada frame, antes de desenhar */
+export function pruneEffects(effects, now) {
+  if (effects.items.length === 0) return;
+  effects.items = effects.items.filter(item => now < item.start + item.duration);
+}
+
+/** Progresso (0 a 1) do efeito em `now`, ou `null` se ele ainda não começou */
+export function effectProgress(item, now) {
+  if (now < item.start) return null;
+  return Math.min((now - item.start) / item.duration, 1);
+}
+
+// --- Caçapa ---
+
+function nearestPocket(table, [x, y]) {
+  let nearest = null, best = Infinity;
+  table.pockets.forEach(pocket => {
+    const distance = Math.hypot(pocket.pos[0] - x, pocket.pos[1] - y);
+    if (distance < best) [nearest, best] = [pocket, distance];
+  });
+  return nearest && { pocket: nearest, distance: best };
+}
+
+/**
+ * Bola que saiu da mesa: em vez de sumir, ela segue a última velocidade até o centro
+ * da caçapa mais próxima, encolhendo e escurecendo, e um rótulo sobe da caçapa.
+ * Remoções longe de qualquer caçapa (ex: bola recolocada) não têm efeito.
+ */
+export function spawnPocketDrop(effects, particle, table, now) {
+  if (!particle || !table) return;
+  const { pos, vel, roll_distance } = particle.render || particle;
+  const found = nearestPocket(table, pos);
+  if (!found || found.distance > found.pocket.mouth + particle.radius * 2) return;
+
+  // Ponto de controle na direção da velocidade, sem passar da caçapa
+  const to = found.pocket.pos;
+  const speed = Math.hypot(vel[0], vel[1]);
+  const reach = Math.min(speed * effects.DROP_MS / 2000, found.distance);
+  const control = speed > 0 ? [pos[0] + vel[0] / speed * reach, pos[1] + vel[1] / speed * reach] : pos;
+
+  const { id, radius, color, spin_angle, orientation, orientationRef } = particle;
+  spawn(effects, {
+    kind: 'drop',
+    start: now,
+    duration: effects.DROP_MS,
+    from: pos,
+    control,
+    to,
+    ball: { id, radius, color, spin_angle, orientation, orientationRef, pos, roll_distance, baseRoll: roll_distance }
+  });
+
+  const text = BALL_LABELS[color.type] || COLOUR_LABELS[color.name] || `Bola ${color.number}`;
+  spawn(effects, { kind: 'label', start: now, duration: effects.LABEL_MS, pos: to, text, color });
+}
+
+/**
+ * Posição e tamanho da bola afundando em `progress` (acelera em direção à caçapa).
+ * Atualiza `item.ball` para que a orientação 3D continue rolando.
+ */
+export function dropFrame(item, progress) {
+  const { from, control, to, ball } = item;
+  const t = progress * progress;
+  const bezier = (i) => (1 - t) * (1 - t) * from[i] + 2 * (1 - t) * t * control[i] + t * t * to[i];
+  const pos = [bezier(0), bezier(1)];
+  ball.pos = pos;
+  ball.roll_distance = ball.baseRoll + Math.hypot(pos[0] - from[0], pos[1] - from[1]);
+  return { ball, scale: 1 - 0.45 * t, darkness: 0.6 * t, alpha: progress < 0.7 ? 1 : (1 - progress) / 0.3 };
+}
+
+// --- Choques ---
+
+/**
+ * Anel no ponto de um choque entre bolas ou com a tabela (os mesmos detectados para
+ * o som, ver `detectImpact`). `start` é o instante, no relógio local, em que o choque
+ * aparece na tela (as bolas são desenhadas um pouco no passado).
+ */
+export function spawnImpact(effects, impact, start) {
+  if (!impact || impact.kind === 'strike') return;
+
+  // Os dois lados de uma batida entre bolas chegam separados: fica um anel só
+  const duplicate = effects.items.find(item => item.key === impact.key && Math.abs(item.start - start) < effects.IMPACT_MS);
+  const strength = Math.min(impact.speed / effects.REFERENCE_SPEED, 1);
+  if (duplicate) {
+    duplicate.strength = Math.max(duplicate.strength, strength);
+    return;
+  }
+  spawn(effects, { kind: 'impact', key: impact.key, start, duration: effects.IMPACT_MS, pos: impact.pos, strength, cushion: impact.kind === 'cushion' });
+}
+
+// --- Sombras ---
+
+/**
+ * Centro da sombra de uma bola: a projeção do centro dela, a partir da luz, sobre o
+ * pano. A luz fica em `light.x`/`light.y` (frações da mesa) a `light.height` acima dele.
+ */
+export function shadowOffset(light, table, [x, y], radius) {
+  const lightX = light.x * table.width, lightY = light.y * table.height;
+  const factor = radius / Math.max(light.height - radius, radius);
+  return [(x - lightX) * factor, (y - lightY) * factor];
+}
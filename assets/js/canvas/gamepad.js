@@ -0,0 +1,155 @@
+/**
+ * @file gamepad.js
+ * @description Controle de videogame (Gamepad API, mapeamento "standard"), lido a
+ * cada frame pelo `drawFrame`. A alavanca esquerda move a câmera e os gatilhos dão
+ * zoom. A alavanca direita mira como o mouse: o taco fica do lado para onde ela é
+ * puxada, e a distância define a força (ou o gatilho direito, se pressionado).
+ * Soltar o botão A taca. A mira usa o mesmo ângulo e força da mira pelo teclado.
+ */
+
+const STORAGE_KEY = 'snooker:gamepad';
+const MAX_DEAD_ZONE = 0.5;
+
+export const BUTTONS = {
+  A: 0, B: 1, X: 2, Y: 3,
+  LB: 4, RB: 5, LT: 6, RT: 7,
+  BACK: 8, START: 9,
+  DPAD_UP: 12, DPAD_DOWN: 13, DPAD_LEFT: 14, DPAD_RIGHT: 15
+};
+
+const COARSE_ROTATION = 1; // Graus, LB/RB
+const FINE_ROTATION = 0.1; // Graus, D-pad
+const POWER_STEP = 0.01;
+
+// --- Preferências ---
+
+/** Restaura as zonas mortas escolhidas em visitas anteriores */
+export function loadGamepadSettings(gamepad, storage = window.localStorage) {
+  try {
+    const saved = JSON.parse(storage.getItem(STORAGE_KEY));
+    setDeadZones(gamepad, saved || {}, false);
+  } catch (_error) {
+    // Preferências corrompidas ou armazenamento indisponível: fica com os padrões
+  }
+}
+
+/** Ajusta as zonas mortas (`stick` e/ou `trigger`, de 0 a 0,5) e as guarda */
+export function setDeadZones(gamepad, { stick, trigger }, save = true) {
+  const clamp = (value) => Math.min(Math.max(value, 0), MAX_DEAD_ZONE);
+  if (typeof stick === 'number') gamepad.stickDeadZone = clamp(stick);
+  if (typeof trigger === 'number') gamepad.triggerDeadZone = clamp(trigger);
+  if (!save) return;
+
+  try {
+    const { stickDeadZone, triggerDeadZone } = gamepad;
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ stick: stickDeadZone, trigger: triggerDeadZone }));
+  } catch (_error) {
+    // Armazenamento indisponível (ex: navegação privada): a escolha vale só para esta visita
+  }
+}
+
+// --- Leitura ---
+
+/** Zera o que está dentro da zona morta e reescala o resto para voltar a cobrir 0 a 1 */
+export function applyDeadZone(value, deadZone) {
+  const magnitude = Math.abs(value);
+  if (magnitude <= deadZone) return 0;
+  return Math.sign(value) * Math.min((magnitude - deadZone) / (1 - deadZone), 1);
+}
+
+/** Alavanca com zona morta radial, que não favorece as diagonais: `{ x, y, magnitude }` */
+export function readStick(x = 0, y = 0, deadZone) {
+  const raw = Math.sqrt(x * x + y * y);
+  const magnitude = applyDeadZone(raw, deadZone);
+  if (magnitude === 0) return { x: 0, y: 0, magnitude: 0 };
+  return { x: (x / raw) * magnitude, y: (y / raw) * magnitude, magnitude };
+}
+
+/**
+ * Uma alavanca solta volta ao centro em um ou dois frames; esse retorno não deve
+ * mudar a mira. Só vale a leitura que não caiu mais que `releaseStep` desde o frame anterior.
+ */
+export function isDeliberate(previous, current, releaseStep) {
+  return current > 0 && current >= previous - releaseStep;
+}
+
+/** O controle em uso, ou o primeiro conectado */
+export function activeGamepad(gamepad, gamepads) {
+  const connected = Array.from(gamepads || []).filter(pad => pad && pad.connected);
+  const pad = connected.find(p => p.index === gamepad.index) || connected[0] || null;
+  gamepad.index = pad ? pad.index : null;
+  return pad;
+}
+
+// Direção da alavanca (na tela) convertida para o mundo, desfazendo a rotação da câmera
+function stickToWorld({ x, y }, rotation) {
+  const cosR = Math.cos(rotation);
+  const sinR = Math.sin(rotation);
+  return { x: x * cosR + y * sinR, y: -x * sinR + y * cosR };
+}
+
+// --- Ações ---
+
+/**
+ * Lê o controle e aplica câmera e mira. Retorna os botões apertados neste frame
+ * (ex: `BUTTONS.BACK`), para o `InputHandler` tratar os que mexem na interface.
+ */
+export function pollGamepad(hook, deltaTime, gamepads = navigator.getGamepads?.()) {
+  const { gamepad, camera, cueState, cueModule, cameraModule } = hook;
+  const pad = activeGamepad(gamepad, gamepads);
+  if (!pad) {
+    Object.assign(camera.gamepadPanState, { up: 0, down: 0, left: 0, right: 0 });
+    return [];
+  }
+
+  const pressed = pad.buttons.map(button => button.pressed);
+  const justPressed = pressed.map((down, i) => down && !gamepad.pressed[i]);
+  const released = pressed.map((down, i) => !down && !!gamepad.pressed[i]);
+  const triggerValue = (i) => applyDeadZone(pad.buttons[i]?.value ?? 0, gamepad.triggerDeadZone);
+
+  const leftStick = readStick(pad.axes[0], pad.axes[1], gamepad.stickDeadZone);
+  Object.assign(camera.gamepadPanState, {
+    left: Math.max(-leftStick.x, 0),
+    right: Math.max(leftStick.x, 0),
+    up: Math.max(-leftStick.y, 0),
+    down: Math.max(leftStick.y, 0)
+  });
+
+  const rightStick = readStick(pad.axes[2], pad.axes[3], gamepad.stickDeadZone);
+  const rightTrigger = triggerValue(BUTTONS.RT);
+  const directAiming = () => cueState.status === 'aiming' && cueState.directAim;
+  const ensureAiming = () => directAiming() || cueModule.startDirectAiming(hook);
+
+  // Alavanca direita: o taco vai para onde ela é puxada, e a tacada sai para o lado oposto
+  if (isDeliberate(gamepad.rightStick, rightStick.magnitude, gamepad.RELEASE_STEP) && ensureAiming()) {
+    const pull = stickToWorld(rightStick, camera.rotation);
+    cueModule.setAimAngle(cueState, Math.atan2(-pull.y, -pull.x) * 180 / Math.PI);
+    if (rightTrigger === 0) cueModule.setPower(cueState, rightStick.magnitude);
+  }
+  if (directAiming() && isDeliberate(gamepad.trigger, rightTrigger, gamepad.RELEASE_STEP)) {
+    cueModule.setPower(cueState, rightTrigger);
+  }
+
+  // Ajustes finos, que também começam a mira
+  const rotation = (justPressed[BUTTONS.RB] ? COARSE_ROTATION : 0) - (justPressed[BUTTONS.LB] ? COARSE_ROTATION : 0) +
+    (justPressed[BUTTONS.DPAD_RIGHT] ? FINE_ROTATION : 0) - (justPressed[BUTTONS.DPAD_LEFT] ? FINE_ROTATION : 0);
+  const power = (justPressed[BUTTONS.DPAD_UP] ? POWER_STEP : 0) - (justPressed[BUTTONS.DPAD_DOWN] ? POWER_STEP : 0);
+  if ((rotation !== 0 || power !== 0) && ensureAiming()) {
+    cueModule.rotateAim(cueState, rotation);
+    cueModule.changePower(cueState, power);
+  }
+
+  if (released[BUTTONS.A] && directAiming()) cueModule.applyStrike(hook);
+  if (justPressed[BUTTONS.B]) cueModule.cancelAiming(cueState);
+
+  // Gatilhos: zoom (mirando, o direito é a força)
+  const zoomInput = (directAiming() ? 0 : rightTrigger) - triggerValue(BUTTONS.LT);
+  if (zoomInput !== 0) cameraModule.zoom(camera, Math.pow(gamepad.ZOOM_SPEED, zoomInput * deltaTime), null, hook.viewport);
+  if (justPressed[BUTTONS.Y]) cameraModule.rotateCamera(camera);
+  if (justPressed[BUTTONS.START]) cameraModule.resetView(camera, hook.table, hook.viewport);
+
+  gamepad.pressed = pressed;
+  gamepad.rightStick = rightStick.magnitude;
+  gamepad.trigger = rightTrigger;
+  return justPressed.flatMap((down, i) => (down ? [i] : []));
+}
@@ -0,0 +1,221 @@
+/**
+ * @file hud.js
+ * @description Placar da partida desenhado sobre o canvas, em coordenadas de tela:
+ * vez, naipe de cada jogador, bolas encaçapadas, avisos de falta/vitória e de jogadas
+ * recusadas. Na sinuca, os naipes dão lugar aos pontos, à tacada em andamento e à bola da vez.
+ * Tudo vem do estado das regras enviado pelo servidor (`game_state`); as cores e os
+ * nomes dos naipes seguem o jogo de bolas do tema.
+ */
+
+import { PLACEMENT_ERROR_LABELS } from './ballInHand';
+import { resolveTheme } from './themes';
+
+const PLAYERS = ['player1', 'player2'];
+const PLAYER_LABELS = { player1: 'Jogador 1', player2: 'Jogador 2' };
+const FOUL_BANNER_MS = 3000;
+const NOTICE_MS = 2500;
+// Motivos de `shot_rejected`; os de `placement_rejected` vêm de PLACEMENT_ERROR_LABELS
+const REJECTION_LABELS = {
+    not_your_turn: 'Não é a sua vez',
+    balls_moving: 'Aguarde as bolas pararem',
+    game_over: 'A partida terminou',
+    weak_strike: 'Tacada fraca demais',
+    ball_in_hand: 'Posicione a bola branca primeiro',
+    cue_ball_on_table: 'A bola branca já está na mesa',
+    game_not_found: 'Sala não encontrada'
+};
+const SNOOKER_REDS = 15;
+const BALL_ON_LABELS = {
+    red: 'vermelha', colour: 'colorida', yellow: 'amarela', green: 'verde',
+    brown: 'marrom', blue: 'azul', pink: 'rosa', black: 'preta'
+};
+
+/** Guarda o novo estado das regras e decide qual aviso exibir */
+export function applyGameState(hud, gameState, now = performance.now()) {
+    hud.gameState = gameState;
+    if (gameState.winner) {
+        hud.banner = { kind: 'win', text: gameState.status_message, until: Infinity };
+    } else if (gameState.foul) {
+        hud.banner = { kind: 'foul', text: gameState.status_message, until: now + FOUL_BANNER_MS };
+    } else {
+        hud.banner = null;
+    }
+}
+
+/** Aviso passageiro de uma tacada ou bola na mão recusada pelo servidor (`reason`) */
+export function showRejection(hud, reason, now = performance.now()) {
+    const text = REJECTION_LABELS[reason] || PLACEMENT_ERROR_LABELS[reason] || 'Jogada recusada';
+    hud.notice = { text, until: now + NOTICE_MS };
+}
+
+/**
+ * Desenha o placar; deve ser chamado fora da transformação da câmera, em pixels CSS.
+ * Em replay, `hud` é o placar da reprodução em vez do ao vivo.
+ */
+export function drawHud(hook, now, hud = hook.hud) {
+    const { ctx, viewport } = hook;
+    const { gameState } = hud;
+    const scale = Math.min(1, viewport.width / 800);
+    if (hud.notice && now < hud.notice.until) drawNotice(ctx, viewport, hud.notice, scale);
+    if (!gameState) return;
+
+    const { balls: ballSet } = resolveTheme(hook.theme);
+    const panelWidth = 190 * scale, panelHeight = 54 * scale, margin = 10 * scale;
+
+    ctx.save();
+    PLAYERS.forEach((player, index) => {
+        const x = margin + index * (panelWidth + margin);
+        drawPlayerPanel(ctx, ballSet, gameState, player, x, margin, panelWidth, panelHeight, scale);
+    });
+
+    if (gameState.game === 'snooker') {
+        drawBallOn(ctx, gameState, margin, margin * 2 + panelHeight, scale);
+    } else {
+        // Antes da definição dos naipes as bolas encaçapadas não pertencem a ninguém
+        const unassigned = gameState.potted_balls.filter(ball => !ownerOf(gameState, ball));
+        drawRack(ctx, ballSet, unassigned, margin + 8 * scale, margin * 2 + panelHeight + 8 * scale, scale);
+    }
+
+    if (hud.banner && now < hud.banner.until) drawBanner(ctx, viewport, hud.banner, scale);
+    ctx.restore();
+}
+
+function ownerOf(gameState, ball) {
+    return PLAYERS.find(player => gameState.ball_assignments[player] === ball.type);
+}
+
+function drawPlayerPanel(ctx, ballSet, gameState, player, x, y, width, height, scale) {
+    const isTurn = gameState.current_turn === player && !gameState.winner;
+    const suit = gameState.ball_assignments[player];
+
+    ctx.fillStyle = "rgba(0, 0, 0, 0.55)";
+    ctx.strokeStyle = isTurn ? "#fdd835" : "rgba(255, 255, 255, 0.3)";
+    ctx.lineWidth = isTurn ? 2 : 1;
+    roundedRect(ctx, x, y, width, height, 6 * scale);
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.fillStyle = isTurn ? "#fdd835" : "white";
+    ctx.font = `bold ${13 * scale}px sans-serif`;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(`${isTurn ? '▶ ' : ''}${PLAYER_LABELS[player]}`, x + 8 * scale, y + 6 * scale);
+    if (gameState.game === 'snooker') {
+        drawSnookerScore(ctx, gameState, player, isTurn, x, y, width, scale);
+        return;
+    }
+
+    ctx.fillStyle = "rgba(255, 255, 255, 0.75)";
+    ctx.font = `${11 * scale}px sans-serif`;
+    ctx.textAlign = 'right';
+    ctx.fillText(ballSet.suitLabels[suit] || '—', x + width - 8 * scale, y + 7 * scale);
+
+    const rack = gameState.potted_balls.filter(ball => ball.number !== 8 && suit && ball.type === suit);
+    drawRack(ctx, ballSet, rack, x + 8 * scale, y + 36 * scale, scale);
+}
+
+// Pontos no frame e, para quem está na vez, a tacada (break) em andamento
+function drawSnookerScore(ctx, gameState, player, isTurn, x, y, width, scale) {
+    ctx.fillStyle = "white";
+    ctx.font = `bold ${15 * scale}px sans-serif`;
+    ctx.textAlign = 'right';
+    ctx.fillText(String(gameState.scores[player] ?? 0), x + width - 8 * scale, y + 6 * scale);
+    if (!isTurn || !gameState.current_break) return;
+
+    ctx.fillStyle = "rgba(255, 255, 255, 0.75)";
+    ctx.font = `${11 * scale}px sans-serif`;
+    ctx.textAlign = 'left';
+    ctx.fillText(`Tacada: ${gameState.current_break}`, x + 8 * scale, y + 32 * scale);
+}
+
+// Bola da vez, vermelhas restantes e bola livre, abaixo dos painéis
+function drawBallOn(ctx, gameState, x, y, scale) {
+    if (!gameState.ball_on) return;
+    const redsLeft = SNOOKER_REDS - gameState.potted_balls.filter(ball => ball.type === 'red').length;
+    const parts = [`Bola da vez: ${BALL_ON_LABELS[gameState.ball_on]}`, `Vermelhas: ${redsLeft}`];
+    if (gameState.free_ball) parts.push('Bola livre');
+
+    ctx.font = `${12 * scale}px sans-serif`;
+    const text = parts.join(' · ');
+    const width = ctx.measureText(text).width + 16 * scale;
+    ctx.fillStyle = "rgba(0, 0, 0, 0.55)";
+    roundedRect(ctx, x, y, width, 22 * scale, 6 * scale);
+    ctx.fill();
+
+    ctx.fillStyle = gameState.free_ball ? "#fdd835" : "white";
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, x + 8 * scale, y + 11 * scale);
+}
+
+function drawRack(ctx, ballSet, balls, x, y, scale) {
+    const radius = 7 * scale;
+    balls.forEach((ball, index) => drawMiniBall(ctx, x + radius + index * (radius * 2 + 3 * scale), y, radius, ballSet.appearance(ball)));
+}
+
+function drawMiniBall(ctx, x, y, radius, { base, stripe, number }) {
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fillStyle = stripe || base;
+    ctx.fill();
+    if (stripe) {
+        ctx.clip();
+        ctx.fillStyle = base;
+        ctx.fillRect(x - radius, y - radius * 0.55, radius * 2, radius * 1.1);
+    }
+    ctx.restore();
+    if (!number) return;
+
+    ctx.font = `bold ${radius}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = number === '8' && !stripe ? 'white' : 'black';
+    ctx.fillText(number, x, y + radius * 0.05);
+}
+
+function drawBanner(ctx, viewport, banner, scale) {
+    const text = banner.text;
+    ctx.font = `bold ${22 * scale}px sans-serif`;
+    const width = ctx.measureText(text).width + 40 * scale;
+    const height = 48 * scale;
+    const x = (viewport.width - width) / 2, y = (viewport.height - height) / 2;
+
+    ctx.fillStyle = banner.kind === 'win' ? "rgba(253, 216, 53, 0.92)" : "rgba(229, 57, 53, 0.9)";
+    roundedRect(ctx, x, y, width, height, 10 * scale);
+    ctx.fill();
+
+    ctx.fillStyle = banner.kind === 'win' ? '#212121' : 'white';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, viewport.width / 2, viewport.height / 2);
+}
+
+// Faixa discreta na base da tela, para não competir com o aviso de falta
+function drawNotice(ctx, viewport, notice, scale) {
+    ctx.save();
+    ctx.font = `${13 * scale}px sans-serif`;
+    const width = ctx.measureText(notice.text).width + 24 * scale;
+    const height = 28 * scale;
+    const y = viewport.height - height - 16 * scale;
+
+    ctx.fillStyle = "rgba(0, 0, 0, 0.7)";
+    roundedRect(ctx, (viewport.width - width) / 2, y, width, height, 6 * scale);
+    ctx.fill();
+
+    ctx.fillStyle = "#fdd835";
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(notice.text, viewport.width / 2, y + height / 2);
+    ctx.restore();
+}
+
+function roundedRect(ctx, x, y, width, height, radius) {
+    ctx.beginPath();
+    ctx.moveTo(x + radius, y);
+    ctx.arcTo(x + width, y, x + width, y + height, radius);
+    ctx.arcTo(x + width, y + height, x, y + height, radius);
+    ctx.arcTo(x, y + height, x, y, radius);
+    ctx.arcTo(x, y, x + width, y, radius);
+    ctx.closePath();
+}
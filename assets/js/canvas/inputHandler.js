@@ -1,3 +1,15 @@
+import { resizeRenderWorker } from './renderWorkerClient';
+
+const AIM_KEYS = {
+    KeyQ: { kind: 'rotate', coarse: -1, fine: -0.1 },
+    KeyE: { kind: 'rotate', coarse: 1, fine: 0.1 },
+    KeyR: { kind: 'power', coarse: 0.05, fine: 0.01 },
+    KeyF: { kind: 'power', coarse: -0.05, fine: -0.01 },
+    Space: { kind: 'strike' }
+};
+
+const isFormField = (target) => target instanceof HTMLElement && target.matches('input, select, textarea, button');
+
 class InputHandler {
     constructor(hook) {
         this.hook = hook;
@@ -24,6 +36,8 @@ class InputHandler {
         this.handleKeyDown = this.handleKeyDown.bind(this);
         this.handleKeyUp = this.handleKeyUp.bind(this);
         this.resizeCanvas = this.resizeCanvas.bind(this);
+        this.handleAudioUnlock = this.handleAudioUnlock.bind(this);
+        this.handleGamepadConnected = this.handleGamepadConnected.bind(this);
     }
 
     // --- CORREÇÃO: Novo método para orquestrar o início ---
@@ -56,10 +70,17 @@ class InputHandler {
         this.hook.canvas.addEventListener('contextmenu', e => e.preventDefault());
         
         this.hook.el.querySelector("#rotate-btn")?.addEventListener("click", () => this.hook.cameraModule.rotateCamera(this.hook.camera));
-        this.hook.el.querySelector("#zoom-in-btn")?.addEventListener("click", () => this.hook.cameraModule.zoom(this.hook.camera, 1.2, null, this.hook.canvas));
-        this.hook.el.querySelector("#zoom-out-btn")?.addEventListener("click", () => this.hook.cameraModule.zoom(this.hook.camera, 0.8, null, this.hook.canvas));
-        this.hook.el.querySelector("#reset-view-btn")?.addEventListener("click", () => this.hook.cameraModule.resetView(this.hook.camera));
+        this.hook.el.querySelector("#zoom-in-btn")?.addEventListener("click", () => this.hook.cameraModule.zoomBy(this.hook.camera, 1.2));
+        this.hook.el.querySelector("#zoom-out-btn")?.addEventListener("click", () => this.hook.cameraModule.zoomBy(this.hook.camera, 0.8));
+        this.hook.el.querySelector("#reset-view-btn")?.addEventListener("click", () => this.hook.cameraModule.resetView(this.hook.camera, this.hook.table, this.hook.viewport));
+        this.setupCameraModeButton();
         this.setupDPadListeners();
+        this.setupSpinSelector();
+        this.setupShotControls();
+        this.setupReplayControls();
+        this.setupSoundControls();
+        this.setupThemeControls();
+        this.setupGamepadHint();
         
         window.addEventListener('resize', this.resizeCanvas);
         window.addEventListener('keydown', this.handleKeyDown);
@@ -71,33 +92,404 @@ class InputHandler {
         window.removeEventListener('resize', this.resizeCanvas);
         window.removeEventListener('keydown', this.handleKeyDown);
         window.removeEventListener('keyup', this.handleKeyUp);
+        window.removeEventListener('keydown', this.handleAudioUnlock);
+        window.removeEventListener('gamepadconnected', this.handleGamepadConnected);
+        this.hook.touchModule.touchCancel(this.hook.touch);
         this.removeGlobalListeners();
     }
     
+    // O canvas tem a resolução física da tela (devicePixelRatio) para ficar nítido em
+    // telas HiDPI; o resto do código trabalha em pixels CSS, via `hook.viewport`.
     resizeCanvas() { 
         if (!this.hook.canvasWrapper) return;
         const rect = this.hook.canvasWrapper.getBoundingClientRect(); 
-        if (this.hook.canvas.width !== rect.width || this.hook.canvas.height !== rect.height) {
-            this.hook.canvas.width = rect.width; 
-            this.hook.canvas.height = rect.height; 
+        const dpr = window.devicePixelRatio || 1;
+        const width = Math.round(rect.width * dpr), height = Math.round(rect.height * dpr);
+        const { viewport } = this.hook;
+        const changed = Math.round(viewport.width * viewport.dpr) !== width || Math.round(viewport.height * viewport.dpr) !== height;
+        Object.assign(viewport, { width: rect.width, height: rect.height, dpr });
+
+        if (this.hook.renderMode === 'worker') {
+            // Canvas transferido: quem redimensiona é o worker
+            if (changed) resizeRenderWorker(this.hook, width, height);
+        } else if (this.hook.canvas.width !== width || this.hook.canvas.height !== height) {
+            this.hook.canvas.width = width; 
+            this.hook.canvas.height = height; 
         }
     }
 
     // O resto do arquivo (handleMouseDown, etc.) pode permanecer como está.
-    handleMouseDown(e) { e.preventDefault(); const mousePos = this.getMousePos(e); if (e.button === 0) { const worldPos = this.hook.cameraModule.screenToWorld(mousePos, this.hook.camera, this.hook.canvas); this.hook.cueModule.startAiming(this.hook, worldPos); } else if (e.button === 2) { this.hook.camera.isPanning = true; this.hook.camera.lastMouse = mousePos; this.hook.canvas.style.cursor = 'grabbing'; this.addGlobalListeners(); } }
-    handleMouseMove(e) { const mousePos = this.getMousePos(e); if (this.hook.camera.isPanning) { const { camera } = this.hook; const cosR = Math.cos(camera.rotation), sinR = Math.sin(camera.rotation); const dx = (mousePos.x - camera.lastMouse.x) / camera.zoom; const dy = (mousePos.y - camera.lastMouse.y) / camera.zoom; camera.pan.x -= dx * cosR + dy * sinR; camera.pan.y -= dy * cosR - dx * sinR; camera.lastMouse = mousePos; } else if (this.hook.cueState.status === 'aiming') { const worldPos = this.hook.cameraModule.screenToWorld(mousePos, this.hook.camera, this.hook.canvas); this.hook.cueModule.updateAim(this.hook.cueState, worldPos); } }
-    handleMouseUp(e) { if (e.button === 2) { this.hook.camera.isPanning = false; this.hook.canvas.style.cursor = 'grab'; } if (this.hook.cueState.status === 'aiming' && e.button === 0) { this.hook.cueModule.applyStrike(this.hook); } this.removeGlobalListeners(); }
-    handleWheel(e) { e.preventDefault(); const zoomFactor = e.deltaY < 0 ? 1.1 : 0.9; this.hook.cameraModule.zoom(this.hook.camera, zoomFactor, this.getMousePos(e), this.hook.canvas); }
-    handleTouchStart(e) { e.preventDefault(); if (e.touches.length === 1) { const worldPos = this.hook.cameraModule.screenToWorld(this.getMousePos(e.touches[0]), this.hook.camera, this.hook.canvas); this.hook.cueModule.startAiming(this.hook, worldPos); } else if (e.touches.length === 2) { this.hook.cueState.status = 'inactive'; this.hook.camera.isPanning = true; this.hook.camera.lastTouchDistance = this.getTouchDistance(e.touches); this.hook.camera.lastTouchMidpoint = this.getTouchMidpoint(e.touches); this.addGlobalListeners(); } }
-    handleTouchMove(e) { e.preventDefault(); const { camera, cueState } = this.hook; if (cueState.status === 'aiming' && e.touches.length === 1) { const worldPos = this.hook.cameraModule.screenToWorld(this.getMousePos(e.touches[0]), camera, this.hook.canvas); this.hook.cueModule.updateAim(cueState, worldPos); } else if (camera.isPanning && e.touches.length === 2) { const newMidpoint = this.getTouchMidpoint(e.touches); const newDistance = this.getTouchDistance(e.touches); if (camera.lastTouchDistance > 0) { const zoomFactor = newDistance / camera.lastTouchDistance; this.hook.cameraModule.zoom(camera, zoomFactor, newMidpoint, this.hook.canvas); } const cosR = Math.cos(camera.rotation), sinR = Math.sin(camera.rotation); const dx = (newMidpoint.x - camera.lastTouchMidpoint.x) / camera.zoom; const dy = (newMidpoint.y - camera.lastTouchMidpoint.y) / camera.zoom; camera.pan.x -= dx * cosR + dy * sinR; camera.pan.y -= dy * cosR - dx * sinR; camera.lastTouchDistance = newDistance; camera.lastTouchMidpoint = newMidpoint; } }
-    handleTouchEnd(e) { if (e.touches.length < 2) this.hook.camera.isPanning = false; if (e.touches.length < 1 && this.hook.cueState.status === 'aiming') { this.hook.cueModule.applyStrike(this.hook); } this.removeGlobalListeners(); }
-    handleKeyDown(e) { const keyMap = { "ArrowUp": "up", "KeyW": "up", "ArrowDown": "down", "KeyS": "down", "ArrowLeft": "left", "KeyA": "left", "ArrowRight": "right", "KeyD": "right" }; if (keyMap[e.code]) { e.preventDefault(); this.hook.camera.keyboardPanState[keyMap[e.code]] = true; } }
+    handleMouseDown(e) { e.preventDefault(); const mousePos = this.getMousePos(e); if (e.button === 0) { const worldPos = this.hook.cameraModule.screenToWorld(mousePos, this.hook.camera, this.hook.viewport); if (this.hook.ballInHandModule.startPlacement(this.hook, worldPos)) { this.addGlobalListeners(); } else { this.startPointerAim(mousePos); } } else if (e.button === 2) { this.hook.camera.isPanning = true; this.hook.camera.lastMouse = mousePos; this.hook.canvas.style.cursor = 'grabbing'; this.addGlobalListeners(); } }
+    handleMouseMove(e) { const mousePos = this.getMousePos(e); if (this.hook.camera.isPanning) { const { camera } = this.hook; const cosR = Math.cos(camera.rotation), sinR = Math.sin(camera.rotation); const dx = (mousePos.x - camera.lastMouse.x) / camera.zoom; const dy = (mousePos.y - camera.lastMouse.y) / camera.zoom; camera.pan.x -= dx * cosR + dy * sinR; camera.pan.y -= dy * cosR - dx * sinR; camera.lastMouse = mousePos; } else if (this.hook.placement.dragging) { this.hook.ballInHandModule.movePlacement(this.hook.placement, this.hook.cameraModule.screenToWorld(mousePos, this.hook.camera, this.hook.viewport)); } else if (this.hook.cueState.pointerAiming) { this.movePointerAim(mousePos); } }
+    handleMouseUp(e) { if (e.button === 2) { this.hook.camera.isPanning = false; this.hook.canvas.style.cursor = 'grab'; } if (this.hook.placement.dragging && e.button === 0) { this.hook.ballInHandModule.confirmPlacement(this.hook); } if (this.hook.cueState.pointerAiming && e.button === 0) { this.endPointerAim(); } this.removeGlobalListeners(); }
+    handleWheel(e) { e.preventDefault(); const zoomFactor = e.deltaY < 0 ? 1.1 : 0.9; this.hook.cameraModule.zoom(this.hook.camera, zoomFactor, this.getMousePos(e), this.hook.viewport); }
+    handleTouchStart(e) { e.preventDefault(); if (e.touches.length === 1) { const touchPos = this.getMousePos(e.touches[0]); const worldPos = this.hook.cameraModule.screenToWorld(touchPos, this.hook.camera, this.hook.viewport); if (this.hook.ballInHandModule.startPlacement(this.hook, worldPos)) { this.addGlobalListeners(); } else if (this.hook.cueState.inputMode === 'touch') { this.hook.touchModule.touchStart(this.hook, touchPos, performance.now()); this.addGlobalListeners(); } else { this.startPointerAim(touchPos); } } else if (e.touches.length === 2) { if (this.hook.cueState.inputMode === 'touch') { this.hook.touchModule.touchCancel(this.hook.touch); } else { this.hook.cueModule.cancelAiming(this.hook.cueState); } this.hook.camera.isPanning = true; this.hook.camera.lastTouchDistance = this.getTouchDistance(e.touches); this.hook.camera.lastTouchMidpoint = this.getTouchMidpoint(e.touches); this.addGlobalListeners(); } }
+    handleTouchMove(e) { e.preventDefault(); const { camera, cueState } = this.hook; if (this.hook.placement.dragging && e.touches.length === 1) { this.hook.ballInHandModule.movePlacement(this.hook.placement, this.hook.cameraModule.screenToWorld(this.getMousePos(e.touches[0]), camera, this.hook.viewport)); } else if (this.hook.touch.start && e.touches.length === 1) { this.hook.touchModule.touchMove(this.hook, this.getMousePos(e.touches[0])); } else if (cueState.pointerAiming && e.touches.length === 1) { this.movePointerAim(this.getMousePos(e.touches[0])); } else if (camera.isPanning && e.touches.length === 2) { const newMidpoint = this.getTouchMidpoint(e.touches); const newDistance = this.getTouchDistance(e.touches); if (camera.lastTouchDistance > 0) { const zoomFactor = newDistance / camera.lastTouchDistance; this.hook.cameraModule.zoom(camera, zoomFactor, newMidpoint, this.hook.viewport); } const cosR = Math.cos(camera.rotation), sinR = Math.sin(camera.rotation); const dx = (newMidpoint.x - camera.lastTouchMidpoint.x) / camera.zoom; const dy = (newMidpoint.y - camera.lastTouchMidpoint.y) / camera.zoom; camera.pan.x -= dx * cosR + dy * sinR; camera.pan.y -= dy * cosR - dx * sinR; camera.lastTouchDistance = newDistance; camera.lastTouchMidpoint = newMidpoint; } }
+    handleTouchEnd(e) { if (e.touches.length < 2) this.hook.camera.isPanning = false; if (e.touches.length < 1 && this.hook.placement.dragging) { this.hook.ballInHandModule.confirmPlacement(this.hook); } if (e.touches.length < 1 && this.hook.touch.start) { this.hook.touchModule.touchEnd(this.hook, this.getMousePos(e.changedTouches[0]), performance.now()); } if (e.touches.length < 1 && this.hook.cueState.pointerAiming) { this.endPointerAim(); } this.removeGlobalListeners(); }
+    handleKeyDown(e) { if (this.handleAimKey(e)) return; if (e.code === 'KeyC' && !e.repeat && !isFormField(e.target)) { this.cycleCameraMode(); return; } const keyMap = { "ArrowUp": "up", "KeyW": "up", "ArrowDown": "down", "KeyS": "down", "ArrowLeft": "left", "KeyA": "left", "ArrowRight": "right", "KeyD": "right" }; if (keyMap[e.code]) { e.preventDefault(); this.hook.camera.keyboardPanState[keyMap[e.code]] = true; } }
     handleKeyUp(e) { const keyMap = { "ArrowUp": "up", "KeyW": "up", "ArrowDown": "down", "KeyS": "down", "ArrowLeft": "left", "KeyA": "left", "ArrowRight": "right", "KeyD": "right" }; if (keyMap[e.code]) { e.preventDefault(); this.hook.camera.keyboardPanState[keyMap[e.code]] = false; } }
+    // Mira com o mouse ou o toque, conforme o esquema de tacada: em 'drag' o taco é puxado
+    // a partir da branca e soltar taca; em 'slider' e 'meter' o clique (ou arrasto) só aponta,
+    // e a tacada sai pela barra de força, pelo botão Tacar ou pelo Espaço.
+    startPointerAim(screenPos) {
+        const { cueModule, cueState, cameraModule, camera, viewport } = this.hook;
+        const worldPos = cameraModule.screenToWorld(screenPos, camera, viewport);
+        if (cueState.inputMode === 'drag') {
+            if (!cueModule.startAiming(this.hook, worldPos)) return;
+            cueModule.dragAim(this.hook, screenPos);
+        } else {
+            if (!cueModule.aimAt(this.hook, worldPos)) return;
+            cueState.pointerAiming = true;
+        }
+        this.addGlobalListeners();
+    }
+
+    movePointerAim(screenPos) {
+        const { cueModule, cueState, cameraModule, camera, viewport } = this.hook;
+        if (cueState.inputMode === 'drag') cueModule.dragAim(this.hook, screenPos);
+        else cueModule.aimAt(this.hook, cameraModule.screenToWorld(screenPos, camera, viewport));
+    }
+
+    endPointerAim() {
+        const { cueModule, cueState } = this.hook;
+        if (cueState.inputMode === 'drag') cueModule.applyStrike(this.hook);
+        else cueState.pointerAiming = false;
+    }
+
+    // Mira pelo teclado: Q/E giram o taco em torno da branca (1°, ou 0,1° com Shift),
+    // R/F ajustam a força (5%, ou 1% com Shift), Espaço taca e Esc cancela qualquer mira.
+    handleAimKey(e) {
+        const { cueModule, cueState } = this.hook;
+        if (e.code === 'Escape') {
+            if (cueState.status !== 'aiming') return false;
+            cueModule.cancelAiming(cueState);
+            this.removeGlobalListeners();
+            return true;
+        }
+
+        const action = AIM_KEYS[e.code];
+        if (!action || e.ctrlKey || e.metaKey || e.altKey || isFormField(e.target)) return false;
+        const directAiming = cueState.status === 'aiming' && cueState.directAim;
+        if (action.kind === 'strike' && !directAiming) return false; // Espaço só taca o que foi mirado
+        if (!directAiming && !cueModule.startDirectAiming(this.hook)) return false;
+        e.preventDefault();
+
+        const step = e.shiftKey ? action.fine : action.coarse;
+        if (action.kind === 'rotate') cueModule.rotateAim(cueState, step);
+        else if (action.kind === 'power') cueModule.changePower(cueState, step);
+        else if (!e.repeat) cueModule.applyStrike(this.hook);
+        return true;
+    }
     getMousePos(e) { const rect = this.hook.canvas.getBoundingClientRect(); return { x: e.clientX - rect.left, y: e.clientY - rect.top }; }
     getTouchDistance(touches) { const dx = touches[0].clientX - touches[1].clientX; const dy = touches[0].clientY - touches[1].clientY; return Math.sqrt(dx * dx + dy * dy); }
     getTouchMidpoint(touches) { const rect = this.hook.canvas.getBoundingClientRect(); const x = (touches[0].clientX + touches[1].clientX) / 2 - rect.left; const y = (touches[0].clientY + touches[1].clientY) / 2 - rect.top; return { x, y }; }
     addGlobalListeners() { window.addEventListener("mousemove", this.handleMouseMove); window.addEventListener("mouseup", this.handleMouseUp); window.addEventListener("touchmove", this.handleTouchMove, { passive: false }); window.addEventListener("touchend", this.handleTouchEnd, { passive: false }); }
     removeGlobalListeners() { window.removeEventListener("mousemove", this.handleMouseMove); window.removeEventListener("mouseup", this.handleMouseUp); window.removeEventListener("touchmove", this.handleTouchMove); window.removeEventListener("touchend", this.handleTouchEnd); }
+    // Seletor de efeito: o disco representa a bola branca vista pelo jogador.
+    // Clicar/arrastar escolhe o ponto de contato; duplo clique volta ao centro.
+    setupSpinSelector() {
+        this.spinSelector = this.hook.el.querySelector("#spin-selector");
+        this.spinDot = this.hook.el.querySelector("#spin-dot");
+        if (!this.spinSelector) return;
+
+        const pickSpin = (e) => {
+            const rect = this.spinSelector.getBoundingClientRect();
+            const radius = rect.width / 2;
+            const x = (e.clientX - rect.left - radius) / radius;
+            const y = -(e.clientY - rect.top - radius) / radius; // Para cima é follow
+            this.hook.cueModule.setSpin(this.hook.cueState, x, y);
+            this.updateSpinIndicator();
+        };
+
+        this.spinSelector.addEventListener("pointerdown", (e) => {
+            e.preventDefault();
+            this.spinSelector.setPointerCapture(e.pointerId);
+            pickSpin(e);
+        });
+        this.spinSelector.addEventListener("pointermove", (e) => {
+            if (this.spinSelector.hasPointerCapture(e.pointerId)) pickSpin(e);
+        });
+        this.spinSelector.addEventListener("dblclick", () => {
+            this.hook.cueModule.setSpin(this.hook.cueState, 0, 0);
+            this.updateSpinIndicator();
+        });
+        this.updateSpinIndicator();
+    }
+
+    updateSpinIndicator() {
+        if (!this.spinDot) return;
+        const { x, y } = this.hook.cueState.spin;
+        this.spinDot.style.left = `${50 + x * 50}%`;
+        this.spinDot.style.top = `${50 - y * 50}%`;
+    }
+
+    // Esquema de tacada. Em 'slider', a força vem do controle deslizante ou de arrastar
+    // a barra de força na vertical (soltar a barra taca); em 'meter', clicar na barra
+    // taca com a força em que o medidor estiver.
+    setupShotControls() {
+        this.shotControls = this.hook.el.querySelector("#shot-controls");
+        this.shotModeSelect = this.hook.el.querySelector("#shot-mode");
+        this.powerSlider = this.hook.el.querySelector("#power-slider");
+        this.powerBarContainer = this.hook.el.querySelector("#power-bar-container");
+        this.touchPowerStrip = this.hook.el.querySelector("#touch-power-strip");
+        if (!this.shotModeSelect) return;
+
+        const { cueModule, cueState } = this.hook;
+        Object.entries(cueModule.SHOT_MODES).forEach(([mode, label]) => this.shotModeSelect.add(new Option(label, mode)));
+        this.shotModeSelect.addEventListener("change", () => {
+            cueModule.setShotMode(cueState, this.shotModeSelect.value);
+            this.hook.touchModule.touchCancel(this.hook.touch);
+            this.removeGlobalListeners();
+            this.updateShotControls();
+        });
+        this.powerSlider?.addEventListener("input", () => cueModule.setPower(cueState, Number(this.powerSlider.value)));
+        this.hook.el.querySelector("#strike-btn")?.addEventListener("click", () => this.strikeAimedShot());
+
+        this.powerBarContainer?.addEventListener("pointerdown", (e) => {
+            if (cueState.inputMode === 'meter') this.strikeAimedShot();
+            if (cueState.inputMode !== 'slider') return;
+            e.preventDefault();
+            this.powerBarContainer.setPointerCapture(e.pointerId);
+            this.powerDrag = { y: e.clientY, power: cueState.power };
+        });
+        this.powerBarContainer?.addEventListener("pointermove", (e) => {
+            if (!this.powerDrag || !this.powerBarContainer.hasPointerCapture(e.pointerId)) return;
+            cueModule.setPower(cueState, this.powerDrag.power + (this.powerDrag.y - e.clientY) / cueState.POWER_BAR_DRAG_PX);
+        });
+        this.powerBarContainer?.addEventListener("pointerup", () => {
+            if (!this.powerDrag) return;
+            this.powerDrag = null;
+            this.strikeAimedShot();
+        });
+        this.setupTouchPowerStrip();
+        this.updateShotControls();
+    }
+
+    // Faixa de força do esquema 'touch': puxar para baixo aumenta a força, soltar taca
+    setupTouchPowerStrip() {
+        const strip = this.touchPowerStrip;
+        if (!strip) return;
+
+        const { touchModule } = this.hook;
+        strip.addEventListener("pointerdown", (e) => {
+            e.preventDefault();
+            if (!touchModule.startPowerPull(this.hook, e.clientY, strip.getBoundingClientRect().height)) return;
+            strip.setPointerCapture(e.pointerId);
+        });
+        strip.addEventListener("pointermove", (e) => {
+            if (strip.hasPointerCapture(e.pointerId)) touchModule.movePowerPull(this.hook, e.clientY);
+        });
+        strip.addEventListener("pointerup", () => touchModule.endPowerPull(this.hook));
+        strip.addEventListener("pointercancel", () => { this.hook.touch.powerPull = null; });
+    }
+
+    updateShotControls() {
+        const { inputMode } = this.hook.cueState;
+        if (this.shotModeSelect) this.shotModeSelect.value = inputMode;
+        if (this.shotControls) this.shotControls.dataset.shotMode = inputMode;
+        if (this.powerBarContainer) this.powerBarContainer.dataset.shotMode = inputMode;
+        if (this.touchPowerStrip) this.touchPowerStrip.dataset.shotMode = inputMode;
+    }
+
+    /** Taca o que foi mirado por ângulo (clique, teclado ou controle), se houver */
+    strikeAimedShot() {
+        const { cueModule, cueState } = this.hook;
+        if (cueState.status === 'aiming' && cueState.directAim) cueModule.applyStrike(this.hook);
+    }
+
+    // Controles de replay: rever as últimas N tacadas com pausa, linha do tempo e velocidade.
+    // Enquanto o replay está aberto, a mesa ao vivo não aceita tacadas.
+    setupReplayControls() {
+        const query = (id) => this.hook.el.querySelector(id);
+        this.replayOpenBtn = query("#replay-open-btn");
+        this.replayCount = query("#replay-count");
+        this.replayPanel = query("#replay-panel");
+        this.replayPlayBtn = query("#replay-play-btn");
+        this.replayScrubber = query("#replay-scrubber");
+        this.replaySpeed = query("#replay-speed");
+        this.replayCloseBtn = query("#replay-close-btn");
+        if (!this.replayPanel) return;
+
+        const { replay, replayModule } = this.hook;
+
+        // O reprodutor de replays (`/replay`) só tem o painel, sem abrir/fechar
+        this.replayOpenBtn?.addEventListener("click", () => {
+            if (!replayModule.startReplay(replay, Number(this.replayCount.value))) return;
+            this.hook.cueState.status = 'inactive';
+            this.updateReplayControls();
+        });
+        this.replayPlayBtn.addEventListener("click", () => {
+            replayModule.togglePlayback(replay);
+            this.updateReplayControls();
+        });
+        this.replayScrubber.addEventListener("input", () => {
+            if (!replay.playback) return;
+            replay.playback.playing = false;
+            replayModule.seekReplay(replay, Number(this.replayScrubber.value));
+            this.updateReplayControls();
+        });
+        this.replaySpeed.addEventListener("change", () => replayModule.setReplaySpeed(replay, Number(this.replaySpeed.value)));
+        this.replayCloseBtn?.addEventListener("click", () => {
+            replayModule.stopReplay(replay);
+            this.updateReplayControls();
+        });
+        this.updateReplayControls();
+    }
+
+    updateReplayControls() {
+        if (!this.replayPanel) return;
+        const { shots, playback } = this.hook.replay;
+
+        if (this.replayOpenBtn) this.replayOpenBtn.disabled = shots.length === 0 || !!playback;
+        this.replayPanel.hidden = !playback;
+        if (!playback) return;
+
+        this.replayPlayBtn.textContent = playback.playing ? '⏸' : '▶';
+        this.replayScrubber.max = Math.round(playback.duration);
+        this.replayScrubber.value = Math.round(playback.position);
+    }
+
+    // Som: o navegador só libera o áudio depois de um gesto do usuário
+    setupSoundControls() {
+        this.hook.el.addEventListener("pointerdown", this.handleAudioUnlock);
+        window.addEventListener("keydown", this.handleAudioUnlock);
+
+        this.muteBtn = this.hook.el.querySelector("#mute-btn");
+        this.volumeSlider = this.hook.el.querySelector("#volume-slider");
+        if (!this.muteBtn || !this.volumeSlider) return;
+
+        const { audio, soundModule } = this.hook;
+        this.muteBtn.addEventListener("click", () => {
+            soundModule.setMuted(audio, !audio.muted);
+            this.updateSoundControls();
+        });
+        this.volumeSlider.addEventListener("input", () => {
+            soundModule.setVolume(audio, Number(this.volumeSlider.value));
+            if (audio.muted && audio.volume > 0) soundModule.setMuted(audio, false);
+            this.updateSoundControls();
+        });
+        this.updateSoundControls();
+    }
+
+    // Aparência: um tema pronto ou cada parte à mão. Vale a partir do próximo frame
+    // (a assinatura do frame inclui o tema) e fica salva no navegador.
+    setupThemeControls() {
+        this.themePanel = this.hook.el.querySelector("#theme-panel");
+        this.themePresetSelect = this.hook.el.querySelector("#theme-preset");
+        this.themePartSelects = {
+            table: this.hook.el.querySelector("#theme-table"),
+            balls: this.hook.el.querySelector("#theme-balls"),
+            cue: this.hook.el.querySelector("#theme-cue")
+        };
+        if (!this.themePanel || !this.themePresetSelect) return;
+
+        const { theme, themeModule } = this.hook;
+        this.hook.el.querySelector("#theme-btn")?.addEventListener("click", () => {
+            this.themePanel.hidden = !this.themePanel.hidden;
+        });
+
+        this.themePresetSelect.add(new Option('Personalizado', ''));
+        this.themePresetSelect.options[0].disabled = true;
+        Object.entries(themeModule.THEMES).forEach(([name, { label }]) => this.themePresetSelect.add(new Option(label, name)));
+        this.themePresetSelect.addEventListener("change", () => {
+            themeModule.applyPreset(theme, this.themePresetSelect.value);
+            this.updateThemeControls();
+        });
+
+        const registries = { table: themeModule.TABLE_STYLES, balls: themeModule.BALL_SETS, cue: themeModule.CUE_SKINS };
+        Object.entries(this.themePartSelects).forEach(([part, select]) => {
+            if (!select) return;
+            Object.entries(registries[part]).forEach(([key, { label }]) => select.add(new Option(label, key)));
+            select.addEventListener("change", () => {
+                themeModule.setTheme(theme, { [part]: select.value });
+                this.updateThemeControls();
+            });
+        });
+        this.updateThemeControls();
+    }
+
+    updateThemeControls() {
+        const { theme, themeModule } = this.hook;
+        this.themePresetSelect.value = themeModule.presetOf(theme) || '';
+        Object.entries(this.themePartSelects).forEach(([part, select]) => {
+            if (select) select.value = theme[part];
+        });
+    }
+
+    setupCameraModeButton() {
+        this.cameraModeBtn = this.hook.el.querySelector("#camera-mode-btn");
+        this.cameraModeBtn?.addEventListener("click", () => this.cycleCameraMode());
+        this.updateCameraModeButton();
+    }
+
+    cycleCameraMode() {
+        this.hook.cameraModule.cycleCameraMode(this.hook.camera);
+        this.updateCameraModeButton();
+    }
+
+    updateCameraModeButton() {
+        if (!this.cameraModeBtn) return;
+        const { icon, label } = this.hook.cameraModule.CAMERA_MODES[this.hook.camera.mode];
+        this.cameraModeBtn.textContent = icon;
+        this.cameraModeBtn.title = `${label} (tecla C)`;
+    }
+
+    // Controle: a ajuda com o mapeamento aparece quando ele é conectado e
+    // alterna com o botão Select/Back; as zonas mortas são ajustadas nela.
+    setupGamepadHint() {
+        window.addEventListener("gamepadconnected", this.handleGamepadConnected);
+
+        this.gamepadHint = this.hook.el.querySelector("#gamepad-hint");
+        this.stickDeadZoneSlider = this.hook.el.querySelector("#gamepad-stick-deadzone");
+        this.triggerDeadZoneSlider = this.hook.el.querySelector("#gamepad-trigger-deadzone");
+        if (!this.gamepadHint) return;
+
+        const { gamepad, gamepadModule } = this.hook;
+        this.hook.el.querySelector("#gamepad-hint-close")?.addEventListener("click", () => this.toggleGamepadHint(false));
+        this.stickDeadZoneSlider?.addEventListener("input", () => {
+            gamepadModule.setDeadZones(gamepad, { stick: Number(this.stickDeadZoneSlider.value) });
+        });
+        this.triggerDeadZoneSlider?.addEventListener("input", () => {
+            gamepadModule.setDeadZones(gamepad, { trigger: Number(this.triggerDeadZoneSlider.value) });
+        });
+    }
+
+    handleGamepadConnected(e) {
+        this.hook.gamepad.index = e.gamepad.index;
+        this.toggleGamepadHint(true);
+    }
+
+    toggleGamepadHint(visible = this.gamepadHint?.hidden) {
+        if (!this.gamepadHint) return;
+        this.gamepadHint.hidden = !visible;
+        if (!visible) return;
+
+        const { stickDeadZone, triggerDeadZone } = this.hook.gamepad;
+        if (this.stickDeadZoneSlider) this.stickDeadZoneSlider.value = stickDeadZone;
+        if (this.triggerDeadZoneSlider) this.triggerDeadZoneSlider.value = triggerDeadZone;
+    }
+
+    /** Chamado a cada frame pelo `drawFrame` (a Gamepad API não tem eventos de botão) */
+    pollGamepad(deltaTime) {
+        const { gamepadModule } = this.hook;
+        if (this.hook.gamepad.index === null) return;
+
+        const pressed = gamepadModule.pollGamepad(this.hook, deltaTime);
+        if (pressed.includes(gamepadModule.BUTTONS.BACK)) this.toggleGamepadHint();
+        if (pressed.includes(gamepadModule.BUTTONS.X)) this.cycleCameraMode();
+        if (pressed.length > 0) this.handleAudioUnlock();
+    }
+
+    handleAudioUnlock() {
+        this.hook.soundModule.unlockAudio(this.hook.audio);
+    }
+
+    updateSoundControls() {
+        const { muted, volume } = this.hook.audio;
+        this.muteBtn.textContent = muted || volume === 0 ? '🔇' : '🔊';
+        this.volumeSlider.value = volume;
+    }
+
     setupDPadListeners() { const dPadMap = { "d-pad-up": "up", "d-pad-down": "down", "d-pad-left": "left", "d-pad-right": "right" }; for (const [id, direction] of Object.entries(dPadMap)) { const button = this.hook.el.querySelector(`#${id}`); if(button) { const setPanState = (state) => { this.hook.camera.panState[direction] = state; }; button.addEventListener("mousedown", () => setPanState(true)); button.addEventListener("touchstart", (e) => { e.preventDefault(); setPanState(true); }); button.addEventListener("mouseup", () => setPanState(false)); button.addEventListener("touchend", (e) => { e.preventDefault(); setPanState(false); }); button.addEventListener("mouseleave", () => setPanState(false)); } } }
 }
 
@@ -0,0 +1,109 @@
+/**
+ * @file interpolation.js
+ * @description Buffer de snapshots por partícula e interpolação no tempo de simulação.
+ * O servidor carimba cada atualização com `tick`/`sim_time`; o cliente desenha um
+ * pouco no passado (INTERPOLATION_DELAY_MS) para sempre ter dois snapshots entre os
+ * quais interpolar, e extrapola por um tempo limitado quando os pacotes atrasam.
+ */
+
+/** Atualiza a estimativa do offset entre o relógio local e o relógio de simulação */
+function updateClockOffset(sync, simTime, now) {
+  const sample = now - simTime;
+  if (sync.offset === null || sample < sync.offset) {
+    // Pacotes que chegam mais rápido revelam a latência mínima: adota imediatamente.
+    sync.offset = sample;
+  } else {
+    // Deriva lentamente para cima, acompanhando um servidor que simula mais devagar que o tempo real.
+    sync.offset += (sample - sync.offset) * sync.OFFSET_DRIFT_RATE;
+  }
+}
+
+const simTimeOf = (particle, sync) => particle.sim_time ?? (particle.tick || 0) * sync.TICK_MS;
+
+/** Registra o payload recebido no buffer de snapshots da partícula */
+export function recordSnapshot(particle, previous, sync, now = performance.now()) {
+  const snapshots = previous?.snapshots || [];
+  const simTime = simTimeOf(particle, sync);
+  const snapshot = {
+    t: simTime,
+    pos: particle.pos,
+    vel: particle.vel,
+    roll_distance: particle.roll_distance
+  };
+
+  updateClockOffset(sync, simTime, now);
+
+  const last = snapshots[snapshots.length - 1];
+  if (last && last.t === simTime) {
+    // Mais de uma atualização no mesmo tick (ex: movimento + colisão): vale a última.
+    snapshots[snapshots.length - 1] = snapshot;
+  } else if (last && last.t > simTime) {
+    // Atualização fora de ordem: descarta o histórico mais novo para não voltar no tempo.
+    snapshots.length = 0;
+    snapshots.push(snapshot);
+  } else {
+    snapshots.push(snapshot);
+    if (snapshots.length > sync.BUFFER_SIZE) snapshots.shift();
+  }
+
+  particle.snapshots = snapshots;
+}
+
+/** Instante (em tempo de simulação) que deve ser desenhado agora */
+export function getRenderTime(sync, now = performance.now()) {
+  if (sync.offset === null) return null;
+  return now - sync.offset - sync.INTERPOLATION_DELAY_MS;
+}
+
+/** Instante (no relógio local) em que a atualização `particle` aparece na tela */
+export function getDisplayTime(sync, particle, now = performance.now()) {
+  if (sync.offset === null) return now;
+  return simTimeOf(particle, sync) + sync.offset + sync.INTERPOLATION_DELAY_MS;
+}
+
+const lerp = (a, b, alpha) => a + (b - a) * alpha;
+
+/**
+ * Calcula o estado visual da partícula em `renderTime` e o guarda em `particle.render`.
+ * Sem buffer ou sem relógio sincronizado, usa o último estado recebido.
+ */
+export function sampleParticle(particle, renderTime, sync) {
+  const snapshots = particle.snapshots;
+  if (!snapshots || snapshots.length === 0 || renderTime === null) {
+    particle.render = { pos: particle.pos, vel: particle.vel, roll_distance: particle.roll_distance };
+    return particle.render;
+  }
+
+  const first = snapshots[0];
+  const last = snapshots[snapshots.length - 1];
+
+  if (renderTime <= first.t) {
+    particle.render = { pos: first.pos, vel: first.vel, roll_distance: first.roll_distance };
+  } else if (renderTime >= last.t) {
+    // Pacote atrasado: extrapola a partir da última velocidade conhecida, por tempo limitado.
+    const dt = Math.min(renderTime - last.t, sync.MAX_EXTRAPOLATION_MS) / 1000;
+    const [x, y] = last.pos;
+    const [vx, vy] = last.vel;
+    particle.render = {
+      pos: [x + vx * dt, y + vy * dt],
+      vel: last.vel,
+      roll_distance: last.roll_distance + Math.sqrt(vx * vx + vy * vy) * dt
+    };
+  } else {
+    let i = snapshots.length - 2;
+    while (i > 0 && snapshots[i].t > renderTime) i--;
+    const a = snapshots[i];
+    const b = snapshots[i + 1];
+    const alpha = (renderTime - a.t) / (b.t - a.t);
+    particle.render = {
+      pos: [lerp(a.pos[0], b.pos[0], alpha), lerp(a.pos[1], b.pos[1], alpha)],
+      vel: [lerp(a.vel[0], b.vel[0], alpha), lerp(a.vel[1], b.vel[1], alpha)],
+      // `roll_distance` é zerado em colisões; nesse caso não há o que interpolar.
+      roll_distance: b.roll_distance >= a.roll_distance
+        ? lerp(a.roll_distance, b.roll_distance, alpha)
+        : b.roll_distance
+    };
+  }
+
+  return particle.render;
+}
@@ -0,0 +1,208 @@
+/**
+ * @file layers.js
+ * @description Caches do renderer. A mesa é desenhada numa camada fora da tela,
+ * refeita só quando a câmera ou o tamanho do canvas mudam. O brilho e a sombra das
+ * bolas são sprites pré-rasterizados, comuns a todas as bolas do mesmo tamanho (as
+ * marcas de cada bola giram com ela; ver orientation.js). Cada frame tem uma
+ * assinatura com tudo o que aparece na tela; quando ela não muda, o frame é pulado.
+ */
+
+import { resolveTheme } from './themes';
+
+const MAX_SPRITE_RADIUS_PX = 128; // Acima disso o sprite fica grande demais para o ganho de nitidez
+const SCALE_STEPS_PER_OCTAVE = 4; // Resoluções dos sprites: 2^(1/4) entre uma e outra
+
+/** Canvas fora da tela (OffscreenCanvas quando disponível) */
+export function createLayerCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+/** Aplica a escala da tela (devicePixelRatio) e a transformação da câmera */
+export function applyCameraTransform(ctx, camera, viewport) {
+  const { pan, zoom, rotation } = camera;
+  ctx.setTransform(viewport.dpr, 0, 0, viewport.dpr, 0, 0);
+  ctx.translate(viewport.width / 2, viewport.height / 2);
+  ctx.rotate(rotation);
+  ctx.scale(zoom, zoom);
+  ctx.translate(-pan.x, -pan.y);
+}
+
+// --- Mesa ---
+
+/** Camada com a mesa vista pela câmera atual, redesenhada só quando algo nela muda (inclusive o tema) */
+export function tableLayer(hook) {
+  const { renderCache: cache, canvas, camera, viewport, table, theme } = hook;
+  const key = [canvas.width, canvas.height, viewport.dpr, camera.pan.x, camera.pan.y, camera.zoom, camera.rotation, table, theme.table];
+  if (cache.tableLayer && sameValues(cache.tableKey, key)) return cache.tableLayer;
+
+  if (!cache.tableLayer || cache.tableLayer.width !== canvas.width || cache.tableLayer.height !== canvas.height) {
+    cache.tableLayer = createLayerCanvas(canvas.width, canvas.height);
+  }
+  const ctx = cache.tableLayer.getContext('2d');
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  applyCameraTransform(ctx, camera, viewport);
+  drawTable(ctx, table, resolveTheme(theme).table);
+
+  cache.tableKey = key;
+  return cache.tableLayer;
+}
+
+function drawTable(ctx, table, style) {
+  const { width, height, cushion_width: borderWidth, pockets, spots, lines, arcs = [] } = table;
+
+  ctx.fillStyle = style.cloth;
+  ctx.fillRect(0, 0, width, height);
+  ctx.fillStyle = style.rail;
+  ctx.fillRect(0, 0, width, borderWidth);
+  ctx.fillRect(0, height - borderWidth, width, borderWidth);
+  ctx.fillRect(0, 0, borderWidth, height);
+  ctx.fillRect(width - borderWidth, 0, borderWidth, height);
+
+  // Marcações da mesa (linhas, arcos como o D da sinuca e pontos). Replays
+  // gravados antes dos arcos não os trazem.
+  ctx.strokeStyle = style.markings;
+  ctx.lineWidth = 1.5;
+  lines.forEach(({ from: [x1, y1], to: [x2, y2] }) => {
+    ctx.beginPath();
+    ctx.moveTo(x1, y1);
+    ctx.lineTo(x2, y2);
+    ctx.stroke();
+  });
+  arcs.forEach(({ center: [x, y], radius, start_angle, end_angle }) => {
+    ctx.beginPath();
+    ctx.arc(x, y, radius, start_angle, end_angle);
+    ctx.stroke();
+  });
+  ctx.fillStyle = style.spots;
+  spots.forEach(({ pos: [x, y] }) => {
+    ctx.beginPath();
+    ctx.arc(x, y, 2.5, 0, Math.PI * 2);
+    ctx.fill();
+  });
+
+  ctx.fillStyle = style.pocket;
+  ctx.strokeStyle = style.pocketRim;
+  ctx.lineWidth = 3;
+  pockets.forEach(({ pos: [x, y], mouth }) => {
+    ctx.beginPath();
+    ctx.arc(x, y, mouth / 2, 0, Math.PI * 2);
+    ctx.fill();
+    if (style.pocketRim) ctx.stroke();
+  });
+}
+
+// --- Sprites das bolas ---
+
+/**
+ * Pixels do sprite por unidade do mundo, arredondados para poucas resoluções
+ * (o zoom contínuo não cria um sprite novo a cada frame).
+ */
+function spriteScale(radius, devicePixelsPerUnit) {
+  const scale = Math.min(devicePixelsPerUnit, MAX_SPRITE_RADIUS_PX / radius);
+  return Math.pow(2, Math.ceil(Math.log2(scale) * SCALE_STEPS_PER_OCTAVE) / SCALE_STEPS_PER_OCTAVE);
+}
+
+function cachedSprite(cache, key, build) {
+  let sprite = cache.sprites.get(key);
+  if (!sprite) {
+    if (cache.sprites.size >= cache.MAX_SPRITES) cache.sprites.clear(); // Ex: depois de muito zoom
+    sprite = build();
+    cache.sprites.set(key, sprite);
+  }
+  return sprite;
+}
+
+/** Brilho, sombra e contorno, iguais para todas as bolas do mesmo raio */
+export function ballShading(cache, radius, devicePixelsPerUnit, dpr) {
+  const scale = spriteScale(radius, devicePixelsPerUnit);
+  const key = `shading:${radius}:${scale}:${dpr}`;
+
+  return cachedSprite(cache, key, () => {
+    const outline = dpr / scale; // 1 pixel de tela, em unidades do mundo
+    const size = radius * 2 + outline * 2;
+    const canvas = createLayerCanvas(Math.ceil(size * scale), Math.ceil(size * scale));
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    ctx.translate(size / 2, size / 2);
+
+    ctx.beginPath();
+    ctx.arc(0, 0, radius, 0, Math.PI * 2);
+    const gradient = ctx.createRadialGradient(-radius * 0.3, -radius * 0.3, radius * 0.1, 0, 0, radius);
+    gradient.addColorStop(0, 'rgba(255, 255, 255, 0.7)');
+    gradient.addColorStop(0.5, 'rgba(255, 255, 255, 0)');
+    gradient.addColorStop(1, 'rgba(0, 0, 0, 0.3)');
+    ctx.fillStyle = gradient;
+    ctx.fill();
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.2)';
+    ctx.lineWidth = outline;
+    ctx.stroke();
+    return { canvas, size };
+  });
+}
+
+/** Sombra suave no pano, comum a todas as bolas do mesmo raio */
+export function ballShadow(cache, radius, devicePixelsPerUnit) {
+  const scale = spriteScale(radius, devicePixelsPerUnit);
+  const key = `shadow:${radius}:${scale}`;
+
+  return cachedSprite(cache, key, () => {
+    const size = radius * 3;
+    const canvas = createLayerCanvas(Math.ceil(size * scale), Math.ceil(size * scale));
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    const gradient = ctx.createRadialGradient(size / 2, size / 2, radius * 0.4, size / 2, size / 2, size / 2);
+    gradient.addColorStop(0, 'rgba(0, 0, 0, 0.45)');
+    gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, size, size);
+    return { canvas, size };
+  });
+}
+
+// --- Frames sujos ---
+
+function sameValues(a, b) {
+  return !!a && a.length === b.length && a.every((value, i) => value === b[i]);
+}
+
+/**
+ * Tudo o que o frame desenha (câmera, bolas já interpoladas, taco, bola na mão,
+ * placar, replay, lupa, tema). Chamada depois de amostrar as bolas e antes de desenhar.
+ */
+function frameSignature(hook, balls, now) {
+  const { camera, viewport, cueState, placement, replay, table, theme } = hook;
+  const hud = replay.playback ? replay.playback.hud : hook.hud;
+  const bannerVisible = !!hud.banner && now < hud.banner.until;
+  const notice = hud.notice && now < hud.notice.until ? hud.notice : null;
+  const signature = [
+    viewport.width, viewport.height, viewport.dpr, camera.pan.x, camera.pan.y, camera.zoom, camera.rotation, table,
+    hook.role, hook.settings, hook.shotInProgress, hud.gameState, bannerVisible, notice, replay.playback,
+    cueState.status, cueState.start.x, cueState.start.y, cueState.end.x, cueState.end.y,
+    placement.pos?.x, placement.pos?.y, placement.dragging, placement.pending,
+    hook.touch?.loupe?.x, hook.touch?.loupe?.y, theme.table, theme.balls, theme.cue
+  ];
+  balls.forEach(particle => {
+    const { pos, roll_distance } = particle.render || particle;
+    signature.push(particle.id, pos[0], pos[1], roll_distance, particle.spin_angle);
+  });
+  return signature;
+}
+
+/** O frame precisa ser desenhado? Guarda a assinatura para comparar com o próximo */
+export function isFrameDirty(hook, balls, now) {
+  // A animação da tacada e os efeitos dependem do relógio (e a tacada envia a força ao servidor)
+  if (hook.cueState.status === 'striking' || hook.effects.items.length > 0) {
+    hook.renderCache.lastSignature = null;
+    return true;
+  }
+
+  const signature = frameSignature(hook, balls, now);
+  if (sameValues(hook.renderCache.lastSignature, signature)) return false;
+  hook.renderCache.lastSignature = signature;
+  return true;
+}
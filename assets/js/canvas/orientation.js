@@ -0,0 +1,148 @@
+/**
+ * @file orientation.js
+ * @description Orientação 3D das bolas. Cada bola guarda um quatérnio (corpo → mundo)
+ * que gira com o deslocamento desenhado: rolar sem deslizar uma distância `d` gira a
+ * bola `d / raio` radianos em torno do eixo horizontal perpendicular ao movimento, e o
+ * `spin_angle` do servidor gira em torno da vertical. As marcas (números e faixa) são
+ * calotas esféricas fixas no corpo, projetadas na metade da bola voltada para a câmera.
+ *
+ * Eixos do mundo: x e y como na mesa (y para baixo na tela) e z apontando para dentro
+ * da mesa, de modo que o hemisfério visível é o de z < 0.
+ */
+
+const UP = [0, 0, -1]; // Normal da mesa, na direção da câmera
+const OUTLINE_SEGMENTS = 24;
+
+// --- Quatérnios ([w, x, y, z]) ---
+
+export const IDENTITY = [1, 0, 0, 0];
+
+export function multiply([aw, ax, ay, az], [bw, bx, by, bz]) {
+  return [
+    aw * bw - ax * bx - ay * by - az * bz,
+    aw * bx + ax * bw + ay * bz - az * by,
+    aw * by - ax * bz + ay * bw + az * bx,
+    aw * bz + ax * by - ay * bx + az * bw
+  ];
+}
+
+export function normalize(q) {
+  const length = Math.hypot(...q);
+  return length === 0 ? IDENTITY : q.map(value => value / length);
+}
+
+/** Rotação de `angle` radianos em torno de `axis` (unitário) */
+export function fromAxisAngle([x, y, z], angle) {
+  const s = Math.sin(angle / 2);
+  return [Math.cos(angle / 2), x * s, y * s, z * s];
+}
+
+/** Leva um vetor do corpo da bola para o mundo */
+export function rotate([w, x, y, z], [vx, vy, vz]) {
+  // v' = v + 2w (q × v) + 2 q × (q × v), com q = (x, y, z)
+  const tx = 2 * (y * vz - z * vy);
+  const ty = 2 * (z * vx - x * vz);
+  const tz = 2 * (x * vy - y * vx);
+  return [
+    vx + w * tx + (y * tz - z * ty),
+    vy + w * ty + (z * tx - x * tz),
+    vz + w * tz + (x * ty - y * tx)
+  ];
+}
+
+const cross = ([ax, ay, az], [bx, by, bz]) => [ay * bz - az * by, az * bx - ax * bz, ax * by - ay * bx];
+
+// --- Rolamento ---
+
+/**
+ * Gira a bola pelo quanto ela andou desde o último frame desenhado e retorna a nova
+ * orientação. Saltos (bola recolocada, replay voltando no tempo) não giram a bola:
+ * a distância rolada diminuiu ou o deslocamento é maior do que ela explica.
+ */
+export function advanceOrientation(particle) {
+  const { radius, spin_angle: spin = 0 } = particle;
+  const { pos: [x, y], roll_distance: rolled } = particle.render || particle;
+  const last = particle.orientationRef;
+  let orientation = particle.orientation || IDENTITY;
+
+  if (last) {
+    const dx = x - last.x, dy = y - last.y;
+    const distance = Math.hypot(dx, dy);
+    const rolledDelta = rolled - last.rolled;
+
+    if (distance > 0 && rolledDelta >= 0 && distance <= rolledDelta + radius) {
+      // O ponto de contato com a mesa fica parado: ω ∥ (d × ẑ)
+      const axis = [dy / distance, -dx / distance, 0];
+      orientation = multiply(fromAxisAngle(axis, distance / radius), orientation);
+    }
+    if (spin !== last.spin) orientation = multiply(fromAxisAngle(UP, spin - last.spin), orientation);
+    orientation = normalize(orientation);
+  }
+
+  particle.orientation = orientation;
+  particle.orientationRef = { x, y, rolled, spin };
+  return orientation;
+}
+
+/** Copia a orientação de uma versão anterior da mesma bola (as atualizações criam objetos novos) */
+export function keepOrientation(particle, previous) {
+  if (!previous) return;
+  particle.orientation = previous.orientation;
+  particle.orientationRef = previous.orientationRef;
+}
+
+// --- Projeção das marcas ---
+
+/**
+ * Contorno visível de uma calota esférica (uma bola de raio 1) vista de cima, ou
+ * `null` se ela está toda no hemisfério escondido. `axis` e `tangent` são eixos do
+ * corpo (o centro da calota e a direção "direita" do número); `angularRadius` é o
+ * raio angular da calota.
+ *
+ * Retorna `{ points, limb, center, tangent, bitangent, facing }`: `points` é a borda
+ * visível da calota; `limb`, quando a calota cruza a silhueta, é o arco da silhueta
+ * que fecha o contorno (`{ start, end, anticlockwise }`, como em `ctx.arc`). `center`,
+ * `tangent` e `bitangent` dão o plano da calota, para desenhar o número sobre ela, e
+ * `facing` vai de 0 (de lado) a 1 (de frente para a câmera).
+ */
+export function capOutline(orientation, axis, tangent, angularRadius) {
+  const a = rotate(orientation, axis);
+  const u = rotate(orientation, tangent);
+  const v = cross(u, a); // Com este sentido, a calota vista de frente não sai espelhada
+  const cosA = Math.cos(angularRadius), sinA = Math.sin(angularRadius);
+
+  const point = (t) => {
+    const c = Math.cos(t) * sinA, s = Math.sin(t) * sinA;
+    return [a[0] * cosA + u[0] * c + v[0] * s, a[1] * cosA + u[1] * c + v[1] * s];
+  };
+
+  // Profundidade da borda: z(t) = offset + amplitude · cos(t − phase); visível onde z < 0
+  const offset = a[2] * cosA;
+  const amplitude = sinA * Math.hypot(u[2], v[2]);
+  const phase = Math.atan2(v[2], u[2]);
+  const threshold = amplitude < 1e-9 ? (offset < 0 ? Infinity : -Infinity) : -offset / amplitude;
+  if (threshold <= -1) return null;
+
+  const outline = { center: [a[0] * cosA, a[1] * cosA], tangent: u, bitangent: v, facing: Math.max(-a[2], 0), limb: null };
+  if (threshold >= 1) {
+    outline.points = sample(point, 0, Math.PI * 2, OUTLINE_SEGMENTS);
+    return outline;
+  }
+
+  const half = Math.acos(threshold);
+  const from = phase + half, to = phase + Math.PI * 2 - half;
+  outline.points = sample(point, from, to, Math.max(Math.ceil(OUTLINE_SEGMENTS * (to - from) / (Math.PI * 2)), 2));
+
+  // As pontas estão na silhueta; o arco que as liga é o que passa mais perto do centro da calota
+  const [endX, endY] = outline.points[outline.points.length - 1];
+  const [startX, startY] = outline.points[0];
+  const start = Math.atan2(endY, endX), end = Math.atan2(startY, startX);
+  const sweep = ((end - start) % (Math.PI * 2) + Math.PI * 2) % (Math.PI * 2);
+  const middle = start + sweep / 2;
+  outline.limb = { start, end, anticlockwise: Math.cos(middle) * a[0] + Math.sin(middle) * a[1] < 0 };
+  return outline;
+}
+
+function sample(point, from, to, segments) {
+  return Array.from({ length: segments + 1 }, (_, i) => point(from + (to - from) * i / segments));
+}
@@ -0,0 +1,85 @@
+/**
+ * @file renderWorker.js
+ * @description Worker de renderização: recebe o `#physics-canvas` transferido pelo
+ * navegador e desenha nele os frames enviados por renderWorkerClient.js, com o mesmo
+ * `paintFrame` do modo sem worker. Aqui só há desenho; nenhuma mensagem volta para
+ * o navegador além do aviso de que o worker está pronto.
+ */
+
+import * as cameraModule from './camera';
+import * as cueModule from './cue';
+import * as ballInHandModule from './ballInHand';
+import { paintFrame } from './renderer';
+import { keepOrientation } from './orientation';
+import { createInitialRenderCacheState, createInitialThemeState } from './state';
+
+// Cena no formato que `paintFrame` espera de um hook
+const scene = {
+  canvas: null,
+  ctx: null,
+  table: null,
+  particles: new Map(),
+  renderCache: createInitialRenderCacheState(),
+  replay: { playback: false },
+  effects: { items: [], light: null },
+  touch: { loupe: null },
+  theme: createInitialThemeState(),
+  cameraModule,
+  cueModule,
+  ballInHandModule
+};
+
+function applyScene(data) {
+  // A orientação 3D de cada bola vive aqui, entre um frame e o próximo (ver drawBall)
+  const particles = new Map();
+  data.balls.forEach(ball => {
+    keepOrientation(ball, scene.particles.get(ball.id));
+    particles.set(ball.id, ball);
+  });
+
+  // A bola afundando na caçapa continua com a orientação que tinha na mesa
+  const drops = new Map(scene.effects.items.filter(item => item.kind === 'drop').map(item => [item.id, item.ball]));
+  data.effects.items.forEach(item => {
+    if (item.kind === 'drop') keepOrientation(item.ball, drops.get(item.id) || scene.particles.get(item.ball.id));
+  });
+
+  Object.assign(scene, {
+    particles,
+    viewport: data.viewport,
+    camera: data.camera,
+    cueState: data.cueState,
+    placement: data.placement,
+    hud: data.liveHud,
+    replay: { playback: data.playback },
+    role: data.role,
+    settings: data.settings,
+    shotInProgress: data.shotInProgress,
+    effects: data.effects,
+    touch: data.touch,
+    theme: data.theme
+  });
+  paintFrame(scene, particles, data.hud, data.now);
+}
+
+self.onmessage = ({ data }) => {
+  switch (data.type) {
+    case 'init':
+      scene.canvas = data.canvas;
+      scene.canvas.width = data.width;
+      scene.canvas.height = data.height;
+      scene.ctx = scene.canvas.getContext('2d');
+      break;
+    case 'resize':
+      scene.canvas.width = data.width;
+      scene.canvas.height = data.height;
+      break;
+    case 'table':
+      scene.table = data.table;
+      break;
+    case 'scene':
+      if (scene.ctx) applyScene(data);
+      break;
+  }
+};
+
+self.postMessage({ type: 'ready' });
@@ -0,0 +1,116 @@
+/**
+ * @file renderWorkerClient.js
+ * @description Lado do navegador do worker de renderização (ver renderWorker.js).
+ * O `#physics-canvas` é transferido para o worker (`transferControlToOffscreen`) e,
+ * a cada frame sujo, o `drawFrame` envia só o que o desenho precisa: bolas já
+ * interpoladas, câmera, taco, bola na mão, placar e tema. Entrada, som, rede e regras
+ * continuam aqui. Sem suporte (ou se o worker não responder), tudo é desenhado no
+ * navegador como antes, em silêncio; `?render=debug` mostra as falhas no console.
+ */
+
+const READY_TIMEOUT_MS = 2000;
+
+const renderParam = () => new URLSearchParams(window.location.search).get('render');
+
+function debugWarn(...args) {
+  if (renderParam() === 'debug') console.warn(...args);
+}
+
+/** O navegador consegue desenhar num worker? (`?render=main` força o modo antigo) */
+export function canUseRenderWorker(canvas) {
+  if (typeof Worker === 'undefined' || typeof canvas.transferControlToOffscreen !== 'function') return false;
+  return renderParam() !== 'main';
+}
+
+/**
+ * Sobe o worker e, quando ele avisa que está pronto, transfere o canvas. Resolve com
+ * `true` se o desenho passou para o worker; com `false`, o canvas continua intocado
+ * e o chamador deve desenhar no navegador.
+ */
+export function startRenderWorker(hook, url) {
+  return new Promise((resolve) => {
+    let worker;
+    try {
+      worker = new Worker(url);
+    } catch (error) {
+      debugWarn("Render worker unavailable, drawing on the main thread:", error);
+      resolve(false);
+      return;
+    }
+
+    const fail = (reason) => {
+      clearTimeout(timer);
+      worker.terminate();
+      debugWarn("Render worker failed, drawing on the main thread:", reason);
+      resolve(false);
+    };
+    const timer = setTimeout(() => fail('timeout'), READY_TIMEOUT_MS);
+
+    worker.onerror = (event) => fail(event.message || event);
+    worker.onmessage = ({ data }) => {
+      if (data.type !== 'ready') return;
+      clearTimeout(timer);
+
+      // Depois da transferência, só o worker redimensiona o canvas (ver resizeRenderWorker)
+      const { canvas } = hook;
+      const offscreen = canvas.transferControlToOffscreen();
+      worker.postMessage({ type: 'init', canvas: offscreen, width: canvas.width, height: canvas.height }, [offscreen]);
+      worker.onerror = (event) => debugWarn("Render worker error:", event.message || event);
+      worker.onmessage = null;
+
+      hook.renderWorker = worker;
+      hook.renderMode = 'worker';
+      hook.renderCache.lastSignature = null;
+      resolve(true);
+    };
+  });
+}
+
+export function stopRenderWorker(hook) {
+  if (!hook.renderWorker) return;
+  hook.renderWorker.terminate();
+  hook.renderWorker = null;
+}
+
+/** Novo tamanho do canvas, em pixels do dispositivo */
+export function resizeRenderWorker(hook, width, height) {
+  hook.renderWorker?.postMessage({ type: 'resize', width, height });
+}
+
+/** Envia um frame para o worker desenhar (chamado pelo `drawFrame` nos frames sujos) */
+export function postScene(hook, balls, hud, now) {
+  const { renderWorker: worker, camera, cueState, placement } = hook;
+  if (!worker) return;
+
+  // A especificação da mesa só muda ao entrar na sala ou abrir outro replay
+  if (hook.table !== hook.postedTable) {
+    worker.postMessage({ type: 'table', table: hook.table });
+    hook.postedTable = hook.table;
+  }
+
+  worker.postMessage({
+    type: 'scene',
+    now,
+    viewport: { ...hook.viewport },
+    camera: { pan: { ...camera.pan }, zoom: camera.zoom, rotation: camera.rotation },
+    cueState: {
+      status: cueState.status,
+      start: { ...cueState.start },
+      end: { ...cueState.end },
+      animation: { pullDistance: cueState.animation.pullDistance }
+    },
+    placement: { pos: placement.pos && { ...placement.pos }, pending: placement.pending },
+    hud: { gameState: hud.gameState, banner: hud.banner, notice: hud.notice },
+    liveHud: { gameState: hook.hud.gameState },
+    playback: !!hook.replay.playback,
+    role: hook.role,
+    settings: hook.settings,
+    shotInProgress: hook.shotInProgress,
+    effects: { items: hook.effects.items, light: hook.effects.light },
+    touch: { loupe: hook.touch.loupe },
+    theme: { ...hook.theme },
+    balls: Array.from(balls.values(), ({ id, radius, color, spin_angle, pos, vel, roll_distance, render }) => (
+      { id, radius, color, spin_angle, pos, vel, roll_distance, render }
+    ))
+  });
+}
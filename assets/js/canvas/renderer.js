@@ -1,157 +1,323 @@
 /**
  * @file renderer.js
- * @description Contém todas as funções para desenhar no canvas.
+ * @description Contém todas as funções para desenhar no canvas. O laço de frames
+ * (`drawFrame`) roda sempre no navegador; o desenho (`paintFrame`) também pode rodar
+ * no worker de renderização (ver renderWorker.js).
  */
 
-// Função principal de desenho, chamada a cada frame
+import { getRenderTime, sampleParticle } from './interpolation';
+import { predictShot } from './aimGuide';
+import { drawHud } from './hud';
+import { advanceReplay } from './replay';
+import { PLACEMENT_ERROR_LABELS, findD, placementError, placementHint, placementZone } from './ballInHand';
+import { applyCameraTransform, ballShading, ballShadow, isFrameDirty, tableLayer } from './layers';
+import { advanceOrientation, capOutline } from './orientation';
+import { dropFrame, effectProgress, pruneEffects, shadowOffset } from './effects';
+import { postScene } from './renderWorkerClient';
+import { resolveTheme } from './themes';
+
+/**
+ * Laço principal, chamado a cada frame no navegador: lê os controles, move a câmera,
+ * interpola as bolas e conduz a animação da tacada. O desenho em si (`paintFrame`)
+ * acontece aqui mesmo ou, com o canvas transferido, no worker de renderização.
+ */
 export function drawFrame(hook) {
     const now = performance.now();
     const deltaTime = (now - hook.lastFrameTime) / 1000;
     hook.lastFrameTime = now;
+    hook.animationFrameId = requestAnimationFrame(() => drawFrame(hook));
+
+    // A janela mudou de monitor (ou de zoom do navegador)
+    if ((window.devicePixelRatio || 1) !== hook.viewport.dpr) hook.inputHandler.resizeCanvas();
 
     // Atualiza a câmera com base nos inputs
+    hook.inputHandler.pollGamepad(deltaTime);
     hook.cameraModule.updatePan(hook.camera, hook.camera.panState, deltaTime);
     hook.cameraModule.updatePan(hook.camera, hook.camera.keyboardPanState, deltaTime);
+    hook.cameraModule.updatePan(hook.camera, hook.camera.gamepadPanState, deltaTime);
+    hook.cameraModule.updateCamera(hook, deltaTime);
 
-    const { ctx, canvas, camera, particles, cueState } = hook;
-    const { width, height } = canvas;
-    const { pan, zoom, rotation } = camera;
+    const { particles } = hook;
+    const { playback } = hook.replay;
+    if (playback) {
+        // Em replay, a mesa mostra a tacada gravada em vez do estado ao vivo
+        advanceReplay(hook.replay, deltaTime * 1000);
+        hook.inputHandler.updateReplayControls();
+    } else {
+        // Interpola as bolas no instante de simulação correspondente a este frame
+        const renderTime = getRenderTime(hook.sync, now);
+        particles.forEach((particle) => sampleParticle(particle, renderTime, hook.sync));
+    }
+    const balls = playback ? playback.particles : particles;
+    const hud = playback ? playback.hud : hook.hud;
 
-    ctx.clearRect(0, 0, width, height);
-    ctx.save();
-    ctx.translate(width / 2, height / 2);
-    ctx.rotate(rotation);
-    ctx.scale(zoom, zoom);
-    ctx.translate(-pan.x, -pan.y);
+    hook.cueModule.advancePowerMeter(hook.cueState, now);
+    advanceStrike(hook, now);
+    updatePowerBar(hook);
+    pruneEffects(hook.effects, now);
 
-    drawTable(ctx, 1000, 500); // Desenha a mesa
-    particles.forEach((particle) => drawBall(hook, particle)); // Desenha as bolas
+    // Nada mudou desde o último frame: a tela continua certa
+    if (hook.renderMode === 'pending' || !isFrameDirty(hook, balls, now)) return;
 
-    // Lógica de desenho do taco e da barra de força
-    if (cueState.status === 'aiming') {
-        const pullDistance = Math.sqrt((cueState.end.x - cueState.start.x)**2 + (cueState.end.y - cueState.start.y)**2);
-        drawCue(hook, pullDistance);
-        updatePowerBar(hook, pullDistance);
-    } else if (cueState.status === 'striking') {
-        animateAndStrike(hook);
+    if (hook.renderMode === 'worker') {
+        postScene(hook, balls, hud, now);
     } else {
-        updatePowerBar(hook, 0);
+        paintFrame(hook, balls, hud, now);
+    }
+}
+
+/**
+ * Desenha a mesa, as bolas, o taco e o placar. Não mexe no DOM nem no estado do
+ * jogo: roda igual no navegador e no worker (onde `hook` é a cena recebida).
+ */
+export function paintFrame(hook, balls, hud, now) {
+    const { ctx, canvas, camera, viewport, cueState } = hook;
+
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (hook.table) ctx.drawImage(tableLayer(hook), 0, 0); // Mesa a partir da especificação do servidor, em cache
+
+    // Efeitos da partida ao vivo não aparecem por cima de um replay
+    const effects = hook.replay.playback ? [] : hook.effects.items;
+
+    ctx.save();
+    applyCameraTransform(ctx, camera, viewport);
+    if (hook.table) balls.forEach((particle) => drawShadow(hook, particle));
+    effects.forEach((item) => item.kind === 'drop' && drawPocketDrop(hook, item, now));
+    balls.forEach((particle) => drawBall(hook, particle));
+    effects.forEach((item) => item.kind === 'impact' && drawImpactRing(hook, item, now));
+
+    // Taco, bola na mão ou o motivo de não poder tacar
+    if (hook.replay.playback) {
+        // Em replay não há taco
+    } else if (hook.ballInHandModule.isPlacingCueBall(hook)) {
+        drawPlacement(hook);
+    } else if (cueState.status === 'inactive' && hook.role !== 'spectator' && hook.cueModule.shotBlockReason(hook)) {
+        // Taco desabilitado: o jogador vê por que não pode tacar agora
+        drawDisabledCue(hook, hook.cueModule.shotBlockReason(hook));
+    } else if (cueState.status === 'aiming') {
+        drawCue(hook, pullDistanceOf(cueState));
+    } else if (cueState.status === 'striking') {
+        drawCue(hook, cueState.animation.pullDistance);
     }
     
     ctx.restore();
-    hook.animationFrameId = requestAnimationFrame(() => drawFrame(hook));
+
+    // O placar é desenhado em coordenadas de tela (CSS), por cima da mesa
+    ctx.save();
+    ctx.setTransform(viewport.dpr, 0, 0, viewport.dpr, 0, 0);
+    effects.forEach((item) => item.kind === 'label' && drawPottedLabel(hook, item, now));
+    drawHud(hook, now, hud);
+    ctx.restore();
+
+    if (hook.touch?.loupe) drawLoupe(hook, hook.touch.loupe);
 }
 
 // --- Funções de Desenho Auxiliares ---
 
-function drawTable(ctx, worldWidth, worldHeight) {
-    ctx.fillStyle = "#1a6d38";
-    ctx.fillRect(0, 0, worldWidth, worldHeight);
-    ctx.fillStyle = "#8B4513";
-    const borderWidth = 30;
-    ctx.fillRect(0, 0, worldWidth, borderWidth);
-    ctx.fillRect(0, worldHeight - borderWidth, worldWidth, borderWidth);
-    ctx.fillRect(0, 0, borderWidth, worldHeight);
-    ctx.fillRect(worldWidth - borderWidth, 0, borderWidth, worldHeight);
-    
-    ctx.fillStyle = "black";
-    const pocketRadius = 25;
-    const pockets = [
-      [borderWidth, borderWidth], [worldWidth - borderWidth, borderWidth],
-      [borderWidth, worldHeight - borderWidth], [worldWidth - borderWidth, worldHeight - borderWidth],
-      [worldWidth / 2, borderWidth], [worldWidth / 2, worldHeight - borderWidth]
-    ];
-    pockets.forEach(([x, y]) => {
-      ctx.beginPath();
-      ctx.arc(x, y, pocketRadius, 0, Math.PI * 2);
-      ctx.fill();
-    });
-}
+// Marcas no corpo da bola: o número nos dois polos do eixo z e, nas listradas, as
+// calotas brancas nos polos do eixo y (o que sobra entre elas é a faixa colorida)
+const NUMBER_DISC = Math.asin(0.6); // Raio angular do disco do número
+const STRIPE_CAP = Math.acos(0.7); // Raio angular de cada calota branca
+const NUMBER_POLES = [[0, 0, -1], [0, 0, 1]];
+const STRIPE_POLES = [[0, 1, 0], [0, -1, 0]];
+const BODY_RIGHT = [1, 0, 0];
+const MIN_NUMBER_FACING = 0.15; // Mais de lado que isso, o número some (a projeção plana já distorce demais)
 
+// Bola com orientação 3D: as marcas giram com ela e somem atrás da silhueta;
+// o brilho e a sombra (sprite em cache) ficam fixos. As cores vêm do jogo de bolas do tema.
 function drawBall(hook, particle) {
-    const { ctx, camera } = hook;
-    const { pos: [x, y], vel: [vx, vy], radius, color, spin_angle, roll_distance } = particle;
-    const { number, type, base_color } = color;
-
-    const speed = Math.sqrt(vx * vx + vy * vy);
-    let rollAngle, textureOffsetY;
-
-    if (speed > 0.1) {
-        rollAngle = Math.atan2(vy, vx) - Math.PI / 2;
-        textureOffsetY = roll_distance % (Math.PI * 2 * radius);
-        particle.lastRollAngle = rollAngle;
-        particle.lastTextureOffsetY = textureOffsetY;
-    } else {
-        rollAngle = particle.lastRollAngle || 0;
-        textureOffsetY = particle.lastTextureOffsetY || 0;
-    }
+    const { ctx, camera, viewport, renderCache } = hook;
+    const { radius, color } = particle;
+    const { pos: [x, y] } = particle.render || particle;
+    const orientation = advanceOrientation(particle);
+    const { table: style, balls: ballSet } = resolveTheme(hook.theme);
+    const { base, stripe, number } = ballSet.appearance(color);
 
     ctx.save();
     ctx.translate(x, y);
-    ctx.rotate(rollAngle);
-    ctx.rotate(spin_angle);
-
+    ctx.fillStyle = base;
     ctx.beginPath();
     ctx.arc(0, 0, radius, 0, Math.PI * 2);
-    ctx.fillStyle = base_color;
     ctx.fill();
 
-    ctx.save();
-    ctx.beginPath();
-    ctx.arc(0, 0, radius, 0, Math.PI * 2);
-    ctx.clip();
-    
-    const circumference = Math.PI * 2 * radius;
-
-    if (type === 'stripe') {
-        const bandHeight = radius * 1.4;
-        ctx.fillStyle = 'white';
-        ctx.fillRect(-radius, -bandHeight / 2 + textureOffsetY, radius * 2, bandHeight);
-        ctx.fillRect(-radius, -bandHeight / 2 + textureOffsetY - circumference, radius * 2, bandHeight);
-        ctx.fillRect(-radius, -bandHeight / 2 + textureOffsetY + circumference, radius * 2, bandHeight);
+    if (stripe) {
+        ctx.fillStyle = stripe;
+        STRIPE_POLES.forEach(pole => fillCap(ctx, radius, capOutline(orientation, pole, BODY_RIGHT, STRIPE_CAP)));
     }
-
-    if (number > 0) {
-        const numCircleRadius = radius * 0.6;
+    if (number) {
         ctx.fillStyle = 'white';
-        for (let i = -1; i <= 1; i++) {
-            ctx.beginPath();
-            ctx.arc(0, textureOffsetY + i * circumference, numCircleRadius, 0, Math.PI * 2);
-            ctx.fill();
-        }
-        
-        ctx.fillStyle = 'black';
-        ctx.font = `bold ${radius * 0.95}px Arial`;
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        for (let i = -1; i <= 1; i++) {
-            ctx.fillText(number.toString(), 0, textureOffsetY + i * circumference);
-        }
+        NUMBER_POLES.forEach(pole => {
+            const outline = capOutline(orientation, pole, BODY_RIGHT, NUMBER_DISC);
+            fillCap(ctx, radius, outline);
+            drawNumber(ctx, radius, outline, number);
+        });
+    }
+    if (style.ballOutline) {
+        ctx.strokeStyle = style.ballOutline;
+        ctx.lineWidth = 1.5 / camera.zoom;
+        ctx.beginPath();
+        ctx.arc(0, 0, radius, 0, Math.PI * 2);
+        ctx.stroke();
     }
     ctx.restore();
+
+    const devicePixelsPerUnit = camera.zoom * viewport.dpr;
+    const shading = ballShading(renderCache, radius, devicePixelsPerUnit, viewport.dpr);
+    ctx.drawImage(shading.canvas, x - shading.size / 2, y - shading.size / 2, shading.size, shading.size);
+}
+
+// Sombra suave no pano, deslocada para longe da luz (ver shadowOffset)
+function drawShadow(hook, particle) {
+    const { ctx, camera, viewport, renderCache, table } = hook;
+    const { radius } = particle;
+    const { pos } = particle.render || particle;
+    const [dx, dy] = shadowOffset(hook.effects.light, table, pos, radius);
+    const shadow = ballShadow(renderCache, radius, camera.zoom * viewport.dpr);
+    ctx.drawImage(shadow.canvas, pos[0] + dx - shadow.size / 2, pos[1] + dy - shadow.size / 2, shadow.size, shadow.size);
+}
+
+// Bola encaçapada seguindo para o centro da caçapa, encolhendo e escurecendo
+function drawPocketDrop(hook, item, now) {
+    const progress = effectProgress(item, now);
+    if (progress === null) return;
+    const { ctx } = hook;
+    const { ball, scale, darkness, alpha } = dropFrame(item, progress);
+    const [x, y] = ball.pos;
+
+    ctx.save();
+    ctx.globalAlpha = alpha;
+    ctx.translate(x, y);
+    ctx.scale(scale, scale);
+    ctx.translate(-x, -y);
+    drawBall(hook, ball);
+    ctx.fillStyle = `rgba(0, 0, 0, ${darkness})`;
+    ctx.beginPath();
+    ctx.arc(x, y, ball.radius, 0, Math.PI * 2);
+    ctx.fill();
     ctx.restore();
+}
+
+// Anel que se abre a partir do ponto de choque, mais forte quanto mais forte a batida
+function drawImpactRing(hook, { pos: [x, y], strength, cushion, start, duration }, now) {
+    const progress = effectProgress({ start, duration }, now);
+    if (progress === null) return;
+    const { ctx, camera, table } = hook;
+    const radius = table.ball_radius * (0.6 + 1.6 * progress);
 
+    ctx.save();
+    ctx.globalAlpha = (1 - progress) * (0.35 + 0.65 * strength);
+    ctx.strokeStyle = cushion ? "#ffe082" : "white";
+    ctx.lineWidth = (1 + 2 * strength) / camera.zoom;
     ctx.beginPath();
     ctx.arc(x, y, radius, 0, Math.PI * 2);
-    const gradient = ctx.createRadialGradient(x - radius * 0.3, y - radius * 0.3, radius * 0.1, x, y, radius);
-    gradient.addColorStop(0, 'rgba(255, 255, 255, 0.7)');
-    gradient.addColorStop(0.5, 'rgba(255, 255, 255, 0)');
-    gradient.addColorStop(1, 'rgba(0, 0, 0, 0.3)');
-    ctx.fillStyle = gradient;
+    ctx.stroke();
+    ctx.restore();
+}
+
+// Rótulo "Bola N" subindo da caçapa, em coordenadas de tela
+function drawPottedLabel(hook, { pos: [x, y], text, color, start, duration }, now) {
+    const progress = effectProgress({ start, duration }, now);
+    if (progress === null) return;
+    const { ctx, camera, viewport } = hook;
+    const screen = hook.cameraModule.worldToScreen({ x, y }, camera, viewport);
+    const rise = 40 * (1 - Math.pow(1 - progress, 2));
+
+    const textY = screen.y - 10 - rise;
+
+    ctx.save();
+    ctx.globalAlpha = progress < 0.6 ? 1 : (1 - progress) / 0.4;
+    ctx.font = "bold 14px sans-serif";
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = "rgba(0, 0, 0, 0.7)";
+    ctx.strokeText(text, screen.x, textY);
+    ctx.fillStyle = "white";
+    ctx.fillText(text, screen.x, textY);
+
+    // Bolinha com a cor da bola (no jogo de bolas do tema) à esquerda do texto
+    const dotX = screen.x - ctx.measureText(text).width / 2 - 10;
+    ctx.fillStyle = resolveTheme(hook.theme).balls.appearance(color).base;
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.8)";
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.arc(dotX, textY, 5, 0, Math.PI * 2);
     ctx.fill();
+    ctx.stroke();
+    ctx.restore();
+}
+
+// Lupa do toque longo: amplia o frame já desenhado em volta do dedo e mostra a
+// ampliação acima dele (abaixo, perto do topo da tela), onde o dedo não a cobre
+function drawLoupe(hook, { x, y, radius, zoom }) {
+    const { ctx, canvas, viewport: { dpr } } = hook;
+    const gap = 30;
+    const centerY = y - radius - gap >= radius ? y - radius - gap : y + radius + gap;
+    const source = radius / zoom;
 
+    ctx.save();
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
     ctx.beginPath();
-    ctx.arc(x, y, radius, 0, Math.PI * 2);
-    ctx.strokeStyle = 'rgba(0, 0, 0, 0.2)';
-    ctx.lineWidth = 1 / camera.zoom;
+    ctx.arc(x, centerY, radius, 0, Math.PI * 2);
+    ctx.save();
+    ctx.clip();
+    ctx.fillStyle = resolveTheme(hook.theme).table.cloth; // Fora da mesa, a ampliação mostra o pano
+    ctx.fill();
+    ctx.drawImage(canvas, (x - source) * dpr, (y - source) * dpr, source * 2 * dpr, source * 2 * dpr, x - radius, centerY - radius, radius * 2, radius * 2);
+    ctx.restore();
+
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.9)";
+    ctx.lineWidth = 2;
+    ctx.stroke();
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.6)";
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(x - 8, centerY);
+    ctx.lineTo(x + 8, centerY);
+    ctx.moveTo(x, centerY - 8);
+    ctx.lineTo(x, centerY + 8);
     ctx.stroke();
+    ctx.restore();
+}
+
+// Contorno visível de uma calota (ver capOutline), relativo ao centro da bola
+function traceCap(ctx, radius, { points, limb }) {
+    ctx.beginPath();
+    points.forEach(([px, py], i) => (i === 0 ? ctx.moveTo(px * radius, py * radius) : ctx.lineTo(px * radius, py * radius)));
+    if (limb) ctx.arc(0, 0, radius, limb.start, limb.end, limb.anticlockwise);
+    ctx.closePath();
+}
+
+function fillCap(ctx, radius, outline) {
+    if (!outline) return;
+    traceCap(ctx, radius, outline);
+    ctx.fill();
+}
+
+// Número desenhado no plano do disco, recortado à parte visível dele
+function drawNumber(ctx, radius, outline, number) {
+    if (!outline || outline.facing < MIN_NUMBER_FACING) return;
+    const { center: [cx, cy], tangent: [ux, uy], bitangent: [vx, vy], facing } = outline;
+
+    ctx.save();
+    traceCap(ctx, radius, outline);
+    ctx.clip();
+    ctx.transform(ux, uy, vx, vy, cx * radius, cy * radius);
+    ctx.globalAlpha = Math.min((facing - MIN_NUMBER_FACING) / 0.3, 1);
+    ctx.fillStyle = 'black';
+    ctx.font = `bold ${radius * 0.95}px Arial`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(number.toString(), 0, 0);
+    ctx.restore();
 }
 
 function drawCue(hook, pullback) {
     const { ctx, cueState, particles, camera } = hook;
     const { start, end } = cueState;
     const whiteBall = Array.from(particles.values()).find(p => p.color.type === "cue");
-    if (!whiteBall) { cueState.status = 'inactive'; return; }
+    if (!whiteBall) return;
 
     const CUE_LENGTH = 450, CUE_BUTT_WIDTH = 16, CUE_TIP_WIDTH = 7, PULLBACK_OFFSET = 10;
     
@@ -164,15 +330,10 @@ function drawCue(hook, pullback) {
     const forceNormX = forceDirX / dirLen;
     const forceNormY = forceDirY / dirLen;
 
-    ctx.save();
-    ctx.beginPath();
-    ctx.moveTo(start.x, start.y);
-    ctx.setLineDash([5 / camera.zoom, 10 / camera.zoom]);
-    ctx.lineTo(start.x + forceNormX * 2000, start.y + forceNormY * 2000);
-    ctx.strokeStyle = "rgba(255, 255, 255, 0.6)";
-    ctx.lineWidth = 2 / camera.zoom;
-    ctx.stroke();
-    ctx.restore();
+    // A mira assistida é uma opção da sala (salas competitivas a escondem)
+    if (hook.settings.aim_guide && hook.table) {
+        drawAimGuide(hook, whiteBall, { x: forceNormX, y: forceNormY });
+    }
 
     const tipX = start.x - forceNormX * (whiteBall.radius + PULLBACK_OFFSET + pullback);
     const tipY = start.y - forceNormY * (whiteBall.radius + PULLBACK_OFFSET + pullback);
@@ -188,31 +349,218 @@ function drawCue(hook, pullback) {
     const p3 = { x: buttX - perpX * CUE_BUTT_WIDTH / 2, y: buttY - perpY * CUE_BUTT_WIDTH / 2 };
     const p4 = { x: buttX + perpX * CUE_BUTT_WIDTH / 2, y: buttY + perpY * CUE_BUTT_WIDTH / 2 };
     
+    const skin = resolveTheme(hook.theme).cue;
     const gradient = ctx.createLinearGradient(p2.x, p2.y, p4.x, p4.y);
-    gradient.addColorStop(0, '#A0522D'); gradient.addColorStop(0.5, '#D2B48C'); gradient.addColorStop(1, '#8B4513');
+    skin.stops.forEach((stop, i) => gradient.addColorStop(i / (skin.stops.length - 1), stop));
     ctx.fillStyle = gradient;
     ctx.beginPath(); ctx.moveTo(p1.x, p1.y); ctx.lineTo(p2.x, p2.y); ctx.lineTo(p3.x, p3.y); ctx.lineTo(p4.x, p4.y); ctx.closePath();
     ctx.fill();
-    ctx.strokeStyle = "rgba(0, 0, 0, 0.4)"; ctx.lineWidth = 1 / camera.zoom;
+    ctx.strokeStyle = skin.outline; ctx.lineWidth = 1 / camera.zoom;
+    ctx.stroke();
+}
+
+// Taco acinzentado encostado na bola branca, com o motivo escrito acima dela
+function drawDisabledCue(hook, reason) {
+    const { ctx, particles } = hook;
+    const whiteBall = Array.from(particles.values()).find(p => p.color.type === "cue");
+    if (!whiteBall) return;
+
+    const { pos: [x, y] } = whiteBall.render || whiteBall;
+    const { radius } = whiteBall;
+    const CUE_LENGTH = 450, CUE_BUTT_WIDTH = 16, CUE_TIP_WIDTH = 7, REST_OFFSET = 25;
+    const tipX = x - radius - REST_OFFSET;
+
+    ctx.save();
+    ctx.globalAlpha = 0.35;
+    ctx.fillStyle = "#9e9e9e";
+    ctx.beginPath();
+    ctx.moveTo(tipX, y - CUE_TIP_WIDTH / 2);
+    ctx.lineTo(tipX, y + CUE_TIP_WIDTH / 2);
+    ctx.lineTo(tipX - CUE_LENGTH, y + CUE_BUTT_WIDTH / 2);
+    ctx.lineTo(tipX - CUE_LENGTH, y - CUE_BUTT_WIDTH / 2);
+    ctx.closePath();
+    ctx.fill();
+    ctx.restore();
+
+    drawBallLabel(hook, { x, y }, radius, reason);
+}
+
+// Rótulo acima de uma bola, em coordenadas de tela para não girar com a câmera
+function drawBallLabel(hook, { x, y }, radius, text, color = "white") {
+    const { ctx, camera, viewport } = hook;
+    const screen = hook.cameraModule.worldToScreen({ x, y }, camera, viewport);
+    ctx.save();
+    ctx.setTransform(viewport.dpr, 0, 0, viewport.dpr, 0, 0);
+    ctx.font = "bold 13px sans-serif";
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    const textY = screen.y - radius * camera.zoom - 8;
+    const textWidth = ctx.measureText(text).width;
+    ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+    ctx.fillRect(screen.x - textWidth / 2 - 6, textY - 18, textWidth + 12, 20);
+    ctx.fillStyle = color;
+    ctx.fillText(text, screen.x, textY);
+    ctx.restore();
+}
+
+// Bola na mão: destaca a zona permitida e a branca "fantasma" sob o cursor,
+// vermelha quando a posição é inválida
+function drawPlacement(hook) {
+    const { ctx, camera, table, placement, particles } = hook;
+    const zone = hook.hud.gameState.ball_in_hand;
+    const radius = table.ball_radius;
+    const rect = placementZone(table, zone);
+
+    // No D, destaca o próprio semicírculo em vez do retângulo que o contém
+    const d = zone === 'd' && findD(table);
+    ctx.save();
+    ctx.fillStyle = "rgba(255, 255, 255, 0.08)";
+    ctx.setLineDash([8 / camera.zoom, 6 / camera.zoom]);
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.5)";
+    ctx.lineWidth = 1.5 / camera.zoom;
+    ctx.beginPath();
+    if (d) {
+        ctx.arc(d.center[0], d.center[1], d.radius, d.start_angle, d.end_angle);
+        ctx.closePath();
+    } else {
+        ctx.rect(rect.x0 - radius, rect.y0 - radius, rect.x1 - rect.x0 + radius * 2, rect.y1 - rect.y0 + radius * 2);
+    }
+    ctx.fill();
+    ctx.stroke();
+    ctx.restore();
+
+    // Antes do primeiro clique, sugere uma posição dentro da zona
+    const pos = placement.pos || placementHint(table, zone);
+    if (!pos) return;
+
+    const error = placementError(table, zone, particles, pos);
+    ctx.save();
+    ctx.globalAlpha = placement.pending ? 0.5 : 0.8;
+    ctx.fillStyle = error ? "#e53935" : "white";
+    ctx.beginPath();
+    ctx.arc(pos.x, pos.y, radius, 0, Math.PI * 2);
+    ctx.fill();
+    if (error) {
+        ctx.strokeStyle = "white";
+        ctx.lineWidth = 2 / camera.zoom;
+        const arm = radius * 0.5;
+        ctx.beginPath();
+        ctx.moveTo(pos.x - arm, pos.y - arm); ctx.lineTo(pos.x + arm, pos.y + arm);
+        ctx.moveTo(pos.x + arm, pos.y - arm); ctx.lineTo(pos.x - arm, pos.y + arm);
+        ctx.stroke();
+    }
+    ctx.restore();
+
+    const label = error ? PLACEMENT_ERROR_LABELS[error] : (placement.pos ? 'Solte para posicionar' : 'Bola na mão: arraste a branca');
+    drawBallLabel(hook, pos, radius, label, error ? "#ffcdd2" : "white");
+}
+
+function drawAimGuide(hook, whiteBall, direction) {
+    const { ctx, camera, particles, table } = hook;
+    const { cuePath, ghost, target, objectPath, deflection } = predictShot(whiteBall, direction, particles, table);
+    const lineWidth = 2 / camera.zoom;
+
+    ctx.save();
+    ctx.lineWidth = lineWidth;
+
+    // Caminho da branca (com até uma tabela)
+    ctx.setLineDash([5 / camera.zoom, 10 / camera.zoom]);
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.6)";
+    ctx.beginPath();
+    cuePath.points.forEach(({ x, y }, i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
     ctx.stroke();
+
+    const end = cuePath.event.position;
+    if (cuePath.event.type === 'pocket') {
+        // A branca cairia na caçapa: marca a falta
+        ctx.setLineDash([]);
+        ctx.strokeStyle = "rgba(229, 57, 53, 0.9)";
+        ctx.beginPath();
+        ctx.arc(end.x, end.y, whiteBall.radius, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+
+    if (ghost) {
+        // Bola fantasma no ponto de contato
+        ctx.setLineDash([]);
+        ctx.strokeStyle = "rgba(255, 255, 255, 0.8)";
+        ctx.beginPath();
+        ctx.arc(ghost.x, ghost.y, whiteBall.radius, 0, Math.PI * 2);
+        ctx.stroke();
+
+        // Direção esperada da bola objeto
+        const objectEnd = objectPath.points[objectPath.points.length - 1];
+        ctx.strokeStyle = objectPath.event.type === 'pocket' ? "rgba(102, 187, 106, 0.9)" : (resolveTheme(hook.theme).balls.appearance(target.color).base || "white");
+        ctx.beginPath();
+        ctx.moveTo(target.pos[0], target.pos[1]);
+        ctx.lineTo(objectEnd.x, objectEnd.y);
+        ctx.stroke();
+
+        // Tangente de desvio da branca, mais longa quanto mais fino o corte
+        if (deflection) {
+            const length = 150 * deflection.strength;
+            ctx.setLineDash([3 / camera.zoom, 6 / camera.zoom]);
+            ctx.strokeStyle = "rgba(255, 255, 255, 0.45)";
+            ctx.beginPath();
+            ctx.moveTo(ghost.x, ghost.y);
+            ctx.lineTo(ghost.x + deflection.x * length, ghost.y + deflection.y * length);
+            ctx.stroke();
+        }
+    }
+
+    ctx.restore();
 }
 
-function animateAndStrike(hook) {
-    const { animation } = hook.cueState;
-    const elapsedTime = performance.now() - animation.startTime;
-    const progress = Math.min(elapsedTime / animation.duration, 1);
+const pullDistanceOf = ({ start, end }) => Math.sqrt((end.x - start.x)**2 + (end.y - start.y)**2);
+
+// Taco voltando até a bola; no fim da animação a força vai para o servidor
+function advanceStrike(hook, now) {
+    const { cueState } = hook;
+    if (cueState.status === 'aiming' && !Array.from(hook.particles.values()).some(p => p.color.type === "cue")) {
+        cueState.status = 'inactive'; // A branca saiu da mesa durante a mira
+        return;
+    }
+    if (cueState.status !== 'striking') return;
+
+    const { animation } = cueState;
+    const progress = Math.min((now - animation.startTime) / animation.duration, 1);
     const easedProgress = 1 - Math.pow(1 - progress, 3);
-    const currentPullDistance = animation.initialPullDistance * (1 - easedProgress);
-    
-    drawCue(hook, currentPullDistance);
-    
+    animation.pullDistance = animation.initialPullDistance * (1 - easedProgress);
+
     if (progress >= 1) {
-      hook.pushEvent("apply_force", animation.force);
-      hook.cueState.status = 'inactive';
+      hook.pushEvent("apply_force", { ...animation.force, spin: animation.spin });
+      cueState.status = 'inactive';
+      hook.shotInProgress = true;
     }
 }
 
-function updatePowerBar(hook, pullDistance) {
-    const power = Math.min(pullDistance / hook.cueState.MAX_PULL_DISTANCE, 1);
+function updatePowerBar(hook) {
+    if (!hook.powerBarElement) return; // O reprodutor de replays não tem barra de força
+    const { cueState } = hook;
+    if (cueState.status === 'striking') return; // A barra fica na força da tacada até ela sair
+
+    // No esquema 'slider' a barra mostra a força escolhida mesmo antes de mirar
+    const aiming = cueState.status === 'aiming' && !hook.replay.playback;
+    const power = aiming || cueState.inputMode === 'slider' ? cueState.power : 0;
     hook.powerBarElement.style.width = `${power * 100}%`;
+
+    if (hook.touchPowerFillElement) hook.touchPowerFillElement.style.height = `${(aiming ? cueState.power : 0) * 100}%`;
+
+    const slider = hook.powerSliderElement;
+    if (slider && Number(slider.value) !== cueState.power && slider !== document.activeElement) slider.value = cueState.power;
+    updateAimReadout(hook);
+}
+
+// Ângulo e força ao lado da barra, para ajustes finos (principalmente pelo teclado)
+function updateAimReadout(hook) {
+    const element = hook.aimReadoutElement;
+    if (!element) return;
+
+    const { cueState } = hook;
+    let text = '';
+    if (cueState.status === 'aiming') {
+        const { angle, power } = hook.cueModule.aimReadout(cueState);
+        text = `${angle.toFixed(1)}° · ${Math.round(power * 100)}%`;
+    }
+    if (element.textContent !== text) element.textContent = text;
 }
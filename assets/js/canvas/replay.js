@@ -0,0 +1,185 @@
+/**
+ * @file replay.js
+ * @description Gravação e reprodução das tacadas. Cada tacada é gravada a partir do
+ * fluxo de atualizações do servidor (frames, bolas movidas e removidas), desde a
+ * primeira bola em movimento até o evento `shot_ended`. A reprodução reconstrói a
+ * mesa em qualquer instante da linha do tempo, com pausa e velocidade ajustável.
+ * O estado das regras também é gravado, para que o placar acompanhe a reprodução.
+ */
+
+import { createInitialHudState } from './state';
+import { applyGameState } from './hud';
+
+const isMoving = ([, , , vx, vy]) => vx !== 0 || vy !== 0;
+
+/** Copia o estado das bolas que interessa à reprodução */
+function snapshotParticles(particles) {
+  return Array.from(particles.values(), ({ id, pos, vel, radius, color, spin_angle, roll_distance }) =>
+    ({ id, pos, vel, radius, color, spin_angle, roll_distance })
+  );
+}
+
+function pushEvent(replay, particles, time, event) {
+  if (!replay.recording) {
+    // A mesa estava parada: só uma bola em movimento abre uma nova gravação
+    if (!event.rows?.some(isMoving)) return;
+    replay.recording = {
+      start: snapshotParticles(particles),
+      startTime: time - replay.TICK_MS,
+      rules: replay.rules, // Regras em vigor no início da tacada
+      events: []
+    };
+  }
+  replay.recording.events.push({ time, ...event });
+}
+
+/** Grava um frame (linhas `[id, x, y, vx, vy, spin_angle, roll_distance]`) antes de aplicá-lo */
+export function recordFrame(replay, particles, { sim_time, particles: rows }) {
+  pushEvent(replay, particles, sim_time, { rows });
+}
+
+/** Grava uma atualização avulsa de bola (`particle_moved`) */
+export function recordParticle(replay, particles, { id, pos: [x, y], vel: [vx, vy], spin_angle, roll_distance, sim_time }) {
+  if (sim_time === undefined) return;
+  pushEvent(replay, particles, sim_time, { rows: [[id, x, y, vx, vy, spin_angle, roll_distance]] });
+}
+
+/** Grava a remoção de uma bola encaçapada */
+export function recordRemoval(replay, id) {
+  const { recording } = replay;
+  if (!recording) return;
+  const last = recording.events[recording.events.length - 1];
+  recording.events.push({ time: last ? last.time : recording.startTime, removed: id });
+}
+
+/** Grava um novo estado das regras (evento `game_state`) */
+export function recordRules(replay, gameState) {
+  replay.rules = gameState;
+  const { recording } = replay;
+  if (!recording) return;
+  const last = recording.events[recording.events.length - 1];
+  recording.events.push({ time: last ? last.time : recording.startTime, rules: gameState });
+}
+
+/** Fecha a gravação em andamento, guardando só as últimas MAX_SHOTS tacadas */
+export function finishShot(replay) {
+  const { recording } = replay;
+  replay.recording = null;
+  if (!recording || recording.events.length === 0) return false;
+
+  const lastTime = recording.events[recording.events.length - 1].time;
+  replay.shots.push({ ...recording, duration: lastTime - recording.startTime });
+  if (replay.shots.length > replay.MAX_SHOTS) replay.shots.shift();
+  return true;
+}
+
+/** Inicia a reprodução das últimas `count` tacadas, em sequência */
+export function startReplay(replay, count) {
+  const shots = replay.shots.slice(-count);
+  if (shots.length === 0) return false;
+
+  let offset = 0;
+  const timeline = shots.map(shot => {
+    const entry = { shot, offset };
+    offset += shot.duration;
+    return entry;
+  });
+
+  replay.playback = {
+    timeline,
+    duration: offset,
+    position: 0,
+    speed: replay.speed,
+    playing: true,
+    current: null, // Entrada da linha do tempo cujos eventos já foram aplicados
+    cursor: 0,
+    localTime: 0,
+    particles: new Map(),
+    hud: createInitialHudState()
+  };
+  seekReplay(replay, 0);
+  return true;
+}
+
+export function stopReplay(replay) {
+  replay.playback = null;
+}
+
+export function togglePlayback(replay) {
+  const { playback } = replay;
+  if (!playback) return;
+  // No fim da linha do tempo, "play" recomeça do início
+  if (!playback.playing && playback.position >= playback.duration) seekReplay(replay, 0);
+  playback.playing = !playback.playing;
+}
+
+export function setReplaySpeed(replay, speed) {
+  replay.speed = Math.min(Math.max(speed, replay.MIN_SPEED), replay.MAX_SPEED);
+  if (replay.playback) replay.playback.speed = replay.speed;
+}
+
+/** Avança a reprodução pelo tempo real decorrido (ms), já considerando a velocidade */
+export function advanceReplay(replay, elapsedMs) {
+  const { playback } = replay;
+  if (!playback || !playback.playing) return;
+
+  const position = playback.position + elapsedMs * playback.speed;
+  if (position >= playback.duration) playback.playing = false;
+  seekReplay(replay, position);
+}
+
+/** Leva a reprodução ao instante `position` (ms desde o início da linha do tempo) */
+export function seekReplay(replay, position) {
+  const { playback } = replay;
+  if (!playback) return;
+
+  playback.position = Math.min(Math.max(position, 0), playback.duration);
+  const entry = [...playback.timeline].reverse().find(({ offset }) => offset <= playback.position) || playback.timeline[0];
+  const localTime = playback.position - entry.offset;
+
+  // Voltar no tempo ou trocar de tacada exige reconstruir a mesa desde o início da tacada
+  if (entry !== playback.current || localTime < playback.localTime) {
+    playback.particles = new Map(entry.shot.start.map(particle => [particle.id, { ...particle, time: entry.shot.startTime }]));
+    playback.hud = { ...createInitialHudState(), gameState: entry.shot.rules };
+    playback.current = entry;
+    playback.cursor = 0;
+  }
+  playback.localTime = localTime;
+
+  const { events, startTime } = entry.shot;
+  const time = startTime + localTime;
+  while (playback.cursor < events.length && events[playback.cursor].time <= time) {
+    const event = events[playback.cursor];
+    if (event.rules) applyGameState(playback.hud, event.rules);
+    else applyReplayEvent(playback.particles, event);
+    playback.cursor++;
+  }
+
+  playback.particles.forEach(particle => sampleReplayParticle(particle, time, replay.TICK_MS));
+}
+
+/** Aplica um evento gravado (frame ou remoção) a um mapa de bolas */
+export function applyReplayEvent(particles, { time, rows, removed }) {
+  if (removed !== undefined) {
+    particles.delete(removed);
+    return;
+  }
+  for (const [id, x, y, vx, vy, spin_angle, roll_distance] of rows) {
+    const particle = particles.get(id);
+    if (!particle) continue;
+    Object.assign(particle, { pos: [x, y], vel: [vx, vy], spin_angle, roll_distance, time });
+  }
+}
+
+// Entre dois frames gravados, avança a bola pela velocidade (no máximo um tick),
+// o que mantém a câmera lenta suave.
+function sampleReplayParticle(particle, time, tickMs) {
+  const dt = Math.min(Math.max(time - particle.time, 0), tickMs) / 1000;
+  const { pos: [x, y], vel: [vx, vy], roll_distance } = particle;
+  const speed = Math.sqrt(vx * vx + vy * vy);
+  particle.render = {
+    pos: [x + vx * dt, y + vy * dt],
+    vel: particle.vel,
+    roll_distance: roll_distance + speed * dt
+  };
+}
@@ -0,0 +1,72 @@
+/**
+ * @file replayFile.js
+ * @description Leitura dos arquivos de replay exportados pelo servidor
+ * (`/room/:game_id/replay.json`, ver `SnookerGameEx.Core.Replay`). O fluxo gravado
+ * é passado pelas mesmas funções de gravação usadas ao vivo, o que o divide em
+ * tacadas prontas para a reprodução de `replay.js`.
+ */
+
+import { createInitialReplayState } from './state';
+import { applyReplayEvent, finishShot, recordFrame, recordRemoval, recordRules } from './replay';
+
+export const REPLAY_FORMAT = 'snooker_game_ex.replay';
+export const REPLAY_VERSION = 1;
+
+/** Valida o cabeçalho do arquivo, lançando um erro legível para o usuário */
+function validate(data) {
+  if (!data || data.format !== REPLAY_FORMAT) {
+    throw new Error("O arquivo não é um replay do Elixir Pool.");
+  }
+  if (!Number.isInteger(data.version) || data.version > REPLAY_VERSION) {
+    throw new Error(`Versão de replay não suportada: ${data.version}.`);
+  }
+  if (!data.table || !Array.isArray(data.roster) || !Array.isArray(data.frames) || !Array.isArray(data.events)) {
+    throw new Error("Arquivo de replay incompleto.");
+  }
+}
+
+/**
+ * Carrega o arquivo no estado de replay (descartando o anterior) e retorna a
+ * especificação da mesa gravada.
+ */
+export function loadReplayFile(replay, data) {
+  validate(data);
+
+  Object.assign(replay, createInitialReplayState(), {
+    MAX_SHOTS: Infinity,
+    TICK_MS: data.frame_interval_ms,
+    rules: data.rules
+  });
+
+  const roster = new Map(data.roster.map(particle => [particle.id, particle]));
+  const particles = new Map(data.roster.map(particle => [particle.id, { ...particle }]));
+
+  // Eventos são carimbados com o tick do último frame: no mesmo tick, o frame vem antes
+  const timeline = [
+    ...data.frames.map(frame => ({ tick: frame.tick, order: 0, frame })),
+    ...data.events.map(event => ({ tick: event.tick, order: 1, event }))
+  ].sort((a, b) => a.tick - b.tick || a.order - b.order);
+
+  for (const { frame, event } of timeline) {
+    if (frame) {
+      // A branca recolocada depois de uma falta (bola na mão) volta com os dados do elenco
+      frame.particles.forEach(([id]) => {
+        if (!particles.has(id) && roster.has(id)) particles.set(id, { ...roster.get(id) });
+      });
+      recordFrame(replay, particles, frame);
+      applyReplayEvent(particles, { time: frame.sim_time, rows: frame.particles });
+    } else if (event.type === 'particle_removed') {
+      recordRemoval(replay, event.id);
+      particles.delete(event.id);
+    } else if (event.type === 'rules') {
+      recordRules(replay, event.state);
+    } else if (event.type === 'shot_ended') {
+      finishShot(replay);
+    }
+    // `ball_pocketed`, `foul` e `turn_changed` são informativos: o placar vem de `rules`
+  }
+
+  // Arquivo baixado no meio de uma tacada: guarda o que foi gravado até ali
+  finishShot(replay);
+  return data.table;
+}
@@ -0,0 +1,41 @@
+/**
+ * @file replayViewerHook.js
+ * @description Hook do reprodutor de replays (`/replay`). Abre um arquivo de replay
+ * escolhido pelo usuário e o reproduz com o mesmo renderer da mesa ao vivo, sem
+ * iniciar nenhuma instância de jogo no servidor.
+ */
+
+import { CanvasHook } from './canvasHook';
+import { loadReplayFile } from './replayFile';
+
+export const ReplayViewerHook = {
+  ...CanvasHook,
+
+  mounted() {
+    this.initCanvas();
+    this.fileInput = this.el.querySelector("#replay-file");
+    this.statusElement = this.el.querySelector("#replay-status");
+    this.fileInput.addEventListener("change", () => this.openFile(this.fileInput.files[0]));
+    this.startGame();
+  },
+
+  async openFile(file) {
+    if (!file) return;
+    try {
+      const table = loadReplayFile(this.replay, JSON.parse(await file.text()));
+      this.applyTableSpec(table);
+      if (!this.replayModule.startReplay(this.replay, this.replay.shots.length)) {
+        throw new Error("O replay não tem nenhuma tacada gravada.");
+      }
+      this.showStatus(`${file.name}: ${this.replay.shots.length} tacada(s).`);
+    } catch (error) {
+      this.replayModule.stopReplay(this.replay);
+      this.showStatus(error instanceof SyntaxError ? "Arquivo JSON inválido." : error.message);
+    }
+    this.inputHandler.updateReplayControls();
+  },
+
+  showStatus(message) {
+    if (this.statusElement) this.statusElement.textContent = message;
+  },
+};
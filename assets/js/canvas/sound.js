@@ -0,0 +1,250 @@
+/**
+ * @file sound.js
+ * @description Sons do jogo, sintetizados com Web Audio (sem arquivos de áudio, para
+ * funcionar offline). Os choques são deduzidos das mudanças de velocidade entre
+ * atualizações sucessivas de cada bola (frames e `particle_moved`): batidas entre
+ * bolas, tabelas e a tacada na branca. As quedas na caçapa vêm de `ball_pocketed`
+ * (ou, na falta dele, de `particle_removed`). O volume acompanha a velocidade do
+ * impacto e o pan estéreo, a posição do choque na tela.
+ */
+
+const STORAGE_KEY = 'snooker:audio';
+const CUSHION_TOLERANCE = 3; // Folga, em unidades do mundo, para considerar a bola encostada na tabela
+const CONTACT_TOLERANCE = 6; // Idem, entre duas bolas
+
+// --- Preferências ---
+
+/** Restaura o volume e o mudo escolhidos em visitas anteriores */
+export function loadAudioSettings(audio, storage = window.localStorage) {
+  try {
+    const saved = JSON.parse(storage.getItem(STORAGE_KEY));
+    if (typeof saved?.volume === 'number') audio.volume = Math.min(Math.max(saved.volume, 0), 1);
+    if (typeof saved?.muted === 'boolean') audio.muted = saved.muted;
+  } catch (_error) {
+    // Preferências corrompidas ou armazenamento indisponível: fica com os padrões
+  }
+}
+
+function saveAudioSettings(audio) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ volume: audio.volume, muted: audio.muted }));
+  } catch (_error) {
+    // Armazenamento indisponível (ex: navegação privada): a escolha vale só para esta visita
+  }
+}
+
+export function setMuted(audio, muted) {
+  audio.muted = muted;
+  applyMasterGain(audio);
+  saveAudioSettings(audio);
+}
+
+export function setVolume(audio, volume) {
+  audio.volume = Math.min(Math.max(volume, 0), 1);
+  applyMasterGain(audio);
+  saveAudioSettings(audio);
+}
+
+function applyMasterGain(audio) {
+  if (audio.master) audio.master.gain.value = audio.muted ? 0 : audio.volume;
+}
+
+/**
+ * Cria (ou retoma) o contexto de áudio. Os navegadores só permitem tocar som
+ * depois de um gesto do usuário, então isto é chamado no primeiro clique ou tecla.
+ */
+export function unlockAudio(audio) {
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContext) return;
+
+  if (!audio.context) {
+    audio.context = new AudioContext();
+    audio.master = audio.context.createGain();
+    audio.master.connect(audio.context.destination);
+    audio.noise = createNoiseBuffer(audio.context);
+    applyMasterGain(audio);
+  }
+  if (audio.context.state === 'suspended') audio.context.resume();
+}
+
+function createNoiseBuffer(context) {
+  const buffer = context.createBuffer(1, context.sampleRate, context.sampleRate);
+  const data = buffer.getChannelData(0);
+  for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+  return buffer;
+}
+
+// --- Detecção dos choques ---
+
+const speedOf = ([vx, vy]) => Math.sqrt(vx * vx + vy * vy);
+const flipped = (before, after) => before !== 0 && Math.sign(before) !== Math.sign(after);
+
+/**
+ * Compara duas atualizações sucessivas de uma bola e retorna o choque que explica
+ * a mudança de velocidade, ou `null`: `{ kind: 'strike' | 'cushion' | 'ball', pos, speed, key }`.
+ * `key` identifica o choque, para que as duas bolas de uma batida toquem um som só.
+ */
+export function detectImpact(previous, next, particles, table, minSpeed) {
+  if (!previous || !table) return null;
+  const before = previous.vel;
+  const after = next.vel;
+  const pos = next.pos;
+
+  // Bola branca saindo do repouso: a tacada
+  if (speedOf(before) === 0) {
+    const speed = speedOf(after);
+    return next.color.type === 'cue' && speed >= minSpeed ? { kind: 'strike', pos, speed, key: `strike:${next.id}` } : null;
+  }
+
+  const { world_bounds: bounds } = table;
+  const radius = next.radius;
+  const [x, y] = pos;
+  const nearX = x - radius <= bounds.x + CUSHION_TOLERANCE || x + radius >= bounds.x + bounds.w - CUSHION_TOLERANCE;
+  const nearY = y - radius <= bounds.y + CUSHION_TOLERANCE || y + radius >= bounds.y + bounds.h - CUSHION_TOLERANCE;
+  if ((nearX && flipped(before[0], after[0])) || (nearY && flipped(before[1], after[1]))) {
+    const speed = Math.max(nearX ? Math.abs(before[0]) : 0, nearY ? Math.abs(before[1]) : 0);
+    return speed >= minSpeed ? { kind: 'cushion', pos, speed, key: `cushion:${next.id}` } : null;
+  }
+
+  const speed = speedOf([after[0] - before[0], after[1] - before[1]]);
+  if (speed < minSpeed) return null;
+
+  // Só é batida se houver outra bola encostada; senão é efeito (follow/draw)
+  for (const other of particles.values()) {
+    if (other.id === next.id) continue;
+    const distance = speedOf([other.pos[0] - x, other.pos[1] - y]);
+    if (distance <= radius + other.radius + CONTACT_TOLERANCE) {
+      const [a, b] = [next.id, other.id].sort((i, j) => i - j);
+      const contact = [(x + other.pos[0]) / 2, (y + other.pos[1]) / 2];
+      return { kind: 'ball', pos: contact, speed, key: `ball:${a}-${b}` };
+    }
+  }
+  return null;
+}
+
+/** Guarda o choque para ser tocado no fim do frame (ver `playQueuedImpacts`) */
+export function queueImpact(audio, impact) {
+  if (!impact) return;
+  const queued = audio.queue.get(impact.key);
+  if (!queued || queued.speed < impact.speed) audio.queue.set(impact.key, impact);
+}
+
+/** Toca os choques acumulados no frame, dos mais fortes para os mais fracos */
+export function playQueuedImpacts(hook) {
+  const { audio } = hook;
+  const impacts = Array.from(audio.queue.values());
+  audio.queue.clear();
+  if (!audio.context || audio.muted) return;
+
+  impacts
+    .sort((a, b) => b.speed - a.speed)
+    .slice(0, audio.MAX_VOICES_PER_FRAME)
+    .forEach(({ kind, pos, speed }) => SOUNDS[kind](audio, panFor(hook, pos), gainFor(audio, speed)));
+}
+
+/** Bola caindo na caçapa, tocada uma vez só mesmo que chegue também a remoção */
+export function playPocketDrop(hook, id) {
+  const { audio } = hook;
+  if (audio.pocketed.has(id)) {
+    audio.pocketed.delete(id);
+    return;
+  }
+  audio.pocketed.add(id);
+
+  const particle = hook.particles.get(id);
+  if (!particle || !audio.context || audio.muted) return;
+  const speed = Math.max(speedOf(particle.vel), audio.REFERENCE_SPEED / 3);
+  playPocket(audio, panFor(hook, particle.pos), gainFor(audio, speed));
+}
+
+function gainFor(audio, speed) {
+  return Math.pow(Math.min(speed / audio.REFERENCE_SPEED, 1), 0.7);
+}
+
+// Pan pela posição horizontal na tela, que já considera a rotação da câmera
+function panFor(hook, [x, y]) {
+  const screen = hook.cameraModule.worldToScreen({ x, y }, hook.camera, hook.viewport);
+  return Math.min(Math.max((screen.x / hook.viewport.width) * 2 - 1, -1), 1) * 0.8;
+}
+
+// --- Síntese ---
+
+function createVoice(audio, pan) {
+  const { context, master } = audio;
+  const output = context.createGain();
+  if (context.createStereoPanner) {
+    const panner = context.createStereoPanner();
+    panner.pan.value = pan;
+    output.connect(panner).connect(master);
+  } else {
+    output.connect(master);
+  }
+  return output;
+}
+
+// Tom curto com decaimento exponencial e leve queda de afinação
+function tone(audio, output, { frequency, gain, decay, delay = 0, type = 'triangle' }) {
+  const { context } = audio;
+  const start = context.currentTime + delay;
+  const oscillator = context.createOscillator();
+  const envelope = context.createGain();
+
+  oscillator.type = type;
+  oscillator.frequency.setValueAtTime(frequency, start);
+  oscillator.frequency.exponentialRampToValueAtTime(frequency * 0.6, start + decay);
+  envelope.gain.setValueAtTime(Math.max(gain, 0.0001), start);
+  envelope.gain.exponentialRampToValueAtTime(0.0001, start + decay);
+
+  oscillator.connect(envelope).connect(output);
+  oscillator.start(start);
+  oscillator.stop(start + decay + 0.02);
+}
+
+// Rajada de ruído filtrado
+function noise(audio, output, { frequency, gain, decay, delay = 0, filter = 'bandpass' }) {
+  const { context } = audio;
+  const start = context.currentTime + delay;
+  const source = context.createBufferSource();
+  const biquad = context.createBiquadFilter();
+  const envelope = context.createGain();
+
+  source.buffer = audio.noise;
+  biquad.type = filter;
+  biquad.frequency.value = frequency;
+  envelope.gain.setValueAtTime(Math.max(gain, 0.0001), start);
+  envelope.gain.exponentialRampToValueAtTime(0.0001, start + decay);
+
+  source.connect(biquad).connect(envelope).connect(output);
+  source.start(start, Math.random() * 0.5);
+  source.stop(start + decay + 0.02);
+}
+
+function playBallHit(audio, pan, gain) {
+  const output = createVoice(audio, pan);
+  tone(audio, output, { frequency: 2200 + Math.random() * 600, gain: gain * 0.6, decay: 0.05 });
+  noise(audio, output, { frequency: 3500, gain: gain * 0.4, decay: 0.03 });
+}
+
+function playCushion(audio, pan, gain) {
+  const output = createVoice(audio, pan);
+  noise(audio, output, { frequency: 400, gain: gain * 0.8, decay: 0.12, filter: 'lowpass' });
+  tone(audio, output, { frequency: 95, gain: gain * 0.5, decay: 0.1, type: 'sine' });
+}
+
+function playStrike(audio, pan, gain) {
+  const output = createVoice(audio, pan);
+  tone(audio, output, { frequency: 1200, gain: gain * 0.5, decay: 0.04 });
+  noise(audio, output, { frequency: 2000, gain: gain * 0.5, decay: 0.02 });
+}
+
+// Baque surdo seguido do chocalhar da bola no fundo da caçapa
+function playPocket(audio, pan, gain) {
+  const output = createVoice(audio, pan);
+  tone(audio, output, { frequency: 70, gain: gain * 0.8, decay: 0.25, type: 'sine' });
+  noise(audio, output, { frequency: 250, gain: gain * 0.5, decay: 0.15, filter: 'lowpass' });
+  [0.06, 0.11, 0.15].forEach((delay, index) => {
+    tone(audio, output, { frequency: 900 + Math.random() * 500, gain: gain * 0.25 / (index + 1), decay: 0.04, delay });
+  });
+}
+
+const SOUNDS = { ball: playBallHit, cushion: playCushion, strike: playStrike };
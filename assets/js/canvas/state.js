@@ -15,7 +15,16 @@ export function createInitialCameraState() {
     lastTouchMidpoint: { x: 0, y: 0 },
     panState: { up: false, down: false, left: false, right: false },
     keyboardPanState: { up: false, down: false, left: false, right: false },
-    PAN_SPEED: 500
+    gamepadPanState: { up: 0, down: 0, left: 0, right: 0 }, // Alavanca esquerda, de 0 a 1
+    mode: 'manual', // Ver CAMERA_MODES em camera.js
+    transition: null, // Animação em andamento: { from, to, elapsed }
+    minZoom: 0, // Limites recalculados a cada frame a partir do tamanho da mesa
+    maxZoom: Infinity,
+    PAN_SPEED: 500,
+    TRANSITION_DURATION: 0.4, // Segundos
+    FOLLOW_RATE: 4, // Rapidez com que os modos automáticos alcançam o alvo (1/s)
+    MIN_ZOOM_RATIO: 0.5, // Em relação ao zoom que enquadra a mesa inteira
+    MAX_ZOOM_RATIO: 8
   };
 }
 
@@ -25,12 +34,152 @@ export function createInitialCueState() {
     status: 'inactive', // 'inactive', 'aiming', 'striking'
     start: { x: 0, y: 0 },
     end: { x: 0, y: 0 },
-    MAX_PULL_DISTANCE: 200,
+    MAX_PULL_DISTANCE: 200, // Recuo do taco desenhado na força máxima, em unidades do mundo
+    FULL_POWER_DRAG_PX: 200, // Arrasto, em pixels de tela, que dá a força máxima (não depende do zoom)
+    POWER_BAR_DRAG_PX: 150, // Arrasto vertical sobre a barra que vai de 0 a 100%
+    METER_PERIOD_MS: 1600, // Ida e volta do medidor oscilante
+    spin: { x: 0, y: 0 }, // Ponto de contato no disco unitário: x > 0 efeito à direita, y > 0 follow
+    inputMode: 'drag', // Esquema de tacada: 'drag', 'slider', 'meter' ou 'touch' (ver SHOT_MODES em cue.js)
+    directAim: false, // Mira por ângulo (teclado, controle, clique nos esquemas 'slider' e 'meter')
+    pointerAiming: false, // Botão do mouse (ou dedo) pressionado mirando
+    angle: 0, // Direção da tacada em graus (0 = para a direita da mesa), mantida entre tacadas
+    power: 0.5, // Força de 0 a 1; `end` (o recuo do taco) é derivado dela e de `angle`
+    meterStart: 0, // Início da oscilação do medidor
     animation: {
       startTime: 0,
       duration: 150,
       force: { x: 0, y: 0 },
+      spin: { x: 0, y: 0 },
       initialPullDistance: 0,
+      pullDistance: 0, // Recuo do taco no frame atual da animação
     }
   };
 }
+
+// Estado inicial do posicionamento da branca com bola na mão
+export function createInitialPlacementState() {
+  return {
+    pos: null, // Posição sob o cursor, no espaço do mundo
+    dragging: false,
+    pending: false // Posição enviada, aguardando o servidor
+  };
+}
+
+// Estado inicial do som (o contexto de áudio só é criado no primeiro gesto do usuário)
+export function createInitialAudioState() {
+  return {
+    context: null,
+    master: null,
+    noise: null, // Buffer de ruído branco compartilhado pelos sons
+    muted: false,
+    volume: 0.7,
+    queue: new Map(), // Choques do frame atual, por chave (ver sound.js)
+    pocketed: new Set(), // Bolas cuja queda na caçapa já tocou
+    MIN_IMPACT_SPEED: 20,
+    REFERENCE_SPEED: 1500, // Velocidade de impacto com volume máximo
+    MAX_VOICES_PER_FRAME: 6
+  };
+}
+
+// Estado inicial do controle (Gamepad API), lido a cada frame por `InputHandler.pollGamepad`
+export function createInitialGamepadState() {
+  return {
+    index: null, // Controle em uso em `navigator.getGamepads()`
+    pressed: [], // Botões pressionados no frame anterior, para agir quando são soltos
+    rightStick: 0, // Intensidade da alavanca direita no frame anterior
+    trigger: 0, // Idem, gatilho direito
+    stickDeadZone: 0.15,
+    triggerDeadZone: 0.05,
+    ZOOM_SPEED: 1.5, // Fator de zoom por segundo com o gatilho no fundo
+    RELEASE_STEP: 0.15 // Queda por frame acima da qual a alavanca está voltando sozinha ao centro
+  };
+}
+
+// Caches do renderer (ver layers.js)
+export function createInitialRenderCacheState() {
+  return {
+    tableLayer: null, // Mesa já desenhada, fora da tela
+    tableKey: null, // Câmera e tamanho com que `tableLayer` foi desenhada
+    sprites: new Map(), // Sombreado das bolas, por raio e resolução
+    lastSignature: null, // Estado desenhado no último frame (ver isFrameDirty)
+    MAX_SPRITES: 96
+  };
+}
+
+// Estado inicial da aparência: a chave de cada parte nos registros de themes.js
+export function createInitialThemeState() {
+  return {
+    table: 'classic', // Pano, tabelas e caçapas (TABLE_STYLES)
+    balls: 'american', // Jogo de bolas (BALL_SETS)
+    cue: 'wood' // Taco (CUE_SKINS)
+  };
+}
+
+// Estado inicial dos gestos do esquema de toque (ver touch.js)
+export function createInitialTouchState() {
+  return {
+    dialAngle: null, // Ângulo do dedo em torno da branca no último movimento (radianos, tela)
+    start: null, // Início do toque atual: `{ x, y, time }`, para toque duplo e toque longo
+    lastTap: null, // Último toque curto, para reconhecer o toque duplo
+    longPressTimer: null,
+    loupe: null, // Lupa aberta pelo toque longo: `{ x, y, radius, zoom }` em pixels CSS
+    powerPull: null, // Arrasto na faixa de força: `{ y, height, lastStep }`
+    DOUBLE_TAP_MS: 300,
+    TAP_TOLERANCE_PX: 12, // Movimento que ainda conta como toque parado
+    LONG_PRESS_MS: 500,
+    DOUBLE_TAP_ZOOM: 3, // Em relação ao zoom que enquadra a mesa
+    LOUPE_RADIUS: 60,
+    LOUPE_ZOOM: 2.5,
+    HAPTIC_STEP: 0.1, // Um toque de vibração a cada 10% de força
+    MIN_PULL: 0.03 // Menos que isso ao soltar a faixa cancela a tacada
+  };
+}
+
+// Estado inicial dos efeitos visuais (ver effects.js)
+export function createInitialEffectsState() {
+  return {
+    items: [], // Efeitos em andamento: queda na caçapa, anel de choque, rótulo
+    nextId: 1,
+    light: { x: 0.5, y: 0.5, height: 300 }, // Luz sobre a mesa: frações da largura/altura e altura em unidades do mundo
+    DROP_MS: 450,
+    IMPACT_MS: 300,
+    LABEL_MS: 1200,
+    REFERENCE_SPEED: 1500, // Velocidade de choque com o anel mais forte
+    MAX_ITEMS: 48
+  };
+}
+
+// Estado inicial do placar (preenchido pelo evento `game_state`)
+export function createInitialHudState() {
+  return {
+    gameState: null,
+    banner: null, // { kind: 'foul' | 'win', text, until }
+    notice: null // Jogada recusada pelo servidor: { text, until }
+  };
+}
+
+// Estado inicial das gravações de tacadas e da reprodução
+export function createInitialReplayState() {
+  return {
+    recording: null, // Tacada em andamento: { start, startTime, events }
+    shots: [], // Últimas tacadas completas: { start, startTime, duration, events }
+    playback: null, // Reprodução ativa (a entrada ao vivo fica desabilitada)
+    speed: 1,
+    MIN_SPEED: 0.25,
+    MAX_SPEED: 2,
+    MAX_SHOTS: 5,
+    TICK_MS: 16
+  };
+}
+
+// Estado inicial para a sincronização com o relógio de simulação do servidor
+export function createInitialSyncState() {
+  return {
+    offset: null, // Diferença estimada entre o relógio local e o `sim_time` do servidor (ms)
+    TICK_MS: 16,
+    INTERPOLATION_DELAY_MS: 50,
+    MAX_EXTRAPOLATION_MS: 100,
+    BUFFER_SIZE: 8,
+    OFFSET_DRIFT_RATE: 0.02
+  };
+}
@@ -0,0 +1,167 @@
+/**
+ * @file themes.js
+ * @description Aparência da mesa, das bolas e do taco. Cada parte tem seu registro
+ * (mesas, jogos de bolas e tacos) e a escolha do jogador é só a chave de cada um,
+ * em `hook.theme`: assim ela vai para o worker de renderização como qualquer outro
+ * dado da cena e o próximo frame já sai com a aparência nova. Os temas prontos
+ * (`THEMES`) escolhem as três partes de uma vez. O servidor continua mandando a cor
+ * "oficial" de cada bola; o jogo de bolas decide como desenhá-la.
+ */
+
+const STORAGE_KEY = 'snooker:theme';
+
+/** Pano, tabelas, caçapas e marcações */
+export const TABLE_STYLES = {
+  classic: {
+    label: 'Clássica',
+    cloth: '#1a6d38',
+    rail: '#8B4513',
+    pocket: 'black',
+    pocketRim: null,
+    markings: 'rgba(255, 255, 255, 0.35)',
+    spots: 'rgba(255, 255, 255, 0.6)',
+    ballOutline: null
+  },
+  tournament: {
+    label: 'Torneio (azul)',
+    cloth: '#1f5f9e',
+    rail: '#263238',
+    pocket: '#111111',
+    pocketRim: '#b0bec5',
+    markings: 'rgba(255, 255, 255, 0.4)',
+    spots: 'rgba(255, 255, 255, 0.7)',
+    ballOutline: null
+  },
+  burgundy: {
+    label: 'Bordô',
+    cloth: '#7b1f2b',
+    rail: '#4e342e',
+    pocket: 'black',
+    pocketRim: '#c9a227',
+    markings: 'rgba(255, 255, 255, 0.3)',
+    spots: 'rgba(255, 255, 255, 0.55)',
+    ballOutline: null
+  },
+  contrast: {
+    label: 'Alto contraste',
+    cloth: '#0b3d2e',
+    rail: '#f5f5f5',
+    pocket: 'black',
+    pocketRim: '#ffeb3b',
+    markings: 'rgba(255, 255, 255, 0.9)',
+    spots: '#ffffff',
+    ballOutline: '#ffffff' // Contorno em toda bola, para a preta e a marrom não sumirem no pano
+  }
+};
+
+const SNOOKER_COLOURS = ['#fdd835', '#2e7d32', '#6d4c41', '#1565c0', '#f48fb1'];
+
+// Numa partida de sinuca, vermelhas e coloridas saem sempre lisas e na cor do
+// servidor: é a cor que diz o valor de cada bola, em qualquer jogo de bolas
+const keepSnookerBalls = appearance => color => (
+  color.type === 'red' || color.type === 'colour'
+    ? { base: color.base_color, stripe: null, number: null }
+    : appearance(color)
+);
+
+/**
+ * Jogos de bolas: `appearance(color)` recebe a cor enviada pelo servidor e retorna
+ * `{ base, stripe, number }` (faixa e número são `null` quando a bola não tem).
+ * `suitLabels` renomeia os naipes no placar. Os jogos valem para as partidas de
+ * bola 8; na sinuca, só a branca muda.
+ */
+export const BALL_SETS = {
+  american: {
+    label: 'Americanas numeradas',
+    suitLabels: { solid: 'Lisas', stripe: 'Listradas' },
+    appearance: keepSnookerBalls(({ type, number, base_color }) => ({
+      base: base_color,
+      stripe: type === 'stripe' ? 'white' : null,
+      number: number > 0 ? String(number) : null
+    }))
+  },
+  uk: {
+    label: 'Inglesas (vermelhas e amarelas)',
+    suitLabels: { solid: 'Vermelhas', stripe: 'Amarelas' },
+    appearance: keepSnookerBalls(({ type, number, base_color }) => {
+      if (type === 'cue') return { base: base_color, stripe: null, number: null };
+      if (number === 8) return { base: '#111111', stripe: null, number: '8' };
+      return { base: type === 'solid' ? '#c62828' : '#f9a825', stripe: null, number: null };
+    })
+  },
+  snooker: {
+    label: 'Sinuca (vermelhas e coloridas)',
+    suitLabels: { solid: 'Vermelhas', stripe: 'Coloridas' },
+    appearance: keepSnookerBalls(({ type, number, base_color }) => {
+      if (type === 'cue') return { base: base_color, stripe: null, number: null };
+      if (number === 8) return { base: '#111111', stripe: null, number: null };
+      if (type === 'solid') return { base: '#b71c1c', stripe: null, number: null };
+      return { base: SNOOKER_COLOURS[(number - 9) % SNOOKER_COLOURS.length], stripe: null, number: null };
+    })
+  }
+};
+
+/** Tacos: o gradiente atravessa o taco de um lado ao outro */
+export const CUE_SKINS = {
+  wood: { label: 'Madeira', stops: ['#A0522D', '#D2B48C', '#8B4513'], outline: 'rgba(0, 0, 0, 0.4)' },
+  maple: { label: 'Maple', stops: ['#c8a36a', '#f3e2c0', '#a67c45'], outline: 'rgba(0, 0, 0, 0.35)' },
+  ebony: { label: 'Ébano', stops: ['#1b1b1b', '#5f5f5f', '#000000'], outline: 'rgba(255, 255, 255, 0.35)' },
+  carbon: { label: 'Carbono', stops: ['#263238', '#90a4ae', '#263238'], outline: 'rgba(0, 0, 0, 0.5)' },
+  contrast: { label: 'Alto contraste', stops: ['#ffeb3b', '#ffffff', '#ffeb3b'], outline: '#000000' }
+};
+
+/** Temas prontos, com uma escolha de cada parte */
+export const THEMES = {
+  classic: { label: 'Clássico', table: 'classic', balls: 'american', cue: 'wood' },
+  pub: { label: 'Pub inglês', table: 'burgundy', balls: 'uk', cue: 'maple' },
+  tournament: { label: 'Torneio', table: 'tournament', balls: 'snooker', cue: 'ebony' },
+  contrast: { label: 'Alto contraste', table: 'contrast', balls: 'american', cue: 'contrast' }
+};
+
+const PARTS = { table: TABLE_STYLES, balls: BALL_SETS, cue: CUE_SKINS };
+
+/** Restaura a aparência escolhida em visitas anteriores */
+export function loadTheme(theme, storage = window.localStorage) {
+  try {
+    setTheme(theme, JSON.parse(storage.getItem(STORAGE_KEY)) || {}, false);
+  } catch (_error) {
+    // Preferências corrompidas ou armazenamento indisponível: fica com o tema clássico
+  }
+}
+
+/** Troca uma ou mais partes (`table`, `balls`, `cue`); chaves desconhecidas são ignoradas */
+export function setTheme(theme, changes, save = true) {
+  Object.entries(PARTS).forEach(([part, registry]) => {
+    if (Object.hasOwn(registry, changes[part] ?? '')) theme[part] = changes[part];
+  });
+  if (!save) return;
+
+  try {
+    const { table, balls, cue } = theme;
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ table, balls, cue }));
+  } catch (_error) {
+    // Armazenamento indisponível (ex: navegação privada): a escolha vale só para esta visita
+  }
+}
+
+/** Aplica um dos temas prontos */
+export function applyPreset(theme, name) {
+  if (THEMES[name]) setTheme(theme, THEMES[name]);
+}
+
+/** Tema pronto que corresponde à escolha atual, ou `null` se ela foi montada à mão */
+export function presetOf(theme) {
+  const match = Object.entries(THEMES).find(([, preset]) => (
+    preset.table === theme.table && preset.balls === theme.balls && preset.cue === theme.cue
+  ));
+  return match ? match[0] : null;
+}
+
+/** As três partes escolhidas, já resolvidas nos registros (com o clássico no lugar de chaves inválidas) */
+export function resolveTheme(theme) {
+  return {
+    table: TABLE_STYLES[theme?.table] || TABLE_STYLES.classic,
+    balls: BALL_SETS[theme?.balls] || BALL_SETS.american,
+    cue: CUE_SKINS[theme?.cue] || CUE_SKINS.wood
+  };
+}
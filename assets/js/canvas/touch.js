@@ -0,0 +1,147 @@
+/**
+ * @file touch.js
+ * @description Esquema de tacada 'touch', pensado para celular. Um dedo em qualquer
+ * lugar da mesa gira o taco em torno da branca, como um dial: o taco acompanha a
+ * variação do ângulo do dedo visto a partir da bola (longe dela, o mesmo movimento
+ * gira menos, para ajustes finos). A força vem da faixa na lateral da tela, puxada
+ * para baixo como o taco; soltá-la taca. Toque duplo aproxima a câmera da branca e
+ * toque longo abre uma lupa sob o dedo. O celular vibra a cada degrau de força e na
+ * tacada, quando o navegador permite (`navigator.vibrate`).
+ */
+
+const DEAD_ZONE_PX = 20; // Perto demais da branca, o ângulo do dedo oscila muito
+const TICK_VIBRATION_MS = 8;
+const STRIKE_VIBRATION = [20, 30, 40];
+
+/** Vibração curta, se o aparelho tiver (no desktop e no iOS não faz nada) */
+export function haptic(pattern) {
+  if (typeof navigator !== 'undefined') navigator.vibrate?.(pattern);
+}
+
+function whiteBall(hook) {
+  return Array.from(hook.particles.values()).find(p => p.color.type === 'cue');
+}
+
+// Ângulo do dedo em torno da branca, na tela; `null` dentro da zona morta
+function dialAngle(hook, screenPos) {
+  const { cueState, camera, viewport, cameraModule } = hook;
+  const ball = cameraModule.worldToScreen(cueState.start, camera, viewport);
+  const dx = screenPos.x - ball.x, dy = screenPos.y - ball.y;
+  return Math.hypot(dx, dy) < DEAD_ZONE_PX ? null : Math.atan2(dy, dx);
+}
+
+function clearLongPress(touch) {
+  clearTimeout(touch.longPressTimer);
+  touch.longPressTimer = null;
+}
+
+// --- Dedo na mesa ---
+
+/** Um dedo tocou a mesa: começa a mira (se o jogador pode tacar) e os gestos de toque */
+export function touchStart(hook, screenPos, now) {
+  const { touch, cueState, cueModule } = hook;
+  if (cueState.status === 'inactive') cueModule.startDirectAiming(hook);
+
+  touch.start = { ...screenPos, time: now };
+  touch.dialAngle = cueState.status === 'aiming' && cueState.directAim ? dialAngle(hook, screenPos) : null;
+  clearLongPress(touch);
+  touch.longPressTimer = setTimeout(() => {
+    touch.longPressTimer = null;
+    touch.loupe = { ...screenPos, radius: touch.LOUPE_RADIUS, zoom: touch.LOUPE_ZOOM };
+    haptic(TICK_VIBRATION_MS);
+  }, touch.LONG_PRESS_MS);
+}
+
+/** O dedo andou: gira o taco pelo quanto o ângulo dele em torno da branca mudou (ou move a lupa) */
+export function touchMove(hook, screenPos) {
+  const { touch, cueState, cueModule } = hook;
+  if (!touch.start) return;
+  if (touch.loupe) {
+    touch.loupe = { ...touch.loupe, x: screenPos.x, y: screenPos.y };
+    return;
+  }
+  if (Math.hypot(screenPos.x - touch.start.x, screenPos.y - touch.start.y) > touch.TAP_TOLERANCE_PX) clearLongPress(touch);
+  if (cueState.status !== 'aiming' || !cueState.directAim) return;
+
+  const angle = dialAngle(hook, screenPos);
+  if (angle !== null && touch.dialAngle !== null) {
+    const delta = Math.atan2(Math.sin(angle - touch.dialAngle), Math.cos(angle - touch.dialAngle));
+    cueModule.rotateAim(cueState, delta * 180 / Math.PI); // A câmera só gira a tela: o sentido é o mesmo na mesa
+  }
+  touch.dialAngle = angle;
+}
+
+/**
+ * O dedo saiu: fecha a lupa e, se foi um toque curto logo depois de outro, alterna
+ * entre a mesa inteira e a câmera perto da branca.
+ */
+export function touchEnd(hook, screenPos, now) {
+  const { touch } = hook;
+  const { start } = touch;
+  const hadLoupe = !!touch.loupe;
+  touchCancel(touch);
+  if (!start || hadLoupe) return;
+
+  const still = Math.hypot(screenPos.x - start.x, screenPos.y - start.y) <= touch.TAP_TOLERANCE_PX;
+  if (!still || now - start.time >= touch.LONG_PRESS_MS) {
+    touch.lastTap = null;
+    return;
+  }
+
+  const { lastTap } = touch;
+  const doubleTap = lastTap && now - lastTap.time <= touch.DOUBLE_TAP_MS &&
+    Math.hypot(screenPos.x - lastTap.x, screenPos.y - lastTap.y) <= touch.TAP_TOLERANCE_PX * 2;
+  touch.lastTap = doubleTap ? null : { ...screenPos, time: now };
+
+  const ball = doubleTap && whiteBall(hook);
+  if (!ball) return;
+  const [x, y] = ball.pos;
+  hook.cameraModule.toggleFocus(hook.camera, hook.table, hook.viewport, { x, y }, touch.DOUBLE_TAP_ZOOM);
+}
+
+/** Interrompe o gesto de um dedo (dedo solto, segundo dedo na tela ou troca de esquema) */
+export function touchCancel(touch) {
+  clearLongPress(touch);
+  touch.start = null;
+  touch.dialAngle = null;
+  touch.loupe = null;
+}
+
+// --- Faixa de força ---
+
+/** Começa a puxar a faixa de força (`height` é a altura dela, em pixels CSS) */
+export function startPowerPull(hook, clientY, height) {
+  const { touch, cueState, cueModule } = hook;
+  if (cueState.status === 'inactive' && !cueModule.startDirectAiming(hook)) return false;
+  if (cueState.status !== 'aiming' || !cueState.directAim) return false;
+
+  touch.powerPull = { y: clientY, height, lastStep: 0 };
+  cueModule.setPower(cueState, 0);
+  return true;
+}
+
+/** A força é a fração da faixa puxada para baixo; cada degrau de `HAPTIC_STEP` vibra */
+export function movePowerPull(hook, clientY) {
+  const { touch, cueState, cueModule } = hook;
+  const pull = touch.powerPull;
+  if (!pull) return 0;
+
+  const power = Math.min(Math.max((clientY - pull.y) / pull.height, 0), 1);
+  cueModule.setPower(cueState, power);
+  const step = Math.floor(power / touch.HAPTIC_STEP + 1e-9);
+  if (step !== pull.lastStep) haptic(TICK_VIBRATION_MS);
+  pull.lastStep = step;
+  return power;
+}
+
+/** Soltou a faixa: taca, a não ser que ela mal tenha sido puxada (aí a mira continua) */
+export function endPowerPull(hook) {
+  const { touch, cueState, cueModule } = hook;
+  const pull = touch.powerPull;
+  touch.powerPull = null;
+  if (!pull || cueState.status !== 'aiming') return;
+  if (cueState.power < touch.MIN_PULL) return;
+
+  cueModule.applyStrike(hook);
+  haptic(STRIKE_VIBRATION);
+}
@@ -0,0 +1,262 @@
+/**
+ * @file snookerClient.js
+ * @description Cliente JavaScript do canal `game:*` (`SnookerGameExWeb.GameChannel`),
+ * para bots e front-ends que não usam o LiveView. Mantém uma cópia local da mesa,
+ * atualizada pelos frames do servidor, e a ressincroniza a cada reconexão com o
+ * `initial_state` devolvido pelo join.
+ *
+ * @example
+ * const client = new SnookerClient({ name: 'Bot' });
+ * const state = await client.join('sala-1');
+ * client.on('shot_ended', () => client.strike({ x: 300, y: 0 }));
+ */
+
+import { Socket } from 'phoenix';
+
+/**
+ * @typedef {Object} Particle
+ * @property {number} id
+ * @property {[number, number]} pos
+ * @property {[number, number]} vel
+ * @property {number} radius
+ * @property {string} color
+ * @property {number} spin_angle
+ * @property {number} roll_distance
+ */
+
+/**
+ * @typedef {Object} InitialState
+ * @property {Object} table_spec Geometria da mesa (ver `SnookerGameEx.Core.TableSpec`)
+ * @property {Particle[]} particles
+ * @property {Object|null} settings Configurações da sala
+ * @property {Object|null} game_state Estado das regras (ver `GameRules.to_payload/1`)
+ * @property {{seats: {player1: ?string, player2: ?string}, spectators: number}|null} seats
+ * @property {'player1'|'player2'|'spectator'} role
+ */
+
+/**
+ * @typedef {Object} FramePayload
+ * @property {number} tick
+ * @property {number} sim_time
+ * @property {Array<[number, number, number, number, number, number, number]>} particles
+ *   Linhas `[id, x, y, vx, vy, spin_angle, roll_distance]` das bolas que mudaram
+ */
+
+/**
+ * Eventos aceitos por {@link SnookerClient#on} e o que cada um recebe:
+ * - `frame`: {@link FramePayload}
+ * - `particle_moved`: {@link Particle} (com `sim_time`)
+ * - `particle_removed`: `{id}`
+ * - `ball_pocketed`: `{id, ball}`
+ * - `game_state`: estado das regras
+ * - `seats`: `{seats, spectators}`
+ * - `role`: `{role}`, quando uma cadeira vaga é passada a este cliente
+ * - `shot_ended`: `{}`
+ * - `resync`: {@link InitialState}, depois de cada reconexão, `resync()` ou reinício da sala
+ * - `error`: `{reason}`, quando o canal cai
+ */
+export const EVENTS = [
+  'frame', 'particle_moved', 'particle_removed', 'ball_pocketed', 'game_state',
+  'seats', 'role', 'shot_ended', 'resync', 'error'
+];
+
+// Eventos que chegam diretamente do canal; os demais são gerados pelo cliente
+const CHANNEL_EVENTS = EVENTS.filter(event => event !== 'resync' && event !== 'error');
+
+/** Erro de um comando recusado pelo servidor (`reason` vem do canal) */
+export class SnookerClientError extends Error {
+  constructor(reason) {
+    super(`Comando recusado pelo servidor: ${reason}`);
+    this.name = 'SnookerClientError';
+    this.reason = reason;
+  }
+}
+
+export class SnookerClient {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.url='/socket'] Endereço do `SnookerGameExWeb.UserSocket`
+   * @param {Socket} [options.socket] Socket Phoenix já criado (ignora `url` e `params`)
+   * @param {Object} [options.params] Parâmetros de conexão do socket
+   * @param {string} [options.name] Nome exibido na cadeira ocupada
+   * @param {number} [options.timeout=10000] Tempo máximo de espera por uma resposta (ms)
+   */
+  constructor({ url = '/socket', socket, params = {}, name, timeout = 10000 } = {}) {
+    this.socket = socket || new Socket(url, { params });
+    this.name = name;
+    this.timeout = timeout;
+    this.channel = null;
+    this.listeners = new Map(EVENTS.map(event => [event, new Set()]));
+    this.resetState();
+  }
+
+  resetState() {
+    /** @type {Map<number, Particle>} */
+    this.particles = new Map();
+    this.table = null;
+    this.settings = null;
+    this.gameState = null;
+    this.seats = null;
+    this.role = 'spectator';
+  }
+
+  connect() {
+    if (!this.socket.isConnected()) this.socket.connect();
+    return this;
+  }
+
+  /**
+   * Entra na sala, ocupando uma cadeira livre ou assistindo. O Phoenix refaz o
+   * join sozinho depois de uma queda; a cada novo join a mesa local é trocada
+   * pelo estado enviado e `resync` é emitido.
+   * @param {string} gameId
+   * @returns {Promise<InitialState>}
+   */
+  join(gameId) {
+    if (this.channel) this.leave();
+    this.connect();
+
+    const channel = this.socket.channel(`game:${gameId}`, this.name ? { name: this.name } : {});
+    this.channel = channel;
+    CHANNEL_EVENTS.forEach(event => channel.on(event, payload => this.handleEvent(event, payload)));
+    channel.on('game_restarted', ({ initial_state }) => {
+      this.applyInitialState(initial_state);
+      this.emit('resync', initial_state);
+    });
+    channel.onError(reason => this.emit('error', { reason }));
+
+    let joined = false;
+    return new Promise((resolve, reject) => {
+      channel.join(this.timeout)
+        .receive('ok', ({ initial_state }) => {
+          this.applyInitialState(initial_state);
+          if (joined) {
+            this.emit('resync', initial_state);
+          } else {
+            joined = true;
+            resolve(initial_state);
+          }
+        })
+        .receive('error', ({ reason } = {}) => {
+          if (!joined) reject(new SnookerClientError(reason || 'join'));
+        })
+        .receive('timeout', () => {
+          if (!joined) reject(new SnookerClientError('timeout'));
+        });
+    });
+  }
+
+  leave() {
+    if (!this.channel) return;
+    this.channel.leave();
+    this.channel = null;
+    this.resetState();
+  }
+
+  /**
+   * Dá uma tacada na bola branca.
+   * @param {{x: number, y: number}} force Força no espaço do mundo
+   * @param {{x: number, y: number}} [spin] Ponto de contato do taco, entre -1 e 1
+   * @returns {Promise<void>} Rejeitada com {@link SnookerClientError}
+   *   (`not_your_turn`, `balls_moving`, `game_over`, `weak_strike`, `spectator`...)
+   */
+  strike(force, spin = { x: 0, y: 0 }) {
+    return this.request('player_hit', { force: [force.x, force.y], spin: [spin.x, spin.y] });
+  }
+
+  /**
+   * Recoloca a bola branca depois de uma falta com ela encaçapada (bola na mão,
+   * ver `gameState.ball_in_hand`).
+   * @param {{x: number, y: number}} pos Posição no espaço do mundo
+   * @returns {Promise<void>} Rejeitada com {@link SnookerClientError}
+   *   (`out_of_bounds`, `outside_kitchen`, `in_pocket`, `overlapping`...)
+   */
+  placeCueBall(pos) {
+    return this.request('place_cue_ball', { pos: [pos.x, pos.y] });
+  }
+
+  /** Segura a bola branca antes da tacada. */
+  holdBall() {
+    return this.request('hold_ball', {});
+  }
+
+  /**
+   * Pede o estado completo da sala e substitui a cópia local, como numa reconexão.
+   * @returns {Promise<InitialState>}
+   */
+  async resync() {
+    const { initial_state } = await this.request('request_state', {});
+    this.applyInitialState(initial_state);
+    this.emit('resync', initial_state);
+    return initial_state;
+  }
+
+  /**
+   * Assina um evento do canal (ver {@link EVENTS}).
+   * @param {string} event
+   * @param {(payload: Object) => void} callback
+   * @returns {() => void} Função que cancela a assinatura
+   */
+  on(event, callback) {
+    const listeners = this.listeners.get(event);
+    if (!listeners) throw new Error(`Evento desconhecido: ${event}`);
+    listeners.add(callback);
+    return () => listeners.delete(callback);
+  }
+
+  // --- Internos ---
+
+  request(event, payload) {
+    if (!this.channel) return Promise.reject(new Error('Entre numa sala antes de enviar comandos.'));
+
+    return new Promise((resolve, reject) => {
+      this.channel.push(event, payload, this.timeout)
+        .receive('ok', resolve)
+        .receive('error', ({ reason } = {}) => reject(new SnookerClientError(reason)))
+        .receive('timeout', () => reject(new SnookerClientError('timeout')));
+    });
+  }
+
+  emit(event, payload) {
+    this.listeners.get(event).forEach(callback => callback(payload));
+  }
+
+  applyInitialState({ table_spec, particles, settings, game_state, seats, role }) {
+    this.table = table_spec;
+    this.particles = new Map(particles.map(particle => [particle.id, particle]));
+    this.settings = settings;
+    this.gameState = game_state;
+    this.seats = seats;
+    this.role = role;
+  }
+
+  // Atualiza a cópia local antes de repassar o evento aos assinantes
+  handleEvent(event, payload) {
+    switch (event) {
+      case 'frame':
+        for (const [id, x, y, vx, vy, spin_angle, roll_distance] of payload.particles) {
+          const particle = this.particles.get(id);
+          if (particle) Object.assign(particle, { pos: [x, y], vel: [vx, vy], spin_angle, roll_distance });
+        }
+        break;
+      case 'particle_moved':
+        this.particles.set(payload.id, { ...this.particles.get(payload.id), ...payload });
+        break;
+      case 'particle_removed':
+        this.particles.delete(payload.id);
+        break;
+      case 'game_state':
+        this.gameState = payload;
+        break;
+      case 'seats':
+        this.seats = payload;
+        break;
+      case 'role':
+        this.role = payload.role;
+        break;
+    }
+    this.emit(event, payload);
+  }
+}
+
+export default SnookerClient;
@@ -0,0 +1,62 @@
+defmodule SnookerGameEx.Core.CuePlacement do
+  @moduledoc """
+  Regras puras de posicionamento da bola branca com "bola na mão", depois de uma
+  falta com a branca encaçapada.
+
+  Em `:table` a branca pode ir a qualquer ponto da área de jogo; em `:kitchen`
+  (falta na quebra), só atrás da linha de cabeceira; em `:d` (sinuca), só dentro
+  do D. Em todos os casos ela não pode encostar em outra bola nem ficar sobre a
+  boca de uma caçapa. O cliente faz
+  a mesma verificação para mostrar as posições inválidas enquanto o jogador
+  arrasta a bola.
+  """
+
+  alias SnookerGameEx.Core.TableSpec
+
+  @typedoc "Onde a branca pode ser posicionada."
+  @type zone :: :table | :kitchen | :d
+
+  @typedoc "Motivos para recusar uma posição."
+  @type error :: :out_of_bounds | :outside_kitchen | :outside_d | :in_pocket | :overlapping
+
+  @doc """
+  Verifica se a branca pode ser colocada em `pos` na zona `zone`, dadas as demais
+  bolas da mesa (qualquer mapa com `:id` e `:pos`; a própria branca é ignorada).
+  """
+  @spec validate(TableSpec.t(), zone, [number()], [map()]) :: :ok | {:error, error}
+  def validate(%TableSpec{} = spec, zone, [x, y] = pos, particles)
+      when is_number(x) and is_number(y) do
+    cond do
+      not inside_cushions?(spec, pos) -> {:error, :out_of_bounds}
+      zone == :kitchen and x > head_string_x(spec) -> {:error, :outside_kitchen}
+      zone == :d and not inside_d?(spec, pos) -> {:error, :outside_d}
+      Enum.any?(spec.pockets, &(distance(&1.pos, pos) < &1.radius)) -> {:error, :in_pocket}
+      overlapping?(spec, pos, particles) -> {:error, :overlapping}
+      true -> :ok
+    end
+  end
+
+  def validate(%TableSpec{}, _zone, _pos, _particles), do: {:error, :out_of_bounds}
+
+  defp inside_cushions?(%TableSpec{world_bounds: bounds, ball_radius: radius}, [x, y]) do
+    x >= bounds.x + radius and x <= bounds.x + bounds.w - radius and
+      y >= bounds.y + radius and y <= bounds.y + bounds.h - radius
+  end
+
+  defp head_string_x(%TableSpec{lines: lines}) do
+    %{from: [x, _y]} = Enum.find(lines, &(&1.name == :head_string))
+    x
+  end
+
+  # O D é o semicírculo atrás da linha de baulk; a própria linha faz parte dele.
+  defp inside_d?(%TableSpec{arcs: arcs}, [x, _y] = pos) do
+    %{center: [center_x, _] = center, radius: radius} = Enum.find(arcs, &(&1.name == :d))
+    x <= center_x and distance(center, pos) <= radius
+  end
+
+  defp overlapping?(%TableSpec{ball_radius: radius}, pos, particles) do
+    Enum.any?(particles, &(&1.id != 0 and distance(&1.pos, pos) < radius * 2))
+  end
+
+  defp distance([x1, y1], [x2, y2]), do: :math.sqrt((x1 - x2) ** 2 + (y1 - y2) ** 2)
+end
@@ -0,0 +1,47 @@
+defmodule SnookerGameEx.Core.Frame do
+  @moduledoc """
+  Codificação compacta dos frames enviados aos clientes a cada tick.
+
+  Cada partícula vira uma linha `[id, x, y, vx, vy, spin_angle, roll_distance]`
+  com floats arredondados. Só as linhas que mudaram desde o último frame enviado
+  são transmitidas (codificação delta); propriedades estáticas como `color` e
+  `radius` seguem apenas no estado inicial.
+  """
+
+  alias SnookerGameEx.Core.GameState
+
+  @precision 2
+
+  @typedoc "Uma linha compacta: `[id, x, y, vx, vy, spin_angle, roll_distance]`."
+  @type row :: list()
+
+  @typedoc "Últimas linhas enviadas, indexadas pelo id da partícula."
+  @type sent_rows :: %{optional(any()) => row}
+
+  @doc """
+  Codifica uma partícula numa linha compacta. Aceita também o payload de
+  `particle_moved`, que traz os mesmos campos.
+  """
+  @spec encode_row(GameState.t() | map()) :: row
+  def encode_row(%{pos: [x, y], vel: [vx, vy]} = particle) do
+    values = [x, y, vx, vy, particle.spin_angle, particle.roll_distance]
+    [particle.id | Enum.map(values, &round_value/1)]
+  end
+
+  @doc """
+  Compara as partículas atuais com o último frame enviado.
+
+  Retorna `{linhas_alteradas, linhas_atuais}`; `linhas_atuais` deve ser guardado
+  como referência para o próximo delta. Partículas que sumiram simplesmente
+  deixam de constar nele.
+  """
+  @spec diff([GameState.t()], sent_rows) :: {[row], sent_rows}
+  def diff(particles, last_sent) do
+    rows = Enum.map(particles, &encode_row/1)
+    changed = Enum.reject(rows, fn [id | _] = row -> Map.get(last_sent, id) == row end)
+    current = Map.new(rows, fn [id | _] = row -> {id, row} end)
+    {changed, current}
+  end
+
+  defp round_value(value), do: Float.round(value / 1, @precision)
+end
@@ -1,10 +1,55 @@
 defmodule SnookerGameEx.Core.GameRules do
-  @moduledoc "Define a struct de dados pura para o estado das regras de um jogo."
-  defstruct game_phase: :break,
+  @moduledoc """
+  Define a struct de dados pura para o estado das regras de um jogo.
+
+  `first_contact` é a primeira bola tocada pela branca na tacada em andamento e
+  `respot` as bolas encaçapadas que o `GameLogic` deve devolver aos seus pontos no
+  fim dela. O placar (`scores`, `current_break`), a bola da vez (`ball_on`) e a
+  bola livre (`free_ball`) só são usados pela sinuca.
+  """
+  defstruct game: :eight_ball,
+            game_phase: :break,
             current_turn: :player1,
             ball_assignments: %{},
             pocketed_in_turn: [],
+            potted_balls: [],
             first_hit_valid: true,
+            foul: false,
+            ball_in_hand: nil,
             winner: nil,
+            first_contact: nil,
+            respot: [],
+            scores: %{},
+            current_break: 0,
+            ball_on: nil,
+            free_ball: false,
             status_message: "Quebra inicial! Jogador 1 começa."
+
+  @typedoc "Estado das regras de um jogo."
+  @type t :: %__MODULE__{
+          game: :eight_ball | :snooker,
+          game_phase: atom(),
+          current_turn: :player1 | :player2,
+          ball_assignments: %{optional(:player1 | :player2) => atom()},
+          pocketed_in_turn: [map()],
+          potted_balls: [map()],
+          first_hit_valid: boolean(),
+          foul: boolean(),
+          ball_in_hand: SnookerGameEx.Core.CuePlacement.zone() | nil,
+          winner: :player1 | :player2 | nil,
+          first_contact: map() | nil,
+          respot: [map()],
+          scores: %{optional(:player1 | :player2) => non_neg_integer()},
+          current_break: non_neg_integer(),
+          ball_on: atom() | nil,
+          free_ball: boolean(),
+          status_message: String.t()
+        }
+
+  @doc """
+  Converte o estado no payload enviado aos clientes, que desenham o placar
+  (vez, naipes, bolas encaçapadas e avisos de falta/vitória) a partir dele.
+  """
+  @spec to_payload(t()) :: map()
+  def to_payload(%__MODULE__{} = state), do: Map.from_struct(state)
 end
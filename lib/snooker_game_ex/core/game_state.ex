@@ -13,9 +13,13 @@ defmodule SnookerGameEx.Core.GameState do
     :mass,
     :color,
     spin_angle: 0.0,
-    roll_distance: 0.0
+    roll_distance: 0.0,
+    english: [0.0, 0.0],
+    tick: 0
   ]
 
+  # `english` é o efeito dado pela tacada, `[lateral, vertical]` no disco unitário:
+  # lateral > 0 é efeito à direita, vertical > 0 é follow (topo) e < 0 é draw (baixo).
   @typedoc "Representa uma única partícula (bola) no jogo."
   @type t :: %__MODULE__{
           id: any,
@@ -25,6 +29,8 @@ defmodule SnookerGameEx.Core.GameState do
           mass: float,
           color: map,
           spin_angle: float,
-          roll_distance: float
+          roll_distance: float,
+          english: list(float),
+          tick: non_neg_integer
         }
 end
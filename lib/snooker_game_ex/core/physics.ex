@@ -18,6 +18,15 @@ defmodule SnookerGameEx.Core.Physics do
   @typedoc "World boundaries definition"
   @type world_bounds :: %{x: float(), y: float(), w: float(), h: float()}
 
+  # Fração da velocidade de chegada devolvida como follow/draw após o contato.
+  @follow_draw_factor 0.6
+  # Desvio lateral, em fração da velocidade, causado pelo efeito numa tabela.
+  @side_spin_factor 0.25
+  # Fração do efeito lateral que sobrevive a cada tabela.
+  @side_spin_retention 0.5
+  # Perda de efeito por segundo enquanto a bola rola.
+  @english_decay 0.5
+
   @doc "Calcula a magnitude (comprimento) de um vetor de velocidade."
   def velocity_magnitude([vx, vy]), do: :math.sqrt(vx * vx + vy * vy)
 
@@ -48,6 +57,70 @@ defmodule SnookerGameEx.Core.Physics do
     end
   end
 
+  @doc "Limita o ponto de contato do taco `{lateral, vertical}` ao disco unitário."
+  def normalize_english({side, vertical}) do
+    magnitude = :math.sqrt(side * side + vertical * vertical)
+    scale = if magnitude > 1.0, do: 1.0 / magnitude, else: 1.0
+    [side * scale / 1, vertical * scale / 1]
+  end
+
+  @doc "Reduz o efeito da bola com o tempo de rolagem."
+  def decay_english(%GameState{english: [side, vertical]} = p, dt) do
+    decay = :math.pow(1.0 - @english_decay, dt)
+    %{p | english: [side * decay, vertical * decay]}
+  end
+
+  @doc """
+  Aplica o efeito vertical após o contato com outra bola.
+
+  `incoming_vel` é a velocidade da bola imediatamente antes do choque: o follow
+  empurra a bola adiante nessa direção e o draw a puxa de volta. O efeito
+  vertical é consumido no primeiro contato.
+  """
+  def apply_follow_draw(%GameState{english: [side, vertical]} = p, incoming_vel) do
+    speed = velocity_magnitude(incoming_vel)
+
+    if vertical == 0.0 or speed < 0.01 do
+      p
+    else
+      [ix, iy] = incoming_vel
+      [vx, vy] = p.vel
+      kick = vertical * speed * @follow_draw_factor
+
+      %{
+        p
+        | vel: [vx + ix / speed * kick, vy + iy / speed * kick],
+          english: [side, 0.0]
+      }
+    end
+  end
+
+  @doc """
+  Aplica o efeito lateral quando a bola bate numa tabela.
+
+  Compara a partícula antes (`incoming`) e depois de `handle_wall_collision/2`:
+  se a velocidade mudou houve contato, e o rebote é desviado para a direita da
+  direção de chegada (efeito à direita) ou para a esquerda (efeito à esquerda).
+  """
+  def apply_cushion_english(%GameState{} = incoming, %GameState{english: [side, vertical]} = p) do
+    if side == 0.0 or incoming.vel == p.vel do
+      p
+    else
+      [ix, iy] = incoming.vel
+      speed = velocity_magnitude(incoming.vel)
+      [vx, vy] = p.vel
+      # Perpendicular à direita da direção de chegada (eixo y do canvas aponta para baixo).
+      kick = side * speed * @side_spin_factor
+      [rx, ry] = [-iy / speed, ix / speed]
+
+      %{
+        p
+        | vel: [vx + rx * kick, vy + ry * kick],
+          english: [side * @side_spin_retention, vertical]
+      }
+    end
+  end
+
   @doc "Lida com a colisão de uma partícula com as paredes do mundo."
   def handle_wall_collision(%GameState{} = particle, world_bounds) do
     %{pos: [x, y], vel: [vx, vy], radius: r} = particle
@@ -0,0 +1,140 @@
+defmodule SnookerGameEx.Core.Replay do
+  @moduledoc """
+  Gravação de uma partida (um frame de bola 8) num arquivo de replay
+  versionado, que pode ser baixado, arquivado e reproduzido sem o servidor.
+
+  O arquivo exportado (`to_export/1`) contém:
+
+    * `table` – a `TableSpec` da partida, como enviada aos clientes;
+    * `roster` – as bolas no início da gravação, com os metadados de `color`;
+    * `rules` – o estado das regras no início da gravação;
+    * `frames` – os frames de cada tick, no formato compacto de `Frame`;
+    * `events` – eventos carimbados com o tick do último frame recebido:
+      `ball_pocketed`, `particle_removed`, `rules`, `foul`, `turn_changed` e
+      `shot_ended`.
+
+  Mudanças incompatíveis no formato devem incrementar `@version`.
+  """
+
+  alias SnookerGameEx.Core.{Frame, GameRules, TableSpec}
+
+  @format "snooker_game_ex.replay"
+  @version 1
+
+  defstruct [
+    :game_id,
+    :recorded_at,
+    :table,
+    :frame_interval_ms,
+    roster: [],
+    rules: nil,
+    frames: [],
+    events: [],
+    tick: 0
+  ]
+
+  @typedoc "Uma gravação em andamento. `frames` e `events` ficam em ordem inversa."
+  @type t :: %__MODULE__{
+          game_id: String.t(),
+          recorded_at: DateTime.t(),
+          table: TableSpec.t(),
+          frame_interval_ms: pos_integer(),
+          roster: [map()],
+          rules: GameRules.t() | nil,
+          frames: [map()],
+          events: [map()],
+          tick: non_neg_integer()
+        }
+
+  def format, do: @format
+  def version, do: @version
+
+  @doc """
+  Inicia uma gravação. `roster` são os payloads das bolas presentes (ver
+  `SnookerGameEx.Notifiers.PubSubNotifier.particle_payload/1`).
+  """
+  @spec new(String.t(), TableSpec.t(), [map()], GameRules.t() | nil, keyword()) :: t()
+  def new(game_id, %TableSpec{} = table, roster, rules, opts \\ []) do
+    %__MODULE__{
+      game_id: game_id,
+      recorded_at: Keyword.get_lazy(opts, :recorded_at, &DateTime.utc_now/0),
+      table: table,
+      frame_interval_ms: Keyword.fetch!(opts, :frame_interval_ms),
+      roster: Enum.map(roster, &roster_entry/1),
+      rules: rules,
+      tick: roster |> Enum.map(&Map.get(&1, :tick, 0)) |> Enum.max(fn -> 0 end)
+    }
+  end
+
+  @doc "Grava um frame publicado pelo `CollisionEngine`."
+  @spec add_frame(t(), map()) :: t()
+  def add_frame(%__MODULE__{} = replay, %{tick: tick, particles: rows}) do
+    frame = %{tick: tick, sim_time: tick * replay.frame_interval_ms, particles: rows}
+    %{replay | frames: [frame | replay.frames], tick: max(tick, replay.tick)}
+  end
+
+  @doc """
+  Grava uma atualização avulsa de bola (`particle_moved`) como um frame de uma
+  linha. O tick nunca volta atrás, para manter os frames em ordem.
+  """
+  @spec add_particle(t(), map()) :: t()
+  def add_particle(%__MODULE__{} = replay, payload) do
+    add_frame(replay, %{
+      tick: max(Map.get(payload, :tick, 0), replay.tick),
+      particles: [Frame.encode_row(payload)]
+    })
+  end
+
+  @doc "Grava um evento, carimbado com o tick do último frame."
+  @spec add_event(t(), String.t(), map()) :: t()
+  def add_event(%__MODULE__{} = replay, type, data \\ %{}) do
+    event = Map.merge(data, %{tick: replay.tick, type: type})
+    %{replay | events: [event | replay.events]}
+  end
+
+  @doc """
+  Grava um novo estado das regras. Além do evento `rules` completo, destaca
+  faltas (`foul`) e trocas de vez (`turn_changed`) em relação ao estado anterior.
+  """
+  @spec add_rules(t(), GameRules.t()) :: t()
+  def add_rules(%__MODULE__{rules: previous} = replay, %GameRules{} = rules) do
+    replay
+    |> add_event("rules", %{state: GameRules.to_payload(rules)})
+    |> maybe_add_foul(previous, rules)
+    |> maybe_add_turn_change(previous, rules)
+    |> Map.put(:rules, rules)
+  end
+
+  defp maybe_add_foul(replay, %GameRules{foul: true}, _rules), do: replay
+
+  defp maybe_add_foul(replay, _previous, %GameRules{foul: true} = rules),
+    do: add_event(replay, "foul", %{message: rules.status_message})
+
+  defp maybe_add_foul(replay, _previous, _rules), do: replay
+
+  defp maybe_add_turn_change(replay, %GameRules{current_turn: from}, %GameRules{current_turn: to})
+       when from != to,
+       do: add_event(replay, "turn_changed", %{from: from, to: to})
+
+  defp maybe_add_turn_change(replay, _previous, _rules), do: replay
+
+  @doc "Converte a gravação no mapa do arquivo de replay (pronto para JSON)."
+  @spec to_export(t()) :: map()
+  def to_export(%__MODULE__{} = replay) do
+    %{
+      format: @format,
+      version: @version,
+      game_id: replay.game_id,
+      recorded_at: DateTime.to_iso8601(replay.recorded_at),
+      frame_interval_ms: replay.frame_interval_ms,
+      table: TableSpec.to_payload(replay.table),
+      roster: replay.roster,
+      rules: replay.rules && GameRules.to_payload(replay.rules),
+      frames: Enum.reverse(replay.frames),
+      events: Enum.reverse(replay.events)
+    }
+  end
+
+  defp roster_entry(particle),
+    do: Map.take(particle, [:id, :pos, :vel, :radius, :color, :spin_angle, :roll_distance])
+end
@@ -0,0 +1,46 @@
+defmodule SnookerGameEx.Core.Respot do
+  @moduledoc """
+  Regra pura de recolocação ("re-spot") das coloridas da sinuca.
+
+  A bola volta ao seu ponto se ele estiver livre; senão, ao ponto livre da
+  colorida de maior valor; se todos estiverem ocupados, o mais perto possível do
+  seu ponto, em linha reta na direção da tabela do topo ou, sem espaço até ela,
+  na direção da tabela de baulk.
+  """
+
+  alias SnookerGameEx.Core.TableSpec
+
+  @by_value [:black, :pink, :blue, :brown, :green, :yellow]
+  # Passo, em unidades de mesa, da procura por um lugar livre ao longo da linha.
+  @step 1.0
+
+  @doc """
+  Posição onde recolocar a colorida `colour` (`:yellow` a `:black`), dadas as
+  bolas na mesa (qualquer mapa com `:pos`).
+  """
+  @spec position(TableSpec.t(), atom(), [map()]) :: TableSpec.point()
+  def position(%TableSpec{} = spec, colour, particles) do
+    own_spot = TableSpec.colour_spot(spec, colour)
+    spots = [own_spot | Enum.map(@by_value, &TableSpec.colour_spot(spec, &1))]
+
+    Enum.find(spots, &free?(spec, &1, particles)) || along_line(spec, own_spot, particles)
+  end
+
+  defp along_line(%TableSpec{} = spec, [x, y], particles) do
+    %{world_bounds: bounds, ball_radius: radius} = spec
+    top_x = bounds.x + bounds.w - radius
+    baulk_x = bounds.x + radius
+    towards_top = x |> Stream.iterate(&(&1 + @step)) |> Stream.take_while(&(&1 <= top_x))
+    towards_baulk = x |> Stream.iterate(&(&1 - @step)) |> Stream.take_while(&(&1 >= baulk_x))
+
+    towards_top
+    |> Stream.concat(towards_baulk)
+    |> Stream.map(&[&1, y])
+    |> Enum.find([x, y], &free?(spec, &1, particles))
+  end
+
+  defp free?(%TableSpec{ball_radius: radius}, pos, particles),
+    do: not Enum.any?(particles, &(distance(&1.pos, pos) < radius * 2))
+
+  defp distance([x1, y1], [x2, y2]), do: :math.sqrt((x1 - x2) ** 2 + (y1 - y2) ** 2)
+end
@@ -0,0 +1,57 @@
+defmodule SnookerGameEx.Core.RoomSettings do
+  @moduledoc """
+  Define a struct pura com as configurações de uma sala, escolhidas na sua criação.
+
+  O jogo da sala (`:eight_ball` ou `:snooker`) define as regras, a mesa e as bolas
+  (ver `SnookerGameEx.Engine.GameInstanceSupervisor`).
+
+  O modo da sala define os padrões: salas de treino exibem a mira assistida
+  (bola fantasma e trajetórias), salas competitivas a escondem.
+
+  Numa sala contra o computador, a cadeira do Jogador 2 fica com o computador,
+  cujas tacadas são calculadas no navegador do Jogador 1 (ver `aiPlayer.js`).
+  """
+
+  @games [:eight_ball, :snooker]
+  @modes [:training, :competitive]
+  @opponents [:human, :computer]
+  @ai_levels [:easy, :medium, :hard]
+
+  defstruct game: :eight_ball,
+            mode: :training,
+            aim_guide: true,
+            opponent: :human,
+            ai_level: :medium
+
+  @typedoc "Configurações de uma sala de jogo."
+  @type t :: %__MODULE__{
+          game: :eight_ball | :snooker,
+          mode: :training | :competitive,
+          aim_guide: boolean(),
+          opponent: :human | :computer,
+          ai_level: :easy | :medium | :hard
+        }
+
+  @doc "Cria as configurações a partir das opções de criação da sala."
+  @spec new(keyword()) :: t()
+  def new(opts \\ []) do
+    mode = Keyword.get(opts, :mode, :training)
+    mode = if mode in @modes, do: mode, else: :training
+
+    %__MODULE__{
+      game: pick(opts, :game, @games, :eight_ball),
+      mode: mode,
+      aim_guide: Keyword.get(opts, :aim_guide, mode == :training),
+      opponent: pick(opts, :opponent, @opponents, :human),
+      ai_level: pick(opts, :ai_level, @ai_levels, :medium)
+    }
+  end
+
+  @doc "A cadeira ocupada pelo computador nas salas contra o computador."
+  def computer_seat, do: :player2
+
+  defp pick(opts, key, allowed, default) do
+    value = Keyword.get(opts, key, default)
+    if value in allowed, do: value, else: default
+  end
+end
@@ -0,0 +1,122 @@
+defmodule SnookerGameEx.Core.Seats do
+  @moduledoc """
+  Define a struct pura com os lugares de uma sala: duas cadeiras de jogador e uma
+  plateia de espectadores.
+
+  Quem entra ocupa a primeira cadeira livre; com as duas ocupadas, assiste como
+  espectador. Quando um jogador sai, o espectador mais antigo assume a cadeira.
+  Os participantes são identificados por uma chave opaca (ex: o pid da conexão).
+  """
+
+  @player_seats [:player1, :player2]
+
+  defstruct seated: %{}, spectators: []
+
+  @typedoc "Papel de um participante na sala."
+  @type role :: :player1 | :player2 | :spectator
+
+  @typedoc "Um participante: a chave que o identifica e o nome exibido."
+  @type member :: {key :: any(), name :: String.t()}
+
+  @typedoc "Lugares de uma sala. `spectators` fica em ordem de chegada."
+  @type t :: %__MODULE__{
+          seated: %{optional(:player1 | :player2) => member},
+          spectators: [member]
+        }
+
+  @doc "Os papéis que podem dar tacadas."
+  def player_seats, do: @player_seats
+
+  @doc "Cria uma sala vazia."
+  @spec new() :: t()
+  def new, do: %__MODULE__{}
+
+  @doc """
+  Coloca um participante na sala e retorna o papel atribuído. Quem já está na
+  sala mantém o papel que tinha.
+  """
+  @spec join(t(), any(), String.t()) :: {role, t()}
+  def join(%__MODULE__{} = seats, key, name) do
+    case role_of(seats, key) do
+      nil -> seat_or_watch(seats, {key, name})
+      role -> {role, seats}
+    end
+  end
+
+  defp seat_or_watch(seats, member) do
+    case Enum.find(@player_seats, &(not Map.has_key?(seats.seated, &1))) do
+      nil -> {:spectator, %{seats | spectators: seats.spectators ++ [member]}}
+      seat -> {seat, %{seats | seated: Map.put(seats.seated, seat, member)}}
+    end
+  end
+
+  @doc """
+  Reserva a cadeira `seat` para um participante que não é uma conexão (ex: o
+  computador). Ele não sai da sala nem é substituído por espectadores.
+  """
+  @spec reserve(t(), :player1 | :player2, any(), String.t()) :: t()
+  def reserve(%__MODULE__{} = seats, seat, key, name) when seat in @player_seats,
+    do: %{seats | seated: Map.put(seats.seated, seat, {key, name})}
+
+  @doc """
+  Remove um participante. Se ele ocupava uma cadeira, o espectador mais antigo a
+  assume; retorna `{{chave, papel}, seats}` para que ele seja avisado, ou
+  `{nil, seats}`.
+  """
+  @spec leave(t(), any()) :: {{any(), role} | nil, t()}
+  def leave(%__MODULE__{} = seats, key) do
+    case role_of(seats, key) do
+      :spectator ->
+        {nil, %{seats | spectators: List.keydelete(seats.spectators, key, 0)}}
+
+      nil ->
+        {nil, seats}
+
+      seat ->
+        promote(%{seats | seated: Map.delete(seats.seated, seat)}, seat)
+    end
+  end
+
+  defp promote(%__MODULE__{spectators: []} = seats, _seat), do: {nil, seats}
+
+  defp promote(%__MODULE__{spectators: [{key, _name} = member | rest]} = seats, seat),
+    do: {{key, seat}, %{seats | seated: Map.put(seats.seated, seat, member), spectators: rest}}
+
+  @doc "Retorna o papel de um participante, ou `nil` se ele não está na sala."
+  @spec role_of(t(), any()) :: role | nil
+  def role_of(%__MODULE__{} = seats, key) do
+    seat =
+      Enum.find_value(seats.seated, fn {seat, {member_key, _name}} ->
+        member_key == key && seat
+      end)
+
+    cond do
+      seat -> seat
+      List.keymember?(seats.spectators, key, 0) -> :spectator
+      true -> nil
+    end
+  end
+
+  @doc "Todos os participantes com seus papéis: primeiro as cadeiras, depois a plateia."
+  @spec members(t()) :: [{any(), role}]
+  def members(%__MODULE__{} = seats) do
+    seated = for {seat, {key, _name}} <- Enum.sort(seats.seated), do: {key, seat}
+    seated ++ for {key, _name} <- seats.spectators, do: {key, :spectator}
+  end
+
+  @doc "Resumo público: quem está sentado em cada cadeira e o tamanho da plateia."
+  @spec to_payload(t()) :: %{seats: map(), spectators: non_neg_integer()}
+  def to_payload(%__MODULE__{} = seats) do
+    %{
+      seats: Map.new(@player_seats, &{&1, seated_name(seats, &1)}),
+      spectators: length(seats.spectators)
+    }
+  end
+
+  defp seated_name(seats, seat) do
+    case Map.get(seats.seated, seat) do
+      {_key, name} -> name
+      nil -> nil
+    end
+  end
+end
@@ -0,0 +1,41 @@
+defmodule SnookerGameEx.Core.Snookered do
+  @moduledoc """
+  Geometria pura da "sinuca" no sentido de jogada: a branca está snookada quando
+  nenhuma bola da vez pode ser atingida em linha reta nas suas duas bordas. É o
+  que dá bola livre ao jogador depois de uma falta do adversário.
+  """
+
+  alias SnookerGameEx.Core.TableSpec
+
+  @doc """
+  Verifica se a branca (`cue`) está snookada em relação a todas as bolas em
+  `targets`. `particles` são todas as bolas da mesa (mapas com `:id` e `:pos`),
+  das quais qualquer uma fora a branca e o alvo pode bloquear o caminho.
+  """
+  @spec snookered?(TableSpec.t(), map(), [map()], [map()]) :: boolean()
+  def snookered?(%TableSpec{ball_radius: radius}, cue, targets, particles) do
+    not Enum.any?(targets, &both_edges_clear?(cue, &1, particles, radius))
+  end
+
+  # Nas tacadas de raspão em cada borda do alvo, a branca para encostada nele, a
+  # dois raios do seu centro, perpendicular à linha entre os dois centros.
+  defp both_edges_clear?(cue, target, particles, radius) do
+    [cx, cy] = cue.pos
+    [tx, ty] = target.pos
+    length = :math.sqrt((tx - cx) ** 2 + (ty - cy) ** 2)
+    [nx, ny] = [-(ty - cy) / length * radius * 2, (tx - cx) / length * radius * 2]
+    blockers = Enum.reject(particles, &(&1.id in [cue.id, target.id]))
+
+    Enum.all?([[tx + nx, ty + ny], [tx - nx, ty - ny]], fn contact ->
+      not Enum.any?(blockers, &(segment_distance(&1.pos, cue.pos, contact) < radius * 2))
+    end)
+  end
+
+  # Distância do ponto `p` ao segmento `a`-`b`.
+  defp segment_distance([px, py], [ax, ay], [bx, by]) do
+    [dx, dy] = [bx - ax, by - ay]
+    t = ((px - ax) * dx + (py - ay) * dy) / (dx * dx + dy * dy)
+    t = t |> max(0.0) |> min(1.0)
+    :math.sqrt((px - ax - t * dx) ** 2 + (py - ay - t * dy) ** 2)
+  end
+end
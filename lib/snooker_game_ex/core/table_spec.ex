@@ -0,0 +1,204 @@
+defmodule SnookerGameEx.Core.TableSpec do
+  @moduledoc """
+  Define a geometria pura de uma mesa: dimensões, tabelas, caçapas, pontos, linhas
+  e arcos (o D da sinuca).
+
+  É a fonte única da geometria: o `CollisionEngine` deriva dela suas constantes
+  e os clientes a recebem no evento `table_spec` para desenhar a mesa, posicionar
+  a câmera e testar a mira, sem medidas fixas no JavaScript.
+  """
+
+  defstruct [
+    :width,
+    :height,
+    :cushion_width,
+    :world_bounds,
+    :ball_radius,
+    :friction,
+    pockets: [],
+    spots: [],
+    lines: [],
+    arcs: []
+  ]
+
+  # Tabelas e caçapas são as mesmas em todos os jogos; só as bolas e as marcações mudam.
+  @dimensions [width: 1000.0, height: 500.0, cushion_width: 30.0, pocket_radius: 25.0]
+
+  # Fração da velocidade que a bola perde a cada segundo rolando no pano.
+  @friction 0.3
+
+  # Medidas da área de jogo de uma mesa oficial de sinuca (3569 mm de comprimento):
+  # linha de baulk a 737 mm da tabela de baulk, D com raio de 292 mm e ponto da
+  # preta a 324 mm da tabela do topo.
+  @baulk_fraction 737 / 3569
+  @d_fraction 292 / 3569
+  @black_fraction 324 / 3569
+
+  @colour_spots %{
+    yellow: :yellow_spot,
+    green: :green_spot,
+    brown: :brown_spot,
+    blue: :blue_spot,
+    pink: :pink_spot,
+    black: :black_spot
+  }
+
+  @typedoc "Um ponto 2D, representado como uma lista de dois floats."
+  @type point :: [float()]
+
+  @typedoc """
+  Uma caçapa: a bola cai quando seu centro entra em `radius`; `mouth` é a largura da boca.
+  """
+  @type pocket :: %{pos: point, radius: float(), mouth: float(), kind: :corner | :middle}
+
+  @typedoc "Um arco de circunferência, com os ângulos em radianos (no sentido do canvas)."
+  @type arc :: %{
+          name: atom(),
+          center: point,
+          radius: float(),
+          start_angle: float(),
+          end_angle: float()
+        }
+
+  @typedoc "Especificação completa de uma mesa."
+  @type t :: %__MODULE__{
+          width: float(),
+          height: float(),
+          cushion_width: float(),
+          world_bounds: %{x: float(), y: float(), w: float(), h: float()},
+          ball_radius: float(),
+          friction: float(),
+          pockets: [pocket],
+          spots: [%{name: atom(), pos: point}],
+          lines: [%{name: atom(), from: point, to: point}],
+          arcs: [arc]
+        }
+
+  @doc "A mesa padrão: 1000×500 unidades, tabelas de 30 e caçapas de raio 25."
+  @spec default() :: t()
+  def default, do: build(@dimensions ++ [ball_radius: 15.0])
+
+  @doc """
+  A mesa de sinuca: as tabelas e caçapas da padrão, com as marcações do snooker e
+  bolas menores, para as 22 bolas caberem entre o ponto da rosa e o da preta.
+  """
+  @spec snooker() :: t()
+  def snooker, do: build(@dimensions ++ [ball_radius: 10.0, markings: :snooker])
+
+  @doc "A mesa do jogo escolhido na criação da sala (ver `SnookerGameEx.Core.RoomSettings`)."
+  @spec for_game(:eight_ball | :snooker) :: t()
+  def for_game(:snooker), do: snooker()
+  def for_game(_game), do: default()
+
+  @doc "Ponto de uma colorida da sinuca (`:yellow` a `:black`), ou `nil` se a mesa não o tem."
+  @spec colour_spot(t(), atom()) :: point | nil
+  def colour_spot(%__MODULE__{spots: spots}, colour) do
+    name = Map.fetch!(@colour_spots, colour)
+
+    case Enum.find(spots, &(&1.name == name)) do
+      %{pos: pos} -> pos
+      nil -> nil
+    end
+  end
+
+  @doc """
+  Monta a especificação de uma mesa a partir das suas medidas.
+
+  As caçapas ficam nos cantos e no meio das tabelas longas da área de jogo. Com
+  `markings: :pool` (o padrão), os pontos e a linha de cabeceira seguem as
+  marcações do bilhar (1/4 e 3/4 do comprimento da área de jogo); com
+  `markings: :snooker`, a linha de baulk, o D e os pontos das seis coloridas.
+  `friction` (opcional) é o atrito do pano, usado pela simulação e pelo computador.
+  """
+  @spec build(keyword()) :: t()
+  def build(opts) do
+    width = Keyword.fetch!(opts, :width)
+    height = Keyword.fetch!(opts, :height)
+    cushion = Keyword.fetch!(opts, :cushion_width)
+    pocket_radius = Keyword.fetch!(opts, :pocket_radius)
+
+    bounds = %{x: cushion, y: cushion, w: width - cushion * 2, h: height - cushion * 2}
+    {spots, lines, arcs} = markings(Keyword.get(opts, :markings, :pool), bounds)
+
+    %__MODULE__{
+      width: width,
+      height: height,
+      cushion_width: cushion,
+      world_bounds: bounds,
+      ball_radius: Keyword.fetch!(opts, :ball_radius),
+      friction: Keyword.get(opts, :friction, @friction),
+      pockets: pockets(width, height, cushion, pocket_radius),
+      spots: spots,
+      lines: lines,
+      arcs: arcs
+    }
+  end
+
+  @doc "Converte a especificação no payload enviado aos clientes."
+  @spec to_payload(t()) :: map()
+  def to_payload(%__MODULE__{} = spec), do: Map.from_struct(spec)
+
+  defp markings(:pool, bounds) do
+    center_y = bounds.y + bounds.h / 2
+    head_x = bounds.x + bounds.w / 4
+
+    spots = [
+      %{name: :head_spot, pos: [head_x, center_y]},
+      %{name: :center_spot, pos: [bounds.x + bounds.w / 2, center_y]},
+      %{name: :foot_spot, pos: [bounds.x + bounds.w * 3 / 4, center_y]}
+    ]
+
+    lines = [
+      %{name: :head_string, from: [head_x, bounds.y], to: [head_x, bounds.y + bounds.h]}
+    ]
+
+    {spots, lines, []}
+  end
+
+  # A tabela de baulk é a da esquerda (x menor). Olhando do baulk para o topo, a
+  # amarela fica à direita, que na tela é o lado de baixo do D.
+  defp markings(:snooker, bounds) do
+    center_y = bounds.y + bounds.h / 2
+    baulk_x = bounds.x + bounds.w * @baulk_fraction
+    d_radius = bounds.w * @d_fraction
+
+    spots = [
+      %{name: :yellow_spot, pos: [baulk_x, center_y + d_radius]},
+      %{name: :green_spot, pos: [baulk_x, center_y - d_radius]},
+      %{name: :brown_spot, pos: [baulk_x, center_y]},
+      %{name: :blue_spot, pos: [bounds.x + bounds.w / 2, center_y]},
+      %{name: :pink_spot, pos: [bounds.x + bounds.w * 3 / 4, center_y]},
+      %{name: :black_spot, pos: [bounds.x + bounds.w * (1 - @black_fraction), center_y]}
+    ]
+
+    lines = [
+      %{name: :baulk_line, from: [baulk_x, bounds.y], to: [baulk_x, bounds.y + bounds.h]}
+    ]
+
+    arcs = [
+      %{
+        name: :d,
+        center: [baulk_x, center_y],
+        radius: d_radius,
+        start_angle: :math.pi() / 2,
+        end_angle: :math.pi() * 3 / 2
+      }
+    ]
+
+    {spots, lines, arcs}
+  end
+
+  defp pockets(width, height, cushion, radius) do
+    corners =
+      for x <- [cushion, width - cushion], y <- [cushion, height - cushion] do
+        %{pos: [x, y], radius: radius, mouth: radius * 2, kind: :corner}
+      end
+
+    middles =
+      for y <- [cushion, height - cushion] do
+        %{pos: [width / 2, y], radius: radius, mouth: radius * 2, kind: :middle}
+      end
+
+    corners ++ middles
+  end
+end
@@ -8,37 +8,26 @@ defmodule SnookerGameEx.Engine.CollisionEngine do
   require Logger
 
   alias SnookerGameEx.Engine.{Particle, Quadtree}
-  alias SnookerGameEx.Core.Physics
+  alias SnookerGameEx.Core.{Frame, Physics, TableSpec}
 
   # --- Constantes de Simulação ---
   @frame_interval_ms 16
   @dt @frame_interval_ms / 1000.0
   @resolution_iterations 10
-  @border_width 30.0
-  @canvas_width 1000.0
-  @canvas_height 500.0
-  @particle_radius 15.0
+  # A geometria da mesa vem de `TableSpec`, a mesma enviada aos clientes.
+  @table TableSpec.default()
+  @particle_radius @table.ball_radius
   @particle_mass 1
-  @friction_coefficient 0.3
-  @world_bounds %{
-    x: @border_width,
-    y: @border_width,
-    w: @canvas_width - @border_width * 2,
-    h: @canvas_height - @border_width * 2
-  }
+  @friction_coefficient @table.friction
+  @world_bounds @table.world_bounds
   @quadtree_capacity 4
   @quadtree_max_depth 8
-  @pocket_radius 25.0
-  @pockets [
-    %{pos: [@border_width, @border_width]},
-    %{pos: [@canvas_width - @border_width, @border_width]},
-    %{pos: [@border_width, @canvas_height - @border_width]},
-    %{pos: [@canvas_width - @border_width, @canvas_height - @border_width]},
-    %{pos: [@canvas_width / 2, @border_width]},
-    %{pos: [@canvas_width / 2, @canvas_height - @border_width]}
-  ]
+  @pocket_radius hd(@table.pockets).radius
+  @pockets @table.pockets
 
   # --- API Pública (para constantes) ---
+  def table_spec, do: @table
+  def frame_interval_ms, do: @frame_interval_ms
   def pocket_radius, do: @pocket_radius
   def pockets, do: @pockets
   def friction_coefficient, do: @friction_coefficient
@@ -82,6 +71,10 @@ defmodule SnookerGameEx.Engine.CollisionEngine do
        notifier: notifier,
        last_time: System.monotonic_time(),
        accumulator: 0.0,
+       tick: 0,
+       last_frame: %{},
+       balls_moving: false,
+       awaiting_contact: false,
        active_table: quadtree_a_tid,
        inactive_table: quadtree_b_tid
      }}
@@ -99,10 +92,16 @@ defmodule SnookerGameEx.Engine.CollisionEngine do
   end
 
   @impl true
-  def handle_cast({:apply_force, particle_id, force}, state) do
+  def handle_call(:get_particles, _from, state) do
+    particles = state.ets_table |> :ets.tab2list() |> Enum.map(&elem(&1, 1))
+    {:reply, {:ok, particles}, state}
+  end
+
+  @impl true
+  def handle_cast({:apply_force, particle_id, force, spin}, state) do
     # Delega o comando para o processo Particle correspondente
-    Particle.apply_force(state.game_id, particle_id, force)
-    {:noreply, state}
+    Particle.apply_force(state.game_id, particle_id, force, spin)
+    {:noreply, %{state | awaiting_contact: true}}
   end
 
   @impl true
@@ -121,7 +120,7 @@ defmodule SnookerGameEx.Engine.CollisionEngine do
     capped_delta = min(delta_time_ms / 1000.0, 0.05)
     accumulator = state.accumulator + capped_delta
 
-    new_accumulator = update_simulation_loop(accumulator, state)
+    {new_accumulator, state} = update_simulation_loop(accumulator, state)
 
     Process.send_after(self(), :tick, @frame_interval_ms)
 
@@ -140,32 +139,52 @@ defmodule SnookerGameEx.Engine.CollisionEngine do
     simulate_steps(accumulator, max_steps_per_tick, state)
   end
 
-  defp simulate_steps(acc, 0, _state), do: acc
+  # Cada passo simulado avança o contador de ticks. O tick carimba todas as
+  # atualizações enviadas ao cliente, que as interpola no tempo de simulação.
+  defp simulate_steps(acc, 0, state), do: {acc, state}
 
   defp simulate_steps(acc, remaining_steps, state) when acc >= @dt do
+    tick = state.tick + 1
     # 1. Mover partículas (delegação para cada processo Particle)
-    broadcast_move_command(state.game_id, state.ets_table)
-    # 2. Detectar e resolver colisões
-    detect_and_resolve_collisions(state)
-    simulate_steps(acc - @dt, remaining_steps - 1, state)
+    broadcast_move_command(state.game_id, state.ets_table, tick)
+    # 2. Avisar as regras da primeira bola que a branca tocou na tacada
+    state = detect_first_contact(state)
+    # 3. Detectar e resolver colisões
+    final_particles = detect_and_resolve_collisions(state, tick)
+    # 4. Publicar um único frame com as bolas que mudaram neste tick
+    last_frame = publish_frame(state, tick, final_particles)
+    # 5. Avisar as regras quando a tacada termina
+    balls_moving = detect_shot_end(state, final_particles)
+
+    simulate_steps(acc - @dt, remaining_steps - 1, %{
+      state
+      | tick: tick,
+        last_frame: last_frame,
+        balls_moving: balls_moving,
+        awaiting_contact: state.awaiting_contact and balls_moving
+    })
   end
 
-  defp simulate_steps(acc, _, _state), do: acc
+  defp simulate_steps(acc, _, state), do: {acc, state}
 
-  defp broadcast_move_command(game_id, ets_table) do
+  defp broadcast_move_command(game_id, ets_table, tick) do
     ets_table
     |> :ets.tab2list()
     |> Task.async_stream(fn {particle_id, _particle_data} ->
       # Cada partícula calcula seu próprio movimento
-      Particle.move(game_id, particle_id, @dt)
+      Particle.move(game_id, particle_id, @dt, tick)
     end)
     |> Stream.run()
   end
 
-  defp detect_and_resolve_collisions(state) do
+  # Retorna o estado final de cada partícula neste tick, já com as colisões
+  # resolvidas, para compor o frame enviado aos clientes.
+  defp detect_and_resolve_collisions(state, tick) do
     all_particles = :ets.tab2list(state.ets_table)
 
-    if not Enum.empty?(all_particles) do
+    if Enum.empty?(all_particles) do
+      []
+    else
       {ids, initial_states} = batch_particles(all_particles)
 
       final_states =
@@ -175,10 +194,82 @@ defmodule SnookerGameEx.Engine.CollisionEngine do
           @resolution_iterations
         )
 
-      dispatch_final_updates(state.game_id, ids, initial_states, final_states)
+      changed_indices =
+        dispatch_final_updates(state.game_id, tick, ids, initial_states, final_states)
+
+      merge_final_states(all_particles, final_states, changed_indices)
+    end
+  end
+
+  # Espelha o que `Particle` faz ao receber `update_after_collision` (inclusive o
+  # follow/draw, que depende da velocidade de antes do choque), sem esperar pelos
+  # casts assíncronos.
+  defp merge_final_states(all_particles, final_states, changed_indices) do
+    changed = MapSet.new(changed_indices)
+    final_pos_list = Nx.to_list(final_states.pos)
+    final_vel_list = Nx.to_list(final_states.vel)
+
+    [all_particles, final_pos_list, final_vel_list]
+    |> Enum.zip()
+    |> Enum.with_index()
+    |> Enum.map(fn {{{_id, particle}, pos, vel}, index} ->
+      if MapSet.member?(changed, index) do
+        collided = %{particle | pos: pos, vel: vel, roll_distance: 0.0}
+        Physics.apply_follow_draw(collided, particle.vel)
+      else
+        particle
+      end
+    end)
+  end
+
+  # As colisões são resolvidas em lote, sem ordem entre elas; por isso a primeira
+  # bola tocada pela branca (que decide faltas na sinuca) é procurada antes, entre
+  # as que já se sobrepõem a ela depois do movimento.
+  defp detect_first_contact(%{awaiting_contact: false} = state), do: state
+
+  defp detect_first_contact(state) do
+    particles = state.ets_table |> :ets.tab2list() |> Enum.map(&elem(&1, 1))
+
+    with %{} = cue <- Enum.find(particles, &(&1.color.type == :cue)),
+         [_ | _] = touching <- Enum.filter(particles, &touching?(cue, &1)) do
+      ball = Enum.min_by(touching, &distance(cue.pos, &1.pos))
+      state.notifier.notify_first_contact(state.game_id, ball.color)
+      %{state | awaiting_contact: false}
+    else
+      _ -> state
     end
   end
 
+  defp touching?(cue, ball),
+    do: ball.id != cue.id and distance(cue.pos, ball.pos) < cue.radius + ball.radius
+
+  defp distance([x1, y1], [x2, y2]), do: :math.sqrt((x1 - x2) ** 2 + (y1 - y2) ** 2)
+
+  # A tacada termina quando, depois de alguma bola se mover, todas param.
+  defp detect_shot_end(state, particles) do
+    moving? = Enum.any?(particles, &(Physics.velocity_magnitude(&1.vel) > 0.0))
+
+    if state.balls_moving and not moving? do
+      state.notifier.notify_all_balls_stopped(state.game_id)
+    end
+
+    moving?
+  end
+
+  defp publish_frame(state, tick, particles) do
+    {changed_rows, sent_rows} = Frame.diff(particles, state.last_frame)
+
+    if changed_rows != [] do
+      state.notifier.notify_frame(state.game_id, %{
+        tick: tick,
+        sim_time: tick * @frame_interval_ms,
+        particles: changed_rows
+      })
+    end
+
+    sent_rows
+  end
+
   defp iterative_resolution_loop(_table, current_states, 0), do: current_states
 
   defp iterative_resolution_loop(table, current_states, iterations_left) do
@@ -203,7 +294,7 @@ defmodule SnookerGameEx.Engine.CollisionEngine do
     end
   end
 
-  defp dispatch_final_updates(game_id, ids, initial_states, final_states) do
+  defp dispatch_final_updates(game_id, tick, ids, initial_states, final_states) do
     pos_diff = Nx.abs(Nx.subtract(initial_states.pos, final_states.pos))
     max_diff_per_particle = Nx.reduce_max(pos_diff, axes: [1])
     changed_mask = Nx.greater(max_diff_per_particle, 1.0e-6)
@@ -226,9 +317,11 @@ defmodule SnookerGameEx.Engine.CollisionEngine do
         new_vel = Enum.at(final_vel_list, index)
 
         # Envia a atualização para o processo Particle específico
-        Particle.update_after_collision(game_id, particle_id, new_vel, new_pos)
+        Particle.update_after_collision(game_id, particle_id, new_vel, new_pos, tick)
       end
     end
+
+    changed_indices_list
   end
 
   defp find_candidate_pairs(table, states) do
@@ -2,37 +2,68 @@ defmodule SnookerGameEx.Engine.GameInstanceSupervisor do
   @moduledoc "ADAPTER: Supervisor para uma única instância de jogo."
   use Supervisor
 
-  alias SnookerGameEx.Engine.{CollisionEngine, ParticleSupervisor}
+  alias SnookerGameEx.Core.TableSpec
 
-  def start_link(game_id) do
-    Supervisor.start_link(__MODULE__, game_id, name: via_tuple(game_id))
+  alias SnookerGameEx.Engine.{
+    CollisionEngine,
+    GameLogic,
+    ParticleSupervisor,
+    ReplayRecorder,
+    SeatManager
+  }
+
+  @rules %{eight_ball: SnookerGameEx.Rules.EightBall, snooker: SnookerGameEx.Rules.Snooker}
+
+  # As configurações da sala são registradas como valor no Registry, para que
+  # possam ser consultadas sem passar por nenhum processo.
+  def start_link({game_id, settings}) do
+    Supervisor.start_link(__MODULE__, {game_id, settings}, name: via_tuple(game_id, settings))
   end
 
   def via_tuple(game_id), do: {:via, Registry, {SnookerGameEx.GameRegistry, game_id}}
 
+  def via_tuple(game_id, settings),
+    do: {:via, Registry, {SnookerGameEx.GameRegistry, game_id, settings}}
+
   @impl true
-  def init(game_id) do
+  def init({game_id, settings}) do
+    # Sem `:named_table`: cada sala tem sua própria tabela, repassada pelo TID.
     ets_table_tid =
       :ets.new(:game_ets_table, [
         :set,
         :public,
-        :named_table,
         read_concurrency: true,
         write_concurrency: true
       ])
 
     # Injeta o notificador aqui, para que todos os filhos o recebam.
     notifier = SnookerGameEx.Notifiers.PubSubNotifier
+    # O jogo escolhido na criação da sala define as regras, a mesa e as bolas.
+    table = TableSpec.for_game(settings.game)
 
     children = [
       {CollisionEngine, game_id: game_id, ets_table: ets_table_tid, notifier: notifier},
-      {ParticleSupervisor, game_id: game_id, ets_table: ets_table_tid, notifier: notifier}
+      {ParticleSupervisor,
+       game_id: game_id,
+       ets_table: ets_table_tid,
+       notifier: notifier,
+       table: table,
+       game: settings.game},
+      {GameLogic,
+       game_id: game_id,
+       notifier: notifier,
+       rules: Map.fetch!(@rules, settings.game),
+       table: table},
+      {SeatManager, game_id: game_id, notifier: notifier, settings: settings},
+      # Depois dos demais, pois grava o estado inicial deles.
+      {ReplayRecorder, game_id: game_id, table: table}
     ]
 
     Supervisor.init(children, strategy: :one_for_one)
   end
 
-  def restart(game_id) do
+  @doc "Encerra a instância do jogo, se ela existir."
+  def stop(game_id) do
     case Registry.lookup(SnookerGameEx.GameRegistry, game_id) do
       [{pid, _}] ->
         DynamicSupervisor.terminate_child(SnookerGameEx.Engine.GameSupervisor, pid)
@@ -41,4 +72,23 @@ defmodule SnookerGameEx.Engine.GameInstanceSupervisor do
         :ok
     end
   end
+
+  @doc """
+  Reconstrói a instância com as mesmas configurações: as bolas e as regras voltam
+  ao início e quem estava na sala mantém o seu lugar (ver `SeatManager.restore/2`).
+  """
+  def restart(game_id) do
+    with [{pid, settings}] <- Registry.lookup(SnookerGameEx.GameRegistry, game_id),
+         {:ok, seats} <- SeatManager.snapshot(game_id),
+         :ok <- DynamicSupervisor.terminate_child(SnookerGameEx.Engine.GameSupervisor, pid),
+         {:ok, _pid} <-
+           DynamicSupervisor.start_child(
+             SnookerGameEx.Engine.GameSupervisor,
+             {__MODULE__, {game_id, settings}}
+           ) do
+      SeatManager.restore(game_id, seats)
+    else
+      _ -> {:error, :game_not_found}
+    end
+  end
 end
@@ -3,17 +3,44 @@ defmodule SnookerGameEx.Engine.GameLogic do
   use GenServer
   require Logger
 
+  alias SnookerGameEx.Core.{CuePlacement, Respot}
+  alias SnookerGameEx.Engine.{CollisionEngine, ParticleSupervisor}
+
   def start_link(opts),
     do: GenServer.start_link(__MODULE__, opts, name: via_tuple(Keyword.fetch!(opts, :game_id)))
 
   def via_tuple(game_id),
     do: {:via, Registry, {SnookerGameEx.GameRegistry, {__MODULE__, game_id}}}
 
+  @doc "Retorna o estado atual das regras do jogo."
+  def get_state(game_id), do: GenServer.call(via_tuple(game_id), :get_state)
+
+  @doc """
+  Verifica se `player` pode jogar agora: precisa ser a vez dele, a partida não
+  pode ter terminado e as bolas da tacada anterior precisam ter parado.
+  """
+  def check_shot(game_id, player), do: GenServer.call(via_tuple(game_id), {:check_shot, player})
+
+  @doc """
+  Como `check_shot/2`, mas marca a tacada como em andamento até o próximo
+  `:all_balls_stopped`, para que nenhuma outra seja aceita nesse meio tempo.
+  """
+  def begin_shot(game_id, player), do: GenServer.call(via_tuple(game_id), {:begin_shot, player})
+
+  @doc """
+  Recoloca a bola branca em `pos` para `player`, que está com bola na mão. A
+  posição é validada contra as demais bolas (`particles`) e a zona permitida
+  (ver `SnookerGameEx.Core.CuePlacement`).
+  """
+  def place_cue_ball(game_id, player, pos, particles),
+    do: GenServer.call(via_tuple(game_id), {:place_cue_ball, player, pos, particles})
+
   @impl true
   def init(opts) do
     game_id = Keyword.fetch!(opts, :game_id)
     notifier = Keyword.fetch!(opts, :notifier)
     rules_module = Keyword.fetch!(opts, :rules)
+    table = Keyword.get(opts, :table, CollisionEngine.table_spec())
     Logger.info("GameLogic started for #{game_id} with rules #{rules_module}")
     Phoenix.PubSub.subscribe(SnookerGameEx.PubSub, "game_events:#{game_id}")
     initial_rules_state = rules_module.init()
@@ -22,7 +49,11 @@ defmodule SnookerGameEx.Engine.GameLogic do
       game_id: game_id,
       notifier: notifier,
       rules_module: rules_module,
-      rules_state: initial_rules_state
+      rules_state: initial_rules_state,
+      table: table,
+      # `{id, bola}` encaçapadas na tacada em andamento, para recolocá-las no fim.
+      pocketed: [],
+      shot_in_progress: false
     }
 
     notifier.notify_game_state_update(game_id, initial_rules_state)
@@ -30,21 +61,130 @@ defmodule SnookerGameEx.Engine.GameLogic do
   end
 
   @impl true
-  def handle_info({:ball_pocketed, _particle_id, ball_data}, state) do
+  def handle_call(:get_state, _from, state) do
+    {:reply, state.rules_module.get_current_state(state.rules_state), state}
+  end
+
+  @impl true
+  def handle_call({:check_shot, player}, _from, state) do
+    {:reply, authorize_shot(state, player), state}
+  end
+
+  @impl true
+  def handle_call({:begin_shot, player}, _from, state) do
+    case authorize_shot(state, player) do
+      :ok -> {:reply, :ok, %{state | shot_in_progress: true}}
+      error -> {:reply, error, state}
+    end
+  end
+
+  @impl true
+  def handle_call({:place_cue_ball, player, pos, particles}, _from, state) do
+    with {:ok, zone} <- authorize_placement(state, player),
+         :ok <- CuePlacement.validate(state.table, zone, pos, particles),
+         {:ok, _pid} <- ParticleSupervisor.respawn_cue_ball(state.game_id, pos) do
+      new_rules_state = state.rules_module.handle_cue_ball_placed(state.rules_state)
+      state.notifier.notify_game_state_update(state.game_id, new_rules_state)
+      {:reply, :ok, %{state | rules_state: new_rules_state}}
+    else
+      error -> {:reply, error, state}
+    end
+  end
+
+  @impl true
+  def handle_info({:ball_pocketed, particle_id, ball_data}, state) do
     new_rules_state = state.rules_module.handle_ball_pocketed(state.rules_state, ball_data)
     ## CORREÇÃO: Notificar a UI imediatamente sobre a mudança de estado das regras.
     state.notifier.notify_game_state_update(state.game_id, new_rules_state)
-    {:noreply, %{state | rules_state: new_rules_state}}
+
+    pocketed = [{particle_id, ball_data} | state.pocketed]
+    {:noreply, %{state | rules_state: new_rules_state, pocketed: pocketed}}
+  end
+
+  # Só conta o contato de uma tacada autorizada, e só para regras que o usam.
+  @impl true
+  def handle_info({:first_contact, ball_data}, %{shot_in_progress: true} = state) do
+    if function_exported?(state.rules_module, :handle_first_contact, 2) do
+      new_rules_state = state.rules_module.handle_first_contact(state.rules_state, ball_data)
+      {:noreply, %{state | rules_state: new_rules_state}}
+    else
+      {:noreply, state}
+    end
   end
 
   @impl true
   def handle_info(:all_balls_stopped, state) do
     Logger.debug("[Game #{state.game_id}] All balls stopped, evaluating turn.")
-    new_rules_state = state.rules_module.handle_turn_end(state.rules_state)
+
+    new_rules_state =
+      state.rules_state
+      |> state.rules_module.handle_turn_end()
+      |> respot_balls(state)
+      |> table_at_rest(state)
+
     state.notifier.notify_game_state_update(state.game_id, new_rules_state)
-    {:noreply, %{state | rules_state: new_rules_state}}
+
+    {:noreply, %{state | rules_state: new_rules_state, pocketed: [], shot_in_progress: false}}
   end
 
   @impl true
   def handle_info(_, state), do: {:noreply, state}
+
+  # Devolve à mesa as bolas pedidas pelas regras (as coloridas da sinuca), da de
+  # maior valor para a de menor, cada uma no ponto dado por `Respot`.
+  defp respot_balls(%{respot: []} = rules_state, _state), do: rules_state
+
+  defp respot_balls(rules_state, state) do
+    rules_state.respot
+    |> Enum.sort_by(& &1.number, :desc)
+    |> Enum.reduce(particles(state), fn ball, occupied ->
+      with {id, _ball} <- Enum.find(state.pocketed, fn {_id, pocketed} -> pocketed == ball end),
+           pos = Respot.position(state.table, ball.name, occupied),
+           {:ok, _pid} <- ParticleSupervisor.respawn_ball(state.game_id, id, pos) do
+        [%{id: id, pos: pos} | occupied]
+      else
+        _ -> occupied
+      end
+    end)
+
+    %{rules_state | respot: []}
+  end
+
+  defp table_at_rest(rules_state, state) do
+    if function_exported?(state.rules_module, :handle_table_at_rest, 3) do
+      state.rules_module.handle_table_at_rest(rules_state, state.table, particles(state))
+    else
+      rules_state
+    end
+  end
+
+  defp particles(state) do
+    {:ok, particles} = GenServer.call(CollisionEngine.via_tuple(state.game_id), :get_particles)
+    particles
+  end
+
+  defp authorize_shot(%{shot_in_progress: true}, _player), do: {:error, :balls_moving}
+
+  defp authorize_shot(state, player) do
+    rules = state.rules_module.get_current_state(state.rules_state)
+
+    cond do
+      rules.winner != nil -> {:error, :game_over}
+      rules.current_turn != player -> {:error, :not_your_turn}
+      rules.ball_in_hand != nil -> {:error, :ball_in_hand}
+      true -> :ok
+    end
+  end
+
+  defp authorize_placement(state, player) do
+    rules = state.rules_module.get_current_state(state.rules_state)
+
+    cond do
+      state.shot_in_progress -> {:error, :balls_moving}
+      rules.winner != nil -> {:error, :game_over}
+      rules.current_turn != player -> {:error, :not_your_turn}
+      rules.ball_in_hand == nil -> {:error, :cue_ball_on_table}
+      true -> {:ok, rules.ball_in_hand}
+    end
+  end
 end
@@ -5,7 +5,11 @@ defmodule SnookerGameEx.Engine.GameSupervisor do
   # Este módulo agora implementa o Port `Game` para o mundo exterior.
   @behaviour SnookerGameEx.Game
 
-  alias SnookerGameEx.Engine.GameInstanceSupervisor
+  alias SnookerGameEx.Core.{Physics, RoomSettings}
+  alias SnookerGameEx.Engine.{GameInstanceSupervisor, GameLogic}
+
+  # Abaixo disso a tacada não chega a mover a bola, e a vez nunca terminaria.
+  @min_strike_force 1.0
 
   def start_link(init_arg) do
     DynamicSupervisor.start_link(__MODULE__, init_arg, name: __MODULE__)
@@ -19,10 +23,10 @@ defmodule SnookerGameEx.Engine.GameSupervisor do
   # --- Implementação do Port `Game` ---
 
   @impl SnookerGameEx.Game
-  def start_game(game_id) do
+  def start_game(game_id, opts \\ []) do
     case Registry.lookup(SnookerGameEx.GameRegistry, game_id) do
       [] ->
-        spec = {GameInstanceSupervisor, game_id}
+        spec = {GameInstanceSupervisor, {game_id, RoomSettings.new(opts)}}
         DynamicSupervisor.start_child(__MODULE__, spec)
 
       _ ->
@@ -31,31 +35,117 @@ defmodule SnookerGameEx.Engine.GameSupervisor do
   end
 
   @impl SnookerGameEx.Game
-  def apply_force(game_id, particle_id, force) do
-    # Encontra o CollisionEngine para o jogo e envia o comando.
+  def get_settings(game_id) do
+    # As configurações ficam registradas como valor do supervisor da instância.
+    case Registry.lookup(SnookerGameEx.GameRegistry, game_id) do
+      [{_pid, %RoomSettings{} = settings}] -> {:ok, settings}
+      [] -> {:error, :game_not_found}
+    end
+  end
+
+  @impl SnookerGameEx.Game
+  def apply_force(game_id, player, particle_id, {fx, fy} = force, spin \\ {0.0, 0.0}) do
+    # A vez é da `GameLogic`: só o jogador da vez, com a mesa parada, pode tacar.
+    with {:ok, pid} <- lookup_engine(game_id),
+         :ok <- check_strike_force(fx, fy),
+         :ok <- GameLogic.begin_shot(game_id, player) do
+      GenServer.cast(pid, {:apply_force, particle_id, force, spin})
+    end
+  end
+
+  @impl SnookerGameEx.Game
+  def hold_ball(game_id, player, particle_id) do
+    # Segurar a bola branca durante a tacada de outro também seria interferir.
+    with {:ok, pid} <- lookup_engine(game_id),
+         :ok <- GameLogic.check_shot(game_id, player) do
+      GenServer.cast(pid, {:hold_ball, particle_id})
+    end
+  end
+
+  @impl SnookerGameEx.Game
+  def place_cue_ball(game_id, player, pos) do
+    with {:ok, particles} <- get_particles(game_id) do
+      GameLogic.place_cue_ball(game_id, player, pos, particles)
+    end
+  end
+
+  defp lookup_engine(game_id) do
     case Registry.lookup(
            SnookerGameEx.GameRegistry,
            {SnookerGameEx.Engine.CollisionEngine, game_id}
          ) do
-      [{pid, _}] -> GenServer.cast(pid, {:apply_force, particle_id, force})
+      [{pid, _}] -> {:ok, pid}
       [] -> {:error, :game_not_found}
     end
   end
 
+  defp check_strike_force(fx, fy) do
+    if Physics.velocity_magnitude([fx, fy]) >= @min_strike_force,
+      do: :ok,
+      else: {:error, :weak_strike}
+  end
+
   @impl SnookerGameEx.Game
-  def hold_ball(game_id, particle_id) do
+  def get_particles(game_id) do
     case Registry.lookup(
            SnookerGameEx.GameRegistry,
            {SnookerGameEx.Engine.CollisionEngine, game_id}
          ) do
-      [{pid, _}] -> GenServer.cast(pid, {:hold_ball, particle_id})
+      [{pid, _}] -> GenServer.call(pid, :get_particles)
+      [] -> {:error, :game_not_found}
+    end
+  end
+
+  @impl SnookerGameEx.Game
+  def get_game_state(game_id) do
+    case Registry.lookup(
+           SnookerGameEx.GameRegistry,
+           {SnookerGameEx.Engine.GameLogic, game_id}
+         ) do
+      [{_pid, _}] -> {:ok, SnookerGameEx.Engine.GameLogic.get_state(game_id)}
+      [] -> {:error, :game_not_found}
+    end
+  end
+
+  @impl SnookerGameEx.Game
+  def join_game(game_id, pid, name) do
+    case Registry.lookup(
+           SnookerGameEx.GameRegistry,
+           {SnookerGameEx.Engine.SeatManager, game_id}
+         ) do
+      [{_pid, _}] -> SnookerGameEx.Engine.SeatManager.join(game_id, pid, name)
       [] -> {:error, :game_not_found}
     end
   end
 
   @impl SnookerGameEx.Game
-  def restart_game(game_id) do
-    GameInstanceSupervisor.restart(game_id)
+  def get_seats(game_id) do
+    case Registry.lookup(
+           SnookerGameEx.GameRegistry,
+           {SnookerGameEx.Engine.SeatManager, game_id}
+         ) do
+      [{_pid, _}] -> SnookerGameEx.Engine.SeatManager.get_seats(game_id)
+      [] -> {:error, :game_not_found}
+    end
+  end
+
+  @impl SnookerGameEx.Game
+  def get_replay(game_id) do
+    case Registry.lookup(
+           SnookerGameEx.GameRegistry,
+           {SnookerGameEx.Engine.ReplayRecorder, game_id}
+         ) do
+      [{_pid, _}] -> SnookerGameEx.Engine.ReplayRecorder.export(game_id)
+      [] -> {:error, :game_not_found}
+    end
+  end
+
+  @impl SnookerGameEx.Game
+  def restart_game(game_id), do: GameInstanceSupervisor.restart(game_id)
+
+  @impl SnookerGameEx.Game
+  def stop_game(game_id) do
+    GameInstanceSupervisor.stop(game_id)
     :ok
   end
 end
@@ -17,10 +17,10 @@ defmodule SnookerGameEx.Engine.Particle do
 
   def via_tuple(game_id, id), do: {:via, Registry, {SnookerGameEx.ParticleRegistry, {game_id, id}}}
 
-  def move(game_id, id, dt), do: GenServer.call(via_tuple(game_id, id), {:move, dt})
+  def move(game_id, id, dt, tick \\ 0), do: GenServer.call(via_tuple(game_id, id), {:move, dt, tick})
   def hold(game_id, id), do: GenServer.cast(via_tuple(game_id, id), :hold)
-  def apply_force(game_id, id, force), do: GenServer.cast(via_tuple(game_id, id), {:apply_force, force})
-  def update_after_collision(game_id, id, vel, pos), do: GenServer.cast(via_tuple(game_id, id), {:update_after_collision, vel, pos})
+  def apply_force(game_id, id, force, spin \\ {0.0, 0.0}), do: GenServer.cast(via_tuple(game_id, id), {:apply_force, force, spin})
+  def update_after_collision(game_id, id, vel, pos, tick \\ 0), do: GenServer.cast(via_tuple(game_id, id), {:update_after_collision, vel, pos, tick})
 
   # --- Callbacks do GenServer ---
   @impl true
@@ -40,6 +40,10 @@ defmodule SnookerGameEx.Engine.Particle do
 
     :ets.insert(ets_table, {particle_state.id, particle_state})
 
+    # Uma bola que volta à mesa no meio da partida precisa aparecer nos clientes.
+    if Keyword.get(opts, :announce, false),
+      do: notifier.notify_particle_update(game_id, particle_state)
+
     state = %{
       game_id: game_id,
       ets_table: ets_table,
@@ -50,15 +54,19 @@ defmodule SnookerGameEx.Engine.Particle do
   end
 
   @impl true
-  def handle_call({:move, dt}, _from, state) do
+  def handle_call({:move, dt, tick}, _from, state) do
     moved_particle =
       Physics.apply_friction_and_move(
-        state.particle,
+        %{state.particle | tick: tick},
         dt,
         CollisionEngine.friction_coefficient()
       )
+      |> Physics.decay_english(dt)
 
-    collided_particle = Physics.handle_wall_collision(moved_particle, CollisionEngine.world_bounds())
+    collided_particle =
+      moved_particle
+      |> Physics.handle_wall_collision(CollisionEngine.world_bounds())
+      |> then(&Physics.apply_cushion_english(moved_particle, &1))
 
     pockets = CollisionEngine.pockets()
     pocket_radius = CollisionEngine.pocket_radius()
@@ -74,36 +82,60 @@ defmodule SnookerGameEx.Engine.Particle do
       :ets.delete(state.ets_table, collided_particle.id)
       {:stop, :normal, :ok, state}
     else
+      # A publicação do movimento é feita em lote pelo CollisionEngine (um frame por tick).
       :ets.insert(state.ets_table, {collided_particle.id, collided_particle})
-      state.notifier.notify_particle_update(state.game_id, collided_particle)
 
       {:reply, :ok, %{state | particle: collided_particle}}
     end
   end
 
   @impl true
-  def handle_cast({:update_after_collision, new_vel, new_pos}, state) do
-    updated_particle = %{state.particle | vel: new_vel, pos: new_pos, roll_distance: 0.0}
+  def handle_cast({:update_after_collision, new_vel, new_pos, tick}, state) do
+    updated_particle =
+      %{
+        state.particle
+        | vel: new_vel,
+          pos: new_pos,
+          roll_distance: 0.0,
+          tick: max(tick, state.particle.tick)
+      }
+      |> Physics.apply_follow_draw(state.particle.vel)
+
     :ets.insert(state.ets_table, {updated_particle.id, updated_particle})
-    state.notifier.notify_particle_update(state.game_id, updated_particle)
     {:noreply, %{state | particle: updated_particle}}
   end
 
   @impl true
   def handle_cast(:hold, state) do
-    updated_particle = %{state.particle | vel: [0.0, 0.0], roll_distance: 0.0, spin_angle: 0.0}
+    updated_particle = %{
+      state.particle
+      | vel: [0.0, 0.0],
+        roll_distance: 0.0,
+        spin_angle: 0.0,
+        english: [0.0, 0.0]
+    }
+
     :ets.insert(state.ets_table, {updated_particle.id, updated_particle})
     state.notifier.notify_particle_update(state.game_id, updated_particle)
     {:noreply, %{state | particle: updated_particle}}
   end
 
   # CORREÇÃO: A cláusula agora aceita uma tupla `{fx, fy}` para a força.
+  # O ponto de contato do taco (`spin`) vira o efeito da bola.
   @impl true
-  def handle_cast({:apply_force, {fx, fy}}, state) do
+  def handle_cast({:apply_force, {fx, fy}, spin}, state) do
     [vx, vy] = state.particle.vel
     mass = state.particle.mass
     new_vel = [vx + fx / mass, vy + fy / mass]
-    updated_particle = %{state.particle | vel: new_vel, roll_distance: 0.0, spin_angle: 0.0}
+
+    updated_particle = %{
+      state.particle
+      | vel: new_vel,
+        roll_distance: 0.0,
+        spin_angle: 0.0,
+        english: Physics.normalize_english(spin)
+    }
+
     :ets.insert(state.ets_table, {updated_particle.id, updated_particle})
     state.notifier.notify_particle_update(state.game_id, updated_particle)
     {:noreply, %{state | particle: updated_particle}}
@@ -2,10 +2,13 @@ defmodule SnookerGameEx.Engine.ParticleSupervisor do
   @moduledoc "ADAPTER: Supervisor dinâmico para os processos Particle."
   use Supervisor
 
+  alias SnookerGameEx.Core.TableSpec
   alias SnookerGameEx.Engine.CollisionEngine
   alias SnookerGameEx.Engine.Particle
 
   @spacing_buffer 2.5
+  @cue_ball_id 0
+  @cue_ball %{number: 0, type: :cue, base_color: "white"}
   @pool_ball_set [
     %{number: 1, type: :solid, base_color: "#fdd835"},
     %{number: 2, type: :solid, base_color: "#1e88e5"},
@@ -23,6 +26,16 @@ defmodule SnookerGameEx.Engine.ParticleSupervisor do
     %{number: 14, type: :stripe, base_color: "#43a047"},
     %{number: 15, type: :stripe, base_color: "#5d4037"}
   ]
+  # Na sinuca, `number` é o valor da bola: vermelha 1, amarela 2 ... preta 7.
+  @snooker_red %{number: 1, type: :red, name: :red, base_color: "#c62828"}
+  @snooker_colours [
+    %{number: 2, type: :colour, name: :yellow, base_color: "#fdd835"},
+    %{number: 3, type: :colour, name: :green, base_color: "#2e7d32"},
+    %{number: 4, type: :colour, name: :brown, base_color: "#6d4c41"},
+    %{number: 5, type: :colour, name: :blue, base_color: "#1565c0"},
+    %{number: 6, type: :colour, name: :pink, base_color: "#f48fb1"},
+    %{number: 7, type: :colour, name: :black, base_color: "#212121"}
+  ]
 
   def start_link(opts) do
     game_id = Keyword.fetch!(opts, :game_id)
@@ -32,66 +45,100 @@ defmodule SnookerGameEx.Engine.ParticleSupervisor do
   def via_tuple(game_id),
     do: {:via, Registry, {SnookerGameEx.GameRegistry, {__MODULE__, game_id}}}
 
+  @doc """
+  Devolve a bola branca à mesa em `pos` depois de encaçapada (bola na mão).
+  """
+  def respawn_cue_ball(game_id, pos) do
+    case respawn_ball(game_id, @cue_ball_id, pos) do
+      {:error, :ball_on_table} -> {:error, :cue_ball_on_table}
+      result -> result
+    end
+  end
+
+  @doc """
+  Devolve à mesa, em `pos`, a bola `id` encaçapada (a branca ou uma colorida da
+  sinuca recolocada no seu ponto). O processo é recriado a partir da especificação
+  original, com a nova posição, e anuncia sua volta aos clientes.
+  """
+  def respawn_ball(game_id, id, pos) do
+    supervisor = via_tuple(game_id)
+    child_id = {game_id, id}
+    {:ok, spec} = :supervisor.get_childspec(supervisor, child_id)
+    {Particle, :start_link, [opts]} = spec.start
+
+    # Só um processo encerrado (a bola encaçapada) pode ser removido.
+    case Supervisor.delete_child(supervisor, child_id) do
+      :ok ->
+        opts = Keyword.merge(opts, pos: pos, announce: true)
+        Supervisor.start_child(supervisor, %{spec | start: {Particle, :start_link, [opts]}})
+
+      {:error, :running} ->
+        {:error, :ball_on_table}
+    end
+  end
+
   @impl true
   def init(opts) do
     game_id = Keyword.fetch!(opts, :game_id)
     ets_table = Keyword.fetch!(opts, :ets_table)
     notifier = Keyword.fetch!(opts, :notifier)
+    table = Keyword.get(opts, :table, CollisionEngine.table_spec())
+    {cue_ball_pos, rack} = rack(Keyword.get(opts, :game, :eight_ball), table)
 
-    bounds = CollisionEngine.world_bounds()
-    radius = CollisionEngine.particle_radius()
-    diameter = radius * 2
-    center_y = bounds.y + bounds.h / 2
-    white_ball_pos = [bounds.x + 200, center_y]
-    apex_pos = %{x: bounds.x + 700, y: center_y}
-    row_separation = radius * :math.sqrt(3) + @spacing_buffer
-    vertical_separation = diameter + @spacing_buffer
-    rack_balls = Enum.shuffle(@pool_ball_set)
-
-    triangle_positions =
-      Stream.unfold(0, fn
-        5 ->
-          nil
-
-        row_index ->
-          num_balls_in_row = row_index + 1
-          row_x = apex_pos.x + row_index * row_separation
-          start_y = apex_pos.y - (num_balls_in_row - 1) * vertical_separation / 2
-
-          positions_in_row =
-            for ball_in_row_index <- 0..(num_balls_in_row - 1) do
-              pos_y = start_y + ball_in_row_index * vertical_separation
-              [row_x, pos_y]
-            end
-
-          {positions_in_row, row_index + 1}
-      end)
-      |> Enum.flat_map(& &1)
-      |> Enum.take(15)
-
-    colored_balls =
-      Enum.zip(rack_balls, triangle_positions)
+    balls =
+      rack
       |> Enum.with_index(1)
       |> Enum.map(fn {{ball_data, pos}, id} ->
-        particle_spec(game_id, ets_table, notifier, id, ball_data, pos)
+        particle_spec(game_id, ets_table, notifier, table, id, ball_data, pos)
       end)
 
     children = [
-      particle_spec(
-        game_id,
-        ets_table,
-        notifier,
-        0,
-        %{number: 0, type: :cue, base_color: "white"},
-        white_ball_pos
-      )
-      | colored_balls
+      particle_spec(game_id, ets_table, notifier, table, @cue_ball_id, @cue_ball, cue_ball_pos)
+      | balls
     ]
 
     Supervisor.init(children, strategy: :one_for_one)
   end
 
-  defp particle_spec(game_id, ets_table, notifier, id, ball_data, pos) do
+  # Posição da branca e a lista `{bola, posição}` das demais bolas de cada jogo.
+  defp rack(:snooker, %TableSpec{world_bounds: bounds, ball_radius: radius} = table) do
+    [d] = table.arcs
+    [baulk_x, center_y] = d.center
+    [pink_x, _] = TableSpec.colour_spot(table, :pink)
+
+    # As vermelhas formam o triângulo logo atrás da rosa, sem encostar nela.
+    reds =
+      Enum.zip(
+        List.duplicate(@snooker_red, 15),
+        triangle(pink_x + radius * 2 + @spacing_buffer, bounds.y + bounds.h / 2, radius)
+      )
+
+    colours = Enum.map(@snooker_colours, &{&1, TableSpec.colour_spot(table, &1.name)})
+
+    {[baulk_x - d.radius / 2, center_y + d.radius / 2], reds ++ colours}
+  end
+
+  defp rack(_game, %TableSpec{world_bounds: bounds, ball_radius: radius}) do
+    center_y = bounds.y + bounds.h / 2
+    rack_balls = Enum.shuffle(@pool_ball_set)
+
+    {[bounds.x + 200, center_y], Enum.zip(rack_balls, triangle(bounds.x + 700, center_y, radius))}
+  end
+
+  # As 15 posições de um triângulo de 5 fileiras com o vértice em `{apex_x, center_y}`.
+  defp triangle(apex_x, center_y, radius) do
+    row_separation = radius * :math.sqrt(3) + @spacing_buffer
+    vertical_separation = radius * 2 + @spacing_buffer
+
+    for row_index <- 0..4,
+        row_x = apex_x + row_index * row_separation,
+        start_y = center_y - row_index * vertical_separation / 2,
+        ball_in_row_index <- 0..row_index do
+      [row_x, start_y + ball_in_row_index * vertical_separation]
+    end
+  end
+
+  defp particle_spec(game_id, ets_table, notifier, table, id, ball_data, pos) do
     %{
       id: {game_id, id},
       start: {
@@ -105,7 +152,7 @@ defmodule SnookerGameEx.Engine.ParticleSupervisor do
             id: id,
             pos: pos,
             vel: [0, 0],
-            radius: CollisionEngine.particle_radius(),
+            radius: table.ball_radius,
             mass: CollisionEngine.particle_mass(),
             color: ball_data
           ]
@@ -0,0 +1,74 @@
+defmodule SnookerGameEx.Engine.ReplayRecorder do
+  @moduledoc """
+  GenServer que grava a partida de uma instância de jogo para exportação.
+
+  Escuta os mesmos tópicos do PubSub que os clientes (`particle_updates` e
+  `game_events`) e acumula tudo numa `SnookerGameEx.Core.Replay`.
+  """
+  use GenServer
+  require Logger
+
+  alias SnookerGameEx.Core.Replay
+  alias SnookerGameEx.Engine.{CollisionEngine, GameLogic}
+  alias SnookerGameEx.Notifiers.PubSubNotifier
+
+  def start_link(opts),
+    do: GenServer.start_link(__MODULE__, opts, name: via_tuple(Keyword.fetch!(opts, :game_id)))
+
+  def via_tuple(game_id),
+    do: {:via, Registry, {SnookerGameEx.GameRegistry, {__MODULE__, game_id}}}
+
+  @doc "Retorna o arquivo de replay da partida até agora (ver `Replay.to_export/1`)."
+  def export(game_id), do: GenServer.call(via_tuple(game_id), :export)
+
+  @impl true
+  def init(opts) do
+    game_id = Keyword.fetch!(opts, :game_id)
+    Logger.info("ReplayRecorder started for #{game_id}")
+    Phoenix.PubSub.subscribe(SnookerGameEx.PubSub, "particle_updates:#{game_id}")
+    Phoenix.PubSub.subscribe(SnookerGameEx.PubSub, "game_events:#{game_id}")
+    table = Keyword.get(opts, :table, CollisionEngine.table_spec())
+    {:ok, %{game_id: game_id, table: table, replay: nil}, {:continue, :snapshot}}
+  end
+
+  # O estado inicial vem dos irmãos já iniciados no `GameInstanceSupervisor`;
+  # mensagens do PubSub que chegarem antes ficam na caixa de entrada.
+  @impl true
+  def handle_continue(:snapshot, state) do
+    {:ok, particles} = GenServer.call(CollisionEngine.via_tuple(state.game_id), :get_particles)
+
+    replay =
+      Replay.new(
+        state.game_id,
+        state.table,
+        Enum.map(particles, &PubSubNotifier.particle_payload/1),
+        GameLogic.get_state(state.game_id),
+        frame_interval_ms: CollisionEngine.frame_interval_ms()
+      )
+
+    {:noreply, %{state | replay: replay}}
+  end
+
+  @impl true
+  def handle_call(:export, _from, state) do
+    {:reply, {:ok, Replay.to_export(state.replay)}, state}
+  end
+
+  @impl true
+  def handle_info(message, state) do
+    {:noreply, %{state | replay: record(state.replay, message)}}
+  end
+
+  defp record(replay, {:frame, frame}), do: Replay.add_frame(replay, frame)
+  defp record(replay, {:particle_moved, payload}), do: Replay.add_particle(replay, payload)
+
+  defp record(replay, {:particle_removed, %{id: id}}),
+    do: Replay.add_event(replay, "particle_removed", %{id: id})
+
+  defp record(replay, {:ball_pocketed, id, ball_data}),
+    do: Replay.add_event(replay, "ball_pocketed", %{id: id, ball: ball_data})
+
+  defp record(replay, {:game_state_updated, rules}), do: Replay.add_rules(replay, rules)
+  defp record(replay, :all_balls_stopped), do: Replay.add_event(replay, "shot_ended")
+  defp record(replay, _message), do: replay
+end
@@ -0,0 +1,109 @@
+defmodule SnookerGameEx.Engine.SeatManager do
+  @moduledoc """
+  GenServer que distribui os lugares de uma instância de jogo (ver
+  `SnookerGameEx.Core.Seats`). Cada conexão (LiveView ou canal) entra com o seu
+  pid, que é monitorado: quando a conexão cai, o lugar é liberado.
+  """
+  use GenServer
+  require Logger
+
+  alias SnookerGameEx.Core.{RoomSettings, Seats}
+
+  @ai_level_names %{easy: "fácil", medium: "médio", hard: "difícil"}
+
+  def start_link(opts),
+    do: GenServer.start_link(__MODULE__, opts, name: via_tuple(Keyword.fetch!(opts, :game_id)))
+
+  def via_tuple(game_id),
+    do: {:via, Registry, {SnookerGameEx.GameRegistry, {__MODULE__, game_id}}}
+
+  @doc """
+  Coloca o processo `pid` na sala e retorna seu papel. Se depois ele for promovido
+  a jogador, recebe a mensagem `{:seat_assigned, role}`.
+  """
+  def join(game_id, pid, name), do: GenServer.call(via_tuple(game_id), {:join, pid, name})
+
+  @doc "Retorna o papel de `pid` na sala, ou `nil` se ele não entrou."
+  def role_of(game_id, pid), do: GenServer.call(via_tuple(game_id), {:role_of, pid})
+
+  @doc "Retorna o resumo público dos lugares (ver `Seats.to_payload/1`)."
+  def get_seats(game_id), do: GenServer.call(via_tuple(game_id), :get_seats)
+
+  @doc "Retorna os lugares completos (`%Seats{}`), com as chaves dos participantes."
+  def snapshot(game_id), do: GenServer.call(via_tuple(game_id), :snapshot)
+
+  @doc """
+  Devolve a uma sala reconstruída os lugares da anterior (ver `snapshot/1`). Cada
+  conexão volta a ser monitorada e recebe `{:game_restarted, role}`.
+  """
+  def restore(game_id, %Seats{} = seats),
+    do: GenServer.call(via_tuple(game_id), {:restore, seats})
+
+  @impl true
+  def init(opts) do
+    game_id = Keyword.fetch!(opts, :game_id)
+    notifier = Keyword.fetch!(opts, :notifier)
+    settings = Keyword.get(opts, :settings, RoomSettings.new())
+    {:ok, %{game_id: game_id, notifier: notifier, seats: initial_seats(settings)}}
+  end
+
+  # O computador ocupa sua cadeira desde a criação da sala.
+  defp initial_seats(%RoomSettings{opponent: :computer, ai_level: level}) do
+    name = "Computador (#{@ai_level_names[level]})"
+    Seats.reserve(Seats.new(), RoomSettings.computer_seat(), :computer, name)
+  end
+
+  defp initial_seats(_settings), do: Seats.new()
+
+  @impl true
+  def handle_call({:join, pid, name}, _from, state) do
+    {role, seats} = Seats.join(state.seats, pid, name)
+
+    if seats != state.seats do
+      Process.monitor(pid)
+      Logger.debug("[Game #{state.game_id}] #{name} joined as #{role}")
+      state.notifier.notify_seats_updated(state.game_id, Seats.to_payload(seats))
+    end
+
+    {:reply, {:ok, role}, %{state | seats: seats}}
+  end
+
+  @impl true
+  def handle_call({:role_of, pid}, _from, state) do
+    {:reply, Seats.role_of(state.seats, pid), state}
+  end
+
+  @impl true
+  def handle_call(:get_seats, _from, state) do
+    {:reply, {:ok, Seats.to_payload(state.seats)}, state}
+  end
+
+  @impl true
+  def handle_call(:snapshot, _from, state) do
+    {:reply, {:ok, state.seats}, state}
+  end
+
+  @impl true
+  def handle_call({:restore, seats}, _from, state) do
+    for {pid, role} <- Seats.members(seats), is_pid(pid) do
+      Process.monitor(pid)
+      send(pid, {:game_restarted, role})
+    end
+
+    state.notifier.notify_seats_updated(state.game_id, Seats.to_payload(seats))
+    {:reply, :ok, %{state | seats: seats}}
+  end
+
+  @impl true
+  def handle_info({:DOWN, _ref, :process, pid, _reason}, state) do
+    {promoted, seats} = Seats.leave(state.seats, pid)
+
+    case promoted do
+      {promoted_pid, role} -> send(promoted_pid, {:seat_assigned, role})
+      nil -> :ok
+    end
+
+    state.notifier.notify_seats_updated(state.game_id, Seats.to_payload(seats))
+    {:noreply, %{state | seats: seats}}
+  end
+end
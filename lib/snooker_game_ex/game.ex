@@ -4,16 +4,97 @@ defmodule SnookerGameEx.Game do
   Qualquer adaptador externo (como um Channel ou um teste) usa este contrato.
   """
 
-  @doc "Inicia uma nova instância de jogo."
-  @callback start_game(game_id :: String.t()) :: :ok
+  @typedoc "Motivos para recusar uma tacada."
+  @type shot_error ::
+          :game_not_found
+          | :not_your_turn
+          | :balls_moving
+          | :game_over
+          | :weak_strike
+          | :ball_in_hand
 
-  @doc "Aplica uma força a uma partícula específica no jogo."
-  @callback apply_force(game_id :: String.t(), particle_id :: any(), force :: {float(), float()}) ::
-              :ok
+  @typedoc "Motivos para recusar a recolocação da bola branca."
+  @type placement_error ::
+          :game_not_found
+          | :not_your_turn
+          | :balls_moving
+          | :game_over
+          | :cue_ball_on_table
+          | SnookerGameEx.Core.CuePlacement.error()
 
-  @doc "Para uma partícula."
-  @callback hold_ball(game_id :: String.t(), particle_id :: any()) :: :ok
+  @doc """
+  Inicia uma nova instância de jogo com as opções da sala (ver
+  `SnookerGameEx.Core.RoomSettings`). As opções só valem na criação.
+  """
+  @callback start_game(game_id :: String.t(), opts :: keyword()) :: :ok
+
+  @doc "Retorna as configurações da sala."
+  @callback get_settings(game_id :: String.t()) ::
+              {:ok, SnookerGameEx.Core.RoomSettings.t()} | {:error, :game_not_found}
+
+  @doc """
+  Aplica uma força a uma partícula específica no jogo, em nome de `player`. `spin` é
+  o ponto de contato do taco, `{lateral, vertical}` no disco unitário (ver
+  `SnookerGameEx.Core.GameState`).
+
+  A tacada só é aceita se for a vez de `player` e todas as bolas estiverem paradas.
+  """
+  @callback apply_force(
+              game_id :: String.t(),
+              player :: SnookerGameEx.Core.Seats.role(),
+              particle_id :: any(),
+              force :: {float(), float()},
+              spin :: {float(), float()}
+            ) :: :ok | {:error, shot_error()}
+
+  @doc "Para uma partícula. Como uma tacada, só vale para o jogador da vez."
+  @callback hold_ball(
+              game_id :: String.t(),
+              player :: SnookerGameEx.Core.Seats.role(),
+              particle_id :: any()
+            ) :: :ok | {:error, shot_error()}
+
+  @doc """
+  Recoloca a bola branca em `pos` depois de uma falta com ela encaçapada. Só vale
+  para o jogador da vez com bola na mão, numa posição livre da zona permitida.
+  """
+  @callback place_cue_ball(
+              game_id :: String.t(),
+              player :: SnookerGameEx.Core.Seats.role(),
+              pos :: [float()]
+            ) :: :ok | {:error, placement_error()}
+
+  @doc "Retorna o estado atual de todas as partículas do jogo."
+  @callback get_particles(game_id :: String.t()) ::
+              {:ok, [SnookerGameEx.Core.GameState.t()]} | {:error, :game_not_found}
+
+  @doc "Retorna o estado atual das regras do jogo."
+  @callback get_game_state(game_id :: String.t()) ::
+              {:ok, SnookerGameEx.Core.GameRules.t()} | {:error, :game_not_found}
+
+  @doc """
+  Coloca uma conexão (`pid`) na sala, como jogador se houver cadeira livre ou como
+  espectador. Espectadores assistem, mas não podem dar tacadas.
+  """
+  @callback join_game(game_id :: String.t(), pid :: pid(), name :: String.t()) ::
+              {:ok, SnookerGameEx.Core.Seats.role()} | {:error, :game_not_found}
+
+  @doc "Retorna quem ocupa cada cadeira e quantos espectadores assistem."
+  @callback get_seats(game_id :: String.t()) :: {:ok, map()} | {:error, :game_not_found}
+
+  @doc """
+  Retorna o arquivo de replay da partida em andamento, desde o início da
+  instância (ver `SnookerGameEx.Core.Replay`).
+  """
+  @callback get_replay(game_id :: String.t()) :: {:ok, map()} | {:error, :game_not_found}
+
+  @doc """
+  Reinicia um jogo: reconstrói a sala com as mesmas configurações, com as
+  partículas e as regras no estado inicial. Quem estava na sala mantém o lugar e
+  recebe `{:game_restarted, role}`.
+  """
+  @callback restart_game(game_id :: String.t()) :: :ok | {:error, :game_not_found}
 
-  @doc "Reinicia um jogo, retornando todas as partículas ao estado inicial."
-  @callback restart_game(game_id :: String.t()) :: :ok
+  @doc "Encerra a instância do jogo, se ela existir."
+  @callback stop_game(game_id :: String.t()) :: :ok
 end
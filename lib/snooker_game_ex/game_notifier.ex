@@ -4,14 +4,41 @@ defmodule SnookerGameEx.GameNotifier do
   o mundo exterior sobre eventos.
   """
 
-  alias SnookerGameEx.Core.GameState
+  alias SnookerGameEx.Core.{GameRules, GameState}
 
   @doc "Notifica que uma partícula se moveu ou mudou de estado."
   @callback notify_particle_update(game_id :: String.t(), particle :: GameState.t()) :: :ok
 
+  @doc """
+  Notifica o frame de um tick de simulação: as linhas compactas (ver
+  `SnookerGameEx.Core.Frame`) das partículas que mudaram desde o frame anterior.
+  """
+  @callback notify_frame(
+              game_id :: String.t(),
+              frame :: %{tick: non_neg_integer(), sim_time: number(), particles: list()}
+            ) :: :ok
+
   @doc "Notifica que uma partícula foi removida (ex: encaçapada)."
   @callback notify_particle_removed(game_id :: String.t(), particle_id :: any()) :: :ok
 
+  @doc """
+  Notifica a primeira bola que a branca tocou depois de uma tacada (os dados da
+  bola, como em `notify_ball_pocketed/3`). Só interessa às regras.
+  """
+  @callback notify_first_contact(game_id :: String.t(), ball_data :: map()) :: :ok
+
+  @doc "Notifica que todas as bolas pararam após uma tacada."
+  @callback notify_all_balls_stopped(game_id :: String.t()) :: :ok
+
+  @doc "Notifica o novo estado das regras (vez, naipes, faltas, vencedor)."
+  @callback notify_game_state_update(game_id :: String.t(), rules_state :: GameRules.t()) :: :ok
+
+  @doc """
+  Notifica que os lugares da sala mudaram: quem ocupa cada cadeira e quantos
+  espectadores assistem (ver `SnookerGameEx.Core.Seats.to_payload/1`).
+  """
+  @callback notify_seats_updated(game_id :: String.t(), seats :: map()) :: :ok
+
   @doc "Notifica que uma bola foi encaçapada."
   @callback notify_ball_pocketed(
               game_id :: String.t(),
@@ -1,9 +1,26 @@
 defmodule SnookerGameEx.Rules do
   @moduledoc "BEHAVIOUR para diferentes conjuntos de regras de jogo."
-  alias SnookerGameEx.Core.GameRules
+  alias SnookerGameEx.Core.{GameRules, TableSpec}
 
   @callback init() :: GameRules.t()
   @callback handle_ball_pocketed(state :: GameRules.t(), ball_data :: map()) :: GameRules.t()
   @callback handle_turn_end(state :: GameRules.t()) :: GameRules.t()
+  @doc "Chamado quando o jogador com bola na mão (`ball_in_hand`) recoloca a branca."
+  @callback handle_cue_ball_placed(state :: GameRules.t()) :: GameRules.t()
   @callback get_current_state(state :: GameRules.t()) :: GameRules.t()
+
+  @doc "Chamado com a primeira bola que a branca tocou na tacada."
+  @callback handle_first_contact(state :: GameRules.t(), ball_data :: map()) :: GameRules.t()
+
+  @doc """
+  Chamado com a mesa parada, depois de `handle_turn_end/1` e da recolocação das
+  bolas pedidas em `respot`, para regras que dependem das posições (ex: bola livre).
+  """
+  @callback handle_table_at_rest(
+              state :: GameRules.t(),
+              table :: TableSpec.t(),
+              particles :: [map()]
+            ) :: GameRules.t()
+
+  @optional_callbacks handle_first_contact: 2, handle_table_at_rest: 3
 end
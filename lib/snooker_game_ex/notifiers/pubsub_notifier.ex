@@ -5,23 +5,23 @@ defmodule SnookerGameEx.Notifiers.PubSubNotifier do
   @behaviour SnookerGameEx.GameNotifier
 
   alias SnookerGameEx.Core.GameState
+  alias SnookerGameEx.Engine.CollisionEngine
 
   @impl SnookerGameEx.GameNotifier
   def notify_particle_update(game_id, %GameState{} = particle) do
-    payload = %{
-      id: particle.id,
-      pos: particle.pos,
-      vel: particle.vel,
-      radius: particle.radius,
-      color: particle.color,
-      spin_angle: particle.spin_angle,
-      roll_distance: particle.roll_distance
-    }
+    Phoenix.PubSub.broadcast(
+      SnookerGameEx.PubSub,
+      "particle_updates:#{game_id}",
+      {:particle_moved, particle_payload(particle)}
+    )
+  end
 
+  @impl SnookerGameEx.GameNotifier
+  def notify_frame(game_id, frame) do
     Phoenix.PubSub.broadcast(
       SnookerGameEx.PubSub,
       "particle_updates:#{game_id}",
-      {:particle_moved, payload}
+      {:frame, frame}
     )
   end
 
@@ -34,6 +34,42 @@ defmodule SnookerGameEx.Notifiers.PubSubNotifier do
     )
   end
 
+  @impl SnookerGameEx.GameNotifier
+  def notify_all_balls_stopped(game_id) do
+    Phoenix.PubSub.broadcast(
+      SnookerGameEx.PubSub,
+      "game_events:#{game_id}",
+      :all_balls_stopped
+    )
+  end
+
+  @impl SnookerGameEx.GameNotifier
+  def notify_first_contact(game_id, ball_data) do
+    Phoenix.PubSub.broadcast(
+      SnookerGameEx.PubSub,
+      "game_events:#{game_id}",
+      {:first_contact, ball_data}
+    )
+  end
+
+  @impl SnookerGameEx.GameNotifier
+  def notify_seats_updated(game_id, seats) do
+    Phoenix.PubSub.broadcast(
+      SnookerGameEx.PubSub,
+      "game_events:#{game_id}",
+      {:seats_updated, seats}
+    )
+  end
+
+  @impl SnookerGameEx.GameNotifier
+  def notify_game_state_update(game_id, rules_state) do
+    Phoenix.PubSub.broadcast(
+      SnookerGameEx.PubSub,
+      "game_events:#{game_id}",
+      {:game_state_updated, rules_state}
+    )
+  end
+
   @impl SnookerGameEx.GameNotifier
   def notify_ball_pocketed(game_id, particle_id, ball_data) do
     Phoenix.PubSub.broadcast(
@@ -42,4 +78,24 @@ defmodule SnookerGameEx.Notifiers.PubSubNotifier do
       {:ball_pocketed, particle_id, ball_data}
     )
   end
+
+  @doc """
+  Serializa uma partícula no formato enviado aos clientes.
+
+  `tick` é o passo de simulação que produziu o estado e `sim_time` o mesmo
+  instante em milissegundos, usados pelo cliente para interpolar os snapshots.
+  """
+  def particle_payload(%GameState{} = particle) do
+    %{
+      id: particle.id,
+      pos: particle.pos,
+      vel: particle.vel,
+      radius: particle.radius,
+      color: particle.color,
+      spin_angle: particle.spin_angle,
+      roll_distance: particle.roll_distance,
+      tick: particle.tick,
+      sim_time: particle.tick * CollisionEngine.frame_interval_ms()
+    }
+  end
 end
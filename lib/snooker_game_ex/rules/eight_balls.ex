@@ -7,21 +7,40 @@ defmodule SnookerGameEx.Rules.EightBall do
   def init(), do: %GameRules{}
 
   @impl SnookerGameEx.Rules
-  def handle_ball_pocketed(state, ball_data),
-    do: update_in(state, [:pocketed_in_turn], &[ball_data | &1])
+  def handle_ball_pocketed(state, %{type: :cue} = ball_data),
+    do: %{state | pocketed_in_turn: [ball_data | state.pocketed_in_turn]}
+
+  def handle_ball_pocketed(state, ball_data) do
+    %{
+      state
+      | pocketed_in_turn: [ball_data | state.pocketed_in_turn],
+        potted_balls: state.potted_balls ++ [ball_data]
+    }
+  end
 
   @impl SnookerGameEx.Rules
   def handle_turn_end(state) do
+    state = %{state | foul: false}
+
     final_state =
       cond do
         Enum.any?(state.pocketed_in_turn, &(&1.number == 8)) ->
           handle_eight_ball_pocketed(state)
 
         Enum.any?(state.pocketed_in_turn, &(&1.type == :cue)) ->
-          %{state | status_message: "Falta! Bola branca na caçapa."} |> switch_turn()
+          %{
+            state
+            | foul: true,
+              ball_in_hand: ball_in_hand_zone(state),
+              status_message: "Falta! Bola branca na caçapa."
+          }
+          |> end_break()
+          |> switch_turn()
 
         Enum.empty?(state.pocketed_in_turn) ->
-          %{state | status_message: "Nenhuma bola encaçapada."} |> switch_turn()
+          %{state | status_message: "Nenhuma bola encaçapada."}
+          |> end_break()
+          |> switch_turn()
 
         true ->
           apply_regular_potting_rules(state)
@@ -30,9 +49,24 @@ defmodule SnookerGameEx.Rules.EightBall do
     Map.put(final_state, :pocketed_in_turn, [])
   end
 
+  @impl SnookerGameEx.Rules
+  def handle_cue_ball_placed(state) do
+    player = player_display(state.current_turn)
+    message = "Bola branca posicionada. Jogador #{player} joga."
+    %{state | ball_in_hand: nil, status_message: message}
+  end
+
   @impl SnookerGameEx.Rules
   def get_current_state(state), do: state
 
+  # Falta na quebra: a branca volta atrás da linha de cabeceira.
+  defp ball_in_hand_zone(%{game_phase: :break}), do: :kitchen
+  defp ball_in_hand_zone(_state), do: :table
+
+  # Qualquer tacada encerra a quebra; a mesa fica aberta até alguém encaçapar.
+  defp end_break(%{game_phase: :break} = state), do: %{state | game_phase: :open_table}
+  defp end_break(state), do: state
+
   defp apply_regular_potting_rules(state) do
     player = state.current_turn
     pocketed_balls = state.pocketed_in_turn
@@ -58,7 +92,8 @@ defmodule SnookerGameEx.Rules.EightBall do
         if length(player_balls) > 0 and length(opponent_balls) == 0 do
           %{state | status_message: "Boa jogada! Você continua."}
         else
-          %{state | status_message: "Falta! Encaçapou bola do oponente."} |> switch_turn()
+          %{state | foul: true, status_message: "Falta! Encaçapou bola do oponente."}
+          |> switch_turn()
         end
     end
   end
@@ -66,8 +101,7 @@ defmodule SnookerGameEx.Rules.EightBall do
   defp handle_eight_ball_pocketed(state) do
     player = state.current_turn
     opponent = switch_player_atom(player)
-    # TODO: Adicionar lógica real
-    player_has_cleared_their_suit? = true
+    player_has_cleared_their_suit? = suit_cleared?(state, state.ball_assignments[player])
 
     case state.game_phase do
       :assigned_suits when player_has_cleared_their_suit? ->
@@ -83,11 +117,19 @@ defmodule SnookerGameEx.Rules.EightBall do
           state
           | winner: opponent,
             game_phase: :game_over,
+            foul: true,
             status_message: "Falta grave! Jogador #{player_display(player)} perdeu."
         }
     end
   end
 
+  # As 7 bolas do naipe já foram encaçapadas (por qualquer jogador).
+  defp suit_cleared?(_state, nil), do: false
+
+  defp suit_cleared?(state, suit) do
+    Enum.count(state.potted_balls, &(&1.number != 8 and ball_type_to_suit(&1) == suit)) >= 7
+  end
+
   defp assign_suits(state, potted_suit) do
     player = state.current_turn
     opponent = switch_player_atom(player)
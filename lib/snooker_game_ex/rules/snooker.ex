@@ -0,0 +1,280 @@
+defmodule SnookerGameEx.Rules.Snooker do
+  @moduledoc """
+  Implementação das regras da sinuca (snooker): 15 vermelhas e 6 coloridas.
+
+  Enquanto há vermelhas na mesa, o jogador alterna entre uma vermelha e uma
+  colorida, que volta ao seu ponto; sem vermelhas, as coloridas caem em ordem de
+  valor (amarela, verde, marrom, azul, rosa e preta) e ficam fora da mesa. O valor
+  de cada bola é o seu `number`: vermelha 1, amarela 2 ... preta 7. A colorida
+  depois de uma vermelha é nomeada automaticamente: é a primeira que a branca tocar.
+
+  Falta (branca encaçapada, nenhuma bola tocada, primeira bola tocada ou bola
+  encaçapada que não é a da vez) vale 4 pontos ou o valor da bola da vez ou da bola
+  envolvida, o que for maior, e os pontos vão para o adversário. Se depois de uma
+  falta o adversário está snookado em todas as bolas da vez (ver
+  `SnookerGameEx.Core.Snookered`), ele ganha bola livre: a primeira bola tocada
+  vale como a bola da vez.
+
+  O frame termina quando a última preta cai ou numa falta com só ela na mesa. Em
+  caso de empate, a preta volta ao ponto e o jogo segue, sem sorteio: o adversário
+  de quem encerrou o frame joga de onde a branca parou.
+  """
+  @behaviour SnookerGameEx.Rules
+
+  alias SnookerGameEx.Core.{GameRules, Snookered}
+
+  @reds 15
+  @colours [:yellow, :green, :brown, :blue, :pink, :black]
+  @values %{yellow: 2, green: 3, brown: 4, blue: 5, pink: 6, black: 7}
+  @minimum_foul 4
+
+  @ball_labels %{
+    red: "vermelha",
+    colour: "colorida",
+    yellow: "amarela",
+    green: "verde",
+    brown: "marrom",
+    blue: "azul",
+    pink: "rosa",
+    black: "preta"
+  }
+
+  @foul_labels %{
+    in_off: "Bola branca na caçapa.",
+    missed: "A branca não tocou em nenhuma bola.",
+    wrong_ball_first: "Tocou primeiro na bola errada.",
+    wrong_pot: "Encaçapou uma bola que não era a da vez."
+  }
+
+  @impl SnookerGameEx.Rules
+  def init do
+    %GameRules{
+      game: :snooker,
+      game_phase: :reds,
+      ball_on: :red,
+      scores: %{player1: 0, player2: 0},
+      status_message: "Sinuca! Jogador 1 abre o frame na vermelha."
+    }
+  end
+
+  @impl SnookerGameEx.Rules
+  def handle_ball_pocketed(state, ball_data),
+    do: %{state | pocketed_in_turn: [ball_data | state.pocketed_in_turn]}
+
+  @impl SnookerGameEx.Rules
+  def handle_first_contact(%{first_contact: nil} = state, ball_data),
+    do: %{state | first_contact: ball_data}
+
+  def handle_first_contact(state, _ball_data), do: state
+
+  @impl SnookerGameEx.Rules
+  def handle_turn_end(state) do
+    state = %{state | foul: false}
+    potted = Enum.reverse(state.pocketed_in_turn)
+
+    final_state =
+      case foul_reason(state, potted) do
+        nil -> legal_shot(state, potted)
+        reason -> foul(state, potted, reason)
+      end
+
+    %{final_state | pocketed_in_turn: [], first_contact: nil, free_ball: false}
+  end
+
+  @impl SnookerGameEx.Rules
+  def handle_cue_ball_placed(state) do
+    message = "Bola branca no D. " <> turn_message(state.current_turn, state.ball_on)
+    %{state | ball_in_hand: nil, status_message: message}
+  end
+
+  # Bola livre: depois de uma falta, se o jogador que entra (sem bola na mão) não
+  # tem tacada livre em nenhuma bola da vez.
+  @impl SnookerGameEx.Rules
+  def handle_table_at_rest(
+        %{foul: true, winner: nil, ball_in_hand: nil} = state,
+        table,
+        particles
+      ) do
+    cue = Enum.find(particles, &(&1.color.type == :cue))
+    targets = Enum.filter(particles, &on?(state, &1.color))
+
+    if cue && targets != [] && Snookered.snookered?(table, cue, targets, particles) do
+      %{state | free_ball: true, status_message: state.status_message <> " Bola livre!"}
+    else
+      state
+    end
+  end
+
+  def handle_table_at_rest(state, _table, _particles), do: state
+
+  @impl SnookerGameEx.Rules
+  def get_current_state(state), do: state
+
+  defp foul_reason(state, potted) do
+    cond do
+      Enum.any?(potted, &(&1.type == :cue)) -> :in_off
+      state.first_contact == nil -> :missed
+      not hittable?(state, state.first_contact) -> :wrong_ball_first
+      Enum.any?(potted, &(not pottable?(state, &1))) -> :wrong_pot
+      true -> nil
+    end
+  end
+
+  # A bola pode ser a primeira tocada? Com bola livre, qualquer uma (a nomeada).
+  defp hittable?(%{free_ball: true}, _ball), do: true
+  defp hittable?(state, ball), do: on?(state, ball)
+
+  # A bola pode ser encaçapada nesta tacada, dada a primeira bola tocada?
+  defp pottable?(%{free_ball: true, first_contact: nominated} = state, ball),
+    do: ball == nominated or on?(state, ball)
+
+  defp pottable?(%{ball_on: :colour, first_contact: nominated}, ball),
+    do: ball.type == :colour and ball == nominated
+
+  defp pottable?(state, ball), do: on?(state, ball)
+
+  defp on?(%{ball_on: :red}, ball), do: ball.type == :red
+  defp on?(%{ball_on: :colour}, ball), do: ball.type == :colour
+  defp on?(%{ball_on: colour}, ball), do: ball[:name] == colour
+
+  defp foul(state, potted, reason) do
+    player = state.current_turn
+    opponent = switch_player_atom(player)
+    value = foul_value(state, potted)
+
+    state = %{
+      state
+      | foul: true,
+        scores: Map.update!(state.scores, opponent, &(&1 + value)),
+        current_break: 0,
+        current_turn: opponent,
+        potted_balls: state.potted_balls ++ Enum.filter(potted, &(&1.type == :red)),
+        respot: Enum.filter(potted, &(&1.type == :colour)),
+        ball_in_hand: if(reason == :in_off, do: :d)
+    }
+
+    message =
+      "Falta! #{@foul_labels[reason]} #{value} pontos para o Jogador #{player_display(opponent)}."
+
+    if state.ball_on == :black,
+      do: end_frame(state, message, opponent),
+      else: advance(state, next_ball_on(state), message)
+  end
+
+  # O maior entre o mínimo, a bola da vez e as bolas envolvidas na falta (a primeira
+  # tocada, se errada, e as encaçapadas que não podiam cair).
+  defp foul_value(state, potted) do
+    wrong_first =
+      if state.first_contact && not hittable?(state, state.first_contact),
+        do: [state.first_contact],
+        else: []
+
+    wrong_pots = Enum.reject(potted, &(&1.type == :cue or pottable?(state, &1)))
+
+    involved = Enum.map(wrong_first ++ wrong_pots, & &1.number)
+    Enum.max([@minimum_foul, on_value(state) | involved])
+  end
+
+  defp legal_shot(state, []) do
+    opponent = switch_player_atom(state.current_turn)
+    state = %{state | current_break: 0, current_turn: opponent}
+    advance(state, next_ball_on(state), "Nenhuma bola encaçapada.")
+  end
+
+  # Vermelhas e a colorida da vez na fase final ficam fora da mesa; as demais
+  # coloridas (inclusive a nomeada como bola livre) voltam aos seus pontos.
+  defp legal_shot(state, potted) do
+    player = state.current_turn
+    points = points(state, potted)
+    {stay_off, respot} =
+      Enum.split_with(potted, &(&1.type == :red or &1[:name] == state.ball_on))
+
+    state = %{
+      state
+      | scores: Map.update!(state.scores, player, &(&1 + points)),
+        current_break: state.current_break + points,
+        potted_balls: state.potted_balls ++ stay_off,
+        respot: respot
+    }
+
+    message =
+      "+#{points} para o Jogador #{player_display(player)} (tacada de #{state.current_break})."
+
+    cond do
+      Enum.any?(stay_off, &(&1[:name] == :black)) ->
+        end_frame(state, message, switch_player_atom(player))
+
+      state.ball_on == :red ->
+        advance(state, :colour, message)
+
+      true ->
+        advance(state, next_ball_on(state), message)
+    end
+  end
+
+  # Cada vermelha vale 1; na vez de uma colorida, só o valor dela conta, uma vez.
+  defp points(%{ball_on: :red}, potted), do: length(potted)
+  defp points(state, _potted), do: on_value(state)
+
+  defp on_value(%{ball_on: :red}), do: 1
+  defp on_value(%{ball_on: :colour, first_contact: %{type: :colour, number: value}}), do: value
+  defp on_value(%{ball_on: :colour}), do: 0
+  defp on_value(%{ball_on: colour}), do: Map.fetch!(@values, colour)
+
+  defp next_ball_on(state) do
+    reds_left = @reds - Enum.count(state.potted_balls, &(&1.type == :red))
+    potted_colours = for %{type: :colour, name: name} <- state.potted_balls, do: name
+
+    if reds_left > 0, do: :red, else: Enum.find(@colours, &(&1 not in potted_colours))
+  end
+
+  defp advance(state, ball_on, message) do
+    %{
+      state
+      | ball_on: ball_on,
+        game_phase: if(ball_on in [:red, :colour], do: :reds, else: :colours),
+        status_message: "#{message} #{turn_message(state.current_turn, ball_on)}"
+    }
+  end
+
+  defp end_frame(%{scores: %{player1: same, player2: same}} = state, message, next_player) do
+    {blacks, potted_balls} = Enum.split_with(state.potted_balls, &(&1[:name] == :black))
+
+    %{
+      state
+      | ball_on: :black,
+        game_phase: :colours,
+        current_turn: next_player,
+        current_break: 0,
+        potted_balls: potted_balls,
+        respot: state.respot ++ blacks,
+        status_message:
+          "#{message} Empate em #{same}! A preta volta ao ponto. " <>
+            turn_message(next_player, :black)
+    }
+  end
+
+  defp end_frame(%{scores: %{player1: score1, player2: score2}} = state, message, _next_player) do
+    winner = if score1 > score2, do: :player1, else: :player2
+
+    %{
+      state
+      | winner: winner,
+        game_phase: :game_over,
+        ball_on: nil,
+        ball_in_hand: nil,
+        respot: [],
+        status_message:
+          "#{message} Jogador #{player_display(winner)} venceu o frame por " <>
+            "#{max(score1, score2)} a #{min(score1, score2)}!"
+    }
+  end
+
+  defp turn_message(player, ball_on),
+    do: "Jogador #{player_display(player)} joga na #{@ball_labels[ball_on]}."
+
+  defp switch_player_atom(:player1), do: :player2
+  defp switch_player_atom(:player2), do: :player1
+  defp player_display(:player1), do: "1"
+  defp player_display(:player2), do: "2"
+end
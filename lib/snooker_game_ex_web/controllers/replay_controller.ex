@@ -0,0 +1,27 @@
+defmodule SnookerGameExWeb.ReplayController do
+  use SnookerGameExWeb, :controller
+
+  alias SnookerGameEx.Engine.GameSupervisor, as: Game
+
+  # Baixa o arquivo de replay da partida em andamento (ver `SnookerGameEx.Core.Replay`),
+  # que pode ser aberto depois em `/replay`.
+  def show(conn, %{"game_id" => game_id}) do
+    case Game.get_replay(game_id) do
+      {:ok, replay} ->
+        conn
+        |> put_resp_header("content-disposition", ~s(attachment; filename="#{filename(game_id)}"))
+        |> json(replay)
+
+      {:error, :game_not_found} ->
+        conn
+        |> put_status(:not_found)
+        |> json(%{error: "game_not_found"})
+    end
+  end
+
+  defp filename(game_id) do
+    safe_id = String.replace(game_id, ~r/[^\w-]/u, "_")
+    timestamp = DateTime.utc_now() |> DateTime.truncate(:second) |> DateTime.to_unix()
+    "replay-#{safe_id}-#{timestamp}.json"
+  end
+end
@@ -3,10 +3,14 @@ defmodule SnookerGameExWeb.GameChannel do
 
   # CORREÇÃO: Aponta para a implementação do Port, não para o behaviour.
   alias SnookerGameEx.Engine.GameSupervisor, as: Game
+  alias SnookerGameEx.Core.GameRules
+  alias SnookerGameExWeb.GameSnapshot
 
   # CORREÇÃO: Adicionada a função join/3 obrigatória.
+  # A resposta traz o estado completo da sala (`initial_state`), como o LiveView
+  # envia ao montar; o cliente o recebe de novo a cada reconexão.
   @impl true
-  def join("game:" <> game_id, _payload, socket) do
+  def join("game:" <> game_id, payload, socket) do
     # Inicia o jogo se necessário
     Game.start_game(game_id)
 
@@ -14,19 +18,78 @@ defmodule SnookerGameExWeb.GameChannel do
     Phoenix.PubSub.subscribe(SnookerGameEx.PubSub, "particle_updates:#{game_id}")
     Phoenix.PubSub.subscribe(SnookerGameEx.PubSub, "game_events:#{game_id}")
 
-    {:ok, %{message: "Joined game #{game_id}"}, assign(socket, :game_id, game_id)}
+    # Ocupa uma cadeira livre ou entra como espectador
+    case Game.join_game(game_id, self(), Map.get(payload, "name", "Convidado")) do
+      {:ok, role} ->
+        reply = %{
+          message: "Joined game #{game_id}",
+          role: role,
+          initial_state: GameSnapshot.build(game_id, role)
+        }
+
+        {:ok, reply, assign(socket, game_id: game_id, role: role)}
+
+      {:error, reason} ->
+        {:error, %{reason: reason}}
+    end
+  end
+
+  # Ressincronização sob demanda: o cliente desconfia que perdeu frames.
+  @impl true
+  def handle_in("request_state", _payload, socket) do
+    %{game_id: game_id, role: role} = socket.assigns
+    {:reply, {:ok, %{initial_state: GameSnapshot.build(game_id, role)}}, socket}
+  end
+
+  @impl true
+  def handle_in("hold_ball", _payload, socket) do
+    case Game.hold_ball(socket.assigns.game_id, socket.assigns.role, 0) do
+      :ok -> {:reply, :ok, socket}
+      {:error, reason} -> {:reply, {:error, %{reason: reason}}, socket}
+    end
+  end
+
+  # Bola na mão: `pos` é `[x, y]` no espaço do mundo.
+  @impl true
+  def handle_in("place_cue_ball", %{"pos" => [x, y]}, socket)
+      when is_number(x) and is_number(y) do
+    case Game.place_cue_ball(socket.assigns.game_id, socket.assigns.role, [x, y]) do
+      :ok -> {:reply, :ok, socket}
+      {:error, reason} -> {:reply, {:error, %{reason: reason}}, socket}
+    end
   end
 
+  # Espectadores não podem dar tacadas.
   @impl true
-  def handle_in("player_hit", %{"force" => [fx, fy]}, socket) do
+  def handle_in("player_hit", _payload, %{assigns: %{role: :spectator}} = socket) do
+    {:reply, {:error, %{reason: "spectator"}}, socket}
+  end
+
+  @impl true
+  def handle_in("player_hit", %{"force" => [fx, fy]} = payload, socket)
+      when is_number(fx) and is_number(fy) do
     game_id = socket.assigns.game_id
     # Bola branca
     ball_id = 0
 
-    # Comunicação via Port (agora funciona)
-    Game.apply_force(game_id, ball_id, {fx, fy})
+    # Efeito opcional: ponto de contato do taco, `[lateral, vertical]`
+    spin =
+      case payload do
+        %{"spin" => [sx, sy]} when is_number(sx) and is_number(sy) -> {sx, sy}
+        _ -> {0.0, 0.0}
+      end
 
-    {:noreply, socket}
+    # Comunicação via Port; a vez é conferida pela `GameLogic`
+    case Game.apply_force(game_id, socket.assigns.role, ball_id, {fx, fy}, spin) do
+      :ok -> {:reply, :ok, socket}
+      {:error, reason} -> {:reply, {:error, %{reason: reason}}, socket}
+    end
+  end
+
+  # Comandos com o payload malformado são recusados, sem derrubar o canal.
+  @impl true
+  def handle_in(event, _payload, socket) when event in ["place_cue_ball", "player_hit"] do
+    {:reply, {:error, %{reason: :invalid_payload}}, socket}
   end
 
   # Encaminha os eventos do PubSub para o cliente do canal
@@ -36,9 +99,57 @@ defmodule SnookerGameExWeb.GameChannel do
     {:noreply, socket}
   end
 
+  @impl true
+  def handle_info({:frame, payload}, socket) do
+    push(socket, "frame", payload)
+    {:noreply, socket}
+  end
+
   @impl true
   def handle_info({:particle_removed, payload}, socket) do
     push(socket, "particle_removed", payload)
     {:noreply, socket}
   end
+
+  @impl true
+  def handle_info({:ball_pocketed, particle_id, ball_data}, socket) do
+    push(socket, "ball_pocketed", %{id: particle_id, ball: ball_data})
+    {:noreply, socket}
+  end
+
+  @impl true
+  def handle_info({:game_state_updated, rules_state}, socket) do
+    push(socket, "game_state", GameRules.to_payload(rules_state))
+    {:noreply, socket}
+  end
+
+  @impl true
+  def handle_info({:seats_updated, seats}, socket) do
+    push(socket, "seats", seats)
+    {:noreply, socket}
+  end
+
+  @impl true
+  def handle_info({:seat_assigned, role}, socket) do
+    push(socket, "role", %{role: role})
+    {:noreply, assign(socket, role: role)}
+  end
+
+  # A sala foi reiniciada: o cliente troca a mesa local pelo estado da sala nova.
+  @impl true
+  def handle_info({:game_restarted, role}, socket) do
+    snapshot = GameSnapshot.build(socket.assigns.game_id, role)
+    push(socket, "game_restarted", %{initial_state: snapshot})
+    {:noreply, assign(socket, role: role)}
+  end
+
+  @impl true
+  def handle_info(:all_balls_stopped, socket) do
+    push(socket, "shot_ended", %{})
+    {:noreply, socket}
+  end
+
+  # A primeira bola tocada só interessa às regras (`GameLogic`).
+  @impl true
+  def handle_info({:first_contact, _ball_data}, socket), do: {:noreply, socket}
 end
@@ -0,0 +1,62 @@
+defmodule SnookerGameExWeb.GameSnapshot do
+  @moduledoc """
+  Estado completo de uma sala, no formato enviado a um cliente que entra (ou se
+  ressincroniza): geometria da mesa, bolas, configurações, regras e lugares.
+
+  As atualizações seguintes chegam incrementalmente pelo PubSub. É compartilhado
+  pelo `SnookerGameLive` e pelo `GameChannel`.
+  """
+
+  alias SnookerGameEx.Core.{GameRules, TableSpec}
+  alias SnookerGameEx.Engine.GameSupervisor, as: Game
+  alias SnookerGameEx.Notifiers.PubSubNotifier
+
+  @doc "Monta o estado da sala `game_id` visto por um participante com o papel `role`."
+  @spec build(String.t(), atom()) :: map()
+  def build(game_id, role) do
+    %{
+      table_spec: TableSpec.to_payload(table_spec(game_id)),
+      particles: particles(game_id),
+      settings: settings(game_id),
+      game_state: game_state(game_id),
+      seats: seats(game_id),
+      role: role
+    }
+  end
+
+  # A mesa depende do jogo escolhido na criação da sala.
+  defp table_spec(game_id) do
+    case Game.get_settings(game_id) do
+      {:ok, settings} -> TableSpec.for_game(settings.game)
+      {:error, _reason} -> TableSpec.default()
+    end
+  end
+
+  defp particles(game_id) do
+    case Game.get_particles(game_id) do
+      {:ok, particles} -> Enum.map(particles, &PubSubNotifier.particle_payload/1)
+      {:error, _reason} -> []
+    end
+  end
+
+  defp settings(game_id) do
+    case Game.get_settings(game_id) do
+      {:ok, settings} -> Map.from_struct(settings)
+      {:error, _reason} -> nil
+    end
+  end
+
+  defp game_state(game_id) do
+    case Game.get_game_state(game_id) do
+      {:ok, rules_state} -> GameRules.to_payload(rules_state)
+      {:error, _reason} -> nil
+    end
+  end
+
+  defp seats(game_id) do
+    case Game.get_seats(game_id) do
+      {:ok, seats} -> seats
+      {:error, _reason} -> nil
+    end
+  end
+end
@@ -0,0 +1,52 @@
+defmodule SnookerGameExWeb.ReplayViewerLive do
+  use SnookerGameExWeb, :live_view
+
+  # Reprodutor de arquivos de replay (ver `SnookerGameEx.Core.Replay`). O arquivo é
+  # lido e reproduzido inteiramente pelo `ReplayViewerHook` no navegador, com o
+  # mesmo renderer da mesa ao vivo; nenhuma instância de jogo é iniciada.
+  @impl true
+  def mount(_params, _session, socket), do: {:ok, socket}
+
+  @impl true
+  def render(assigns) do
+    ~H"""
+    <div
+      id="replay-viewer"
+      class="game-container"
+      phx-hook="ReplayViewerHook"
+      data-render-worker={~p"/assets/canvas/renderWorker.js"}
+    >
+      <div class="game-header" phx-update="ignore" id="replay-viewer-header">
+        <h2>Elixir Pool — Replay</h2>
+        <div class="game-info">
+          <input id="replay-file" type="file" accept=".json,application/json" />
+          <span id="replay-status">Escolha um arquivo de replay.</span>
+        </div>
+      </div>
+      <div id="simulation-wrapper">
+        <div id="canvas-wrapper">
+          <canvas id="physics-canvas" width="1000" height="500" />
+        </div>
+        <div class="camera-controls">
+          <button id="rotate-btn" title="Rotacionar Tela">🔄</button>
+          <button id="zoom-in-btn" title="Zoom In">+</button>
+          <button id="zoom-out-btn" title="Zoom Out">-</button>
+          <button id="reset-view-btn" title="Resetar Visão">🗘</button>
+        </div>
+        <div id="replay-controls" phx-update="ignore">
+          <div id="replay-panel" hidden>
+            <button id="replay-play-btn" title="Reproduzir/Pausar">⏸</button>
+            <input id="replay-scrubber" type="range" min="0" max="0" value="0" step="1" />
+            <select id="replay-speed" title="Velocidade">
+              <option value="0.25">0.25×</option>
+              <option value="0.5">0.5×</option>
+              <option value="1" selected>1×</option>
+              <option value="2">2×</option>
+            </select>
+          </div>
+        </div>
+      </div>
+    </div>
+    """
+  end
+end
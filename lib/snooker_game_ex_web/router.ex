@@ -20,12 +20,14 @@ defmodule SnookerGameExWeb.Router do
     # get "/", PageController, :home
     # live "/", SnookerGameLive
     live "/room/:game_id", SnookerGameLive, :show
+    live "/replay", ReplayViewerLive, :show
   end
 
-  # Other scopes may use custom stacks.
-  # scope "/api", SnookerGameExWeb do
-  #   pipe_through :api
-  # end
+  scope "/", SnookerGameExWeb do
+    pipe_through :api
+
+    get "/room/:game_id/replay.json", ReplayController, :show
+  end
 
   # Enable LiveDashboard and Swoosh mailbox preview in development
   if Application.compile_env(:snooker_game_ex, :dev_routes) do
@@ -1,11 +1,34 @@
 defmodule SnookerGameExWeb.SnookerGameLive do
   use SnookerGameExWeb, :live_view
 
+  alias SnookerGameEx.Core.{GameRules, RoomSettings, Seats}
   alias SnookerGameEx.Engine.GameSupervisor, as: Game
+  alias SnookerGameExWeb.GameSnapshot
+
+  # Fator aplicado à força que o cliente envia em `apply_force`. Vai no
+  # `initial_state` para o computador (aiPlayer.js) planejar na mesma escala.
+  @force_scale 15
+
+  @colour_labels %{
+    yellow: "Amarela",
+    green: "Verde",
+    brown: "Marrom",
+    blue: "Azul",
+    pink: "Rosa",
+    black: "Preta"
+  }
 
   @impl true
-  def mount(%{"game_id" => game_id}, _session, socket) do
-    Game.start_game(game_id)
+  def mount(%{"game_id" => game_id} = params, _session, socket) do
+    # As opções só têm efeito para quem cria a sala (ex: /room/final?mode=competitive,
+    # /room/treino?opponent=computer&level=hard para jogar contra o computador, ou
+    # /room/clube?game=snooker para jogar sinuca em vez de bola 8).
+    opts = [
+      game: parse_game(params["game"]),
+      mode: parse_mode(params["mode"]),
+      opponent: parse_opponent(params["opponent"]),
+      ai_level: parse_ai_level(params["level"])
+    ]
 
     if connected?(socket) do
       Phoenix.PubSub.subscribe(SnookerGameEx.PubSub, "particle_updates:#{game_id}")
@@ -13,13 +36,51 @@ defmodule SnookerGameExWeb.SnookerGameLive do
     end
 
     socket =
-      assign(socket,
-        score: 0,
-        message: "Bem-vindo à sala #{game_id}!",
-        game_id: game_id
-      )
+      case enter_room(socket, game_id, opts, parse_name(params["name"])) do
+        {:ok, settings, role, seats} ->
+          assign(socket,
+            message: "Bem-vindo à sala #{game_id}!",
+            settings: settings,
+            role: role,
+            seats: seats
+          )
+
+        # Sem sala, a página abre vazia, só com o aviso.
+        {:error, reason} ->
+          assign(socket,
+            message: shot_error_message(reason),
+            settings: RoomSettings.new(opts),
+            role: :spectator,
+            seats: Seats.to_payload(Seats.new())
+          )
+      end
+
+    {:ok, assign(socket, game_id: game_id)}
+  end
 
-    {:ok, socket}
+  # A sala pode sumir entre a criação e a entrada (ex: no meio de um reinício ou
+  # se a instância caiu); nesse caso ela é criada de novo antes de desistir.
+  defp enter_room(socket, game_id, opts, name, attempts \\ 2) do
+    Game.start_game(game_id, opts)
+
+    with {:ok, settings} <- Game.get_settings(game_id),
+         {:ok, role} <- take_seat(socket, game_id, name),
+         {:ok, seats} <- Game.get_seats(game_id) do
+      {:ok, settings, role, seats}
+    else
+      {:error, :game_not_found} when attempts > 1 ->
+        enter_room(socket, game_id, opts, name, attempts - 1)
+
+      {:error, reason} ->
+        {:error, reason}
+    end
+  end
+
+  # Só a conexão definitiva ocupa um lugar; a renderização estática assiste.
+  defp take_seat(socket, game_id, name) do
+    if connected?(socket),
+      do: Game.join_game(game_id, self(), name),
+      else: {:ok, :spectator}
   end
 
   @impl true
@@ -27,67 +88,392 @@ defmodule SnookerGameExWeb.SnookerGameLive do
     {:noreply, push_event(socket, "particle_moved", payload)}
   end
 
+  @impl true
+  def handle_info({:frame, payload}, socket) do
+    {:noreply, push_event(socket, "frame", payload)}
+  end
+
   @impl true
   def handle_info({:particle_removed, payload}, socket) do
     {:noreply, push_event(socket, "particle_removed", payload)}
   end
 
   @impl true
-  def handle_info({:ball_pocketed, _id, ball_data}, socket) do
+  def handle_info({:ball_pocketed, id, ball_data}, socket) do
     message =
-      case ball_data.type do
-        :cue -> "FALTA! Bola branca na caçapa!"
+      case ball_data do
+        %{type: :cue} -> "FALTA! Bola branca na caçapa!"
+        %{type: :red} -> "Vermelha encaçapada!"
+        %{type: :colour, name: name} -> "#{Map.fetch!(@colour_labels, name)} encaçapada!"
         _ -> "Bola #{ball_data.number} encaçapada!"
       end
 
-    score =
-      case ball_data.type do
-        :cue -> socket.assigns.score - 2
-        _ -> socket.assigns.score + 1
-      end
+    # O hook toca o som da bola caindo na caçapa.
+    {:noreply,
+     socket
+     |> assign(message: message)
+     |> push_event("ball_pocketed", %{id: id, ball: ball_data})}
+  end
+
+  # O placar (vez, naipes, bolas encaçapadas) é desenhado pelo hook a partir do
+  # estado das regras, reenviado ao fim de cada tacada.
+  @impl true
+  def handle_info({:game_state_updated, rules_state}, socket) do
+    {:noreply,
+     socket
+     |> assign(message: rules_state.status_message)
+     |> push_event("game_state", GameRules.to_payload(rules_state))}
+  end
+
+  @impl true
+  def handle_info({:seats_updated, seats}, socket) do
+    {:noreply, assign(socket, seats: seats)}
+  end
+
+  # Uma cadeira vagou e este espectador passou a jogar.
+  @impl true
+  def handle_info({:seat_assigned, role}, socket) do
+    {:noreply,
+     socket
+     |> assign(role: role, message: "Uma cadeira vagou: agora você joga!")
+     |> push_event("role", %{role: role})}
+  end
+
+  # A sala foi reconstruída (ver `reset_game`): o hook recebe a mesa do zero e o
+  # papel, que a `SeatManager` preservou.
+  @impl true
+  def handle_info({:game_restarted, role}, socket) do
+    {:noreply,
+     socket
+     |> assign(role: role, message: "Jogo Reiniciado!")
+     |> push_event("role", %{role: role})
+     |> push_snapshot()}
+  end
+
+  # Fecha a gravação da tacada no cliente, que a guarda para o replay.
+  @impl true
+  def handle_info(:all_balls_stopped, socket) do
+    {:noreply, push_event(socket, "shot_ended", %{})}
+  end
+
+  # A primeira bola tocada só interessa às regras (`GameLogic`).
+  @impl true
+  def handle_info({:first_contact, _ball_data}, socket), do: {:noreply, socket}
+
+  # O hook pede o estado completo da mesa ao montar: primeiro a geometria
+  # (`table_spec`), depois as bolas. As atualizações seguintes chegam
+  # incrementalmente pelo PubSub.
+  @impl true
+  def handle_event("request_initial_state", _params, socket) do
+    {:noreply, push_snapshot(socket)}
+  end
 
-    {:noreply, assign(socket, score: score, message: message)}
+  # Espectadores não interferem na mesa: o cliente esconde o taco, mas a
+  # recusa vale aqui, no servidor.
+  @impl true
+  def handle_event(event, _params, %{assigns: %{role: :spectator}} = socket)
+      when event in [
+             "hold_ball",
+             "apply_force",
+             "place_cue_ball",
+             "computer_strike",
+             "computer_place_cue_ball"
+           ] do
+    {:noreply, assign(socket, message: "Espectadores não podem dar tacadas.")}
+  end
+
+  @impl true
+  def handle_event("reset_game", _params, %{assigns: %{role: :spectator}} = socket) do
+    {:noreply, assign(socket, message: "Só os jogadores podem reiniciar o jogo.")}
   end
 
   # CORREÇÃO: A cláusula agora aceita o `id` diretamente, sem o mapa.
   @impl true
   def handle_event("hold_ball", id, socket) do
-    Game.hold_ball(socket.assigns.game_id, id)
-    {:noreply, socket}
+    %{game_id: game_id, role: role} = socket.assigns
+
+    case Game.hold_ball(game_id, role, id) do
+      :ok -> {:noreply, socket}
+      {:error, reason} -> {:noreply, reject_shot(socket, reason)}
+    end
+  end
+
+  # A vez é conferida no servidor: o cliente só desabilita o taco.
+  @impl true
+  def handle_event("apply_force", params, socket) do
+    {:noreply, strike(socket, socket.assigns.role, params, "Jogando...")}
+  end
+
+  # Bola na mão: o jogador arrastou a branca e confirmou a posição.
+  @impl true
+  def handle_event("place_cue_ball", params, socket) do
+    {:noreply, place_cue_ball(socket, socket.assigns.role, params)}
   end
 
+  # As jogadas do computador são calculadas no navegador do Jogador 1 e passam
+  # pela mesma API, em nome da cadeira do computador.
   @impl true
-  def handle_event("apply_force", %{"x" => x, "y" => y}, socket) do
-    Game.apply_force(socket.assigns.game_id, 0, {x * 15, y * 15})
-    {:noreply, assign(socket, message: "Jogando...")}
+  def handle_event("computer_" <> action, params, socket)
+      when action in ["strike", "place_cue_ball"] do
+    %{role: role, settings: settings} = socket.assigns
+    seat = RoomSettings.computer_seat()
+
+    cond do
+      settings.opponent != :computer or role == seat ->
+        {:noreply, assign(socket, message: "Esta sala não tem computador.")}
+
+      action == "strike" ->
+        {:noreply, strike(socket, seat, params, "Computador jogando...")}
+
+      true ->
+        {:noreply, place_cue_ball(socket, seat, params)}
+    end
   end
 
+  # Cada conexão da sala recebe `{:game_restarted, role}` quando a sala nova sobe.
   @impl true
-  def handle_event("reset_game", _, socket) do
-    Game.restart_game(socket.assigns.game_id)
-    {:noreply, assign(socket, score: 0, message: "Jogo Reiniciado!")}
+  def handle_event("reset_game", _params, socket) do
+    case Game.restart_game(socket.assigns.game_id) do
+      :ok -> {:noreply, socket}
+      {:error, reason} -> {:noreply, assign(socket, message: shot_error_message(reason))}
+    end
+  end
+
+  # Também reenviado quando a sala é reiniciada.
+  defp push_snapshot(socket) do
+    snapshot = GameSnapshot.build(socket.assigns.game_id, socket.assigns.role)
+
+    socket =
+      socket
+      |> push_event("table_spec", snapshot.table_spec)
+      |> push_event("initial_state", initial_state(snapshot))
+
+    case snapshot.game_state do
+      nil -> socket
+      game_state -> push_event(socket, "game_state", game_state)
+    end
+  end
+
+  defp initial_state(snapshot) do
+    snapshot
+    |> Map.take([:particles, :settings, :role])
+    |> Map.put(:force_scale, @force_scale)
+  end
+
+  defp strike(socket, player, %{"x" => x, "y" => y} = params, message)
+       when is_number(x) and is_number(y) do
+    force = {x * @force_scale, y * @force_scale}
+
+    case Game.apply_force(socket.assigns.game_id, player, 0, force, parse_spin(params["spin"])) do
+      :ok -> assign(socket, message: message)
+      {:error, reason} -> reject_shot(socket, reason)
+    end
+  end
+
+  # O payload vem do cliente: um malformado é recusado, sem derrubar o LiveView.
+  defp strike(socket, _player, _params, _message), do: reject_shot(socket, :invalid_payload)
+
+  defp place_cue_ball(socket, player, %{"x" => x, "y" => y}) when is_number(x) and is_number(y) do
+    case Game.place_cue_ball(socket.assigns.game_id, player, [x, y]) do
+      :ok -> socket
+      {:error, reason} -> reject_placement(socket, reason)
+    end
+  end
+
+  defp place_cue_ball(socket, _player, _params), do: reject_placement(socket, :invalid_payload)
+
+  defp reject_shot(socket, reason) do
+    socket
+    |> assign(message: shot_error_message(reason))
+    |> push_event("shot_rejected", %{reason: reason})
   end
 
+  defp reject_placement(socket, reason) do
+    socket
+    |> assign(message: shot_error_message(reason))
+    |> push_event("placement_rejected", %{reason: reason})
+  end
+
+  defp shot_error_message(:not_your_turn), do: "Não é a sua vez."
+  defp shot_error_message(:balls_moving), do: "Aguarde as bolas pararem."
+  defp shot_error_message(:game_over), do: "A partida terminou."
+  defp shot_error_message(:weak_strike), do: "Tacada fraca demais."
+  defp shot_error_message(:game_not_found), do: "Sala não encontrada."
+  defp shot_error_message(:ball_in_hand), do: "Posicione a bola branca primeiro."
+  defp shot_error_message(:cue_ball_on_table), do: "A bola branca já está na mesa."
+  defp shot_error_message(:out_of_bounds), do: "A bola branca precisa ficar dentro da mesa."
+  defp shot_error_message(:outside_kitchen), do: "Após falta na quebra, jogue atrás da linha."
+  defp shot_error_message(:outside_d), do: "A bola branca precisa ficar dentro do D."
+  defp shot_error_message(:in_pocket), do: "A bola branca não pode ficar na caçapa."
+  defp shot_error_message(:overlapping), do: "A bola branca não pode encostar em outra bola."
+  defp shot_error_message(:invalid_payload), do: "Jogada inválida."
+
+  defp parse_spin(%{"x" => x, "y" => y}) when is_number(x) and is_number(y), do: {x, y}
+  defp parse_spin(_spin), do: {0.0, 0.0}
+
+  defp parse_name(name) when is_binary(name) do
+    case name |> String.trim() |> String.slice(0, 20) do
+      "" -> "Convidado"
+      trimmed -> trimmed
+    end
+  end
+
+  defp parse_name(_name), do: "Convidado"
+
+  defp role_label(:player1), do: "Você é o Jogador 1"
+  defp role_label(:player2), do: "Você é o Jogador 2"
+  defp role_label(:spectator), do: "Você está assistindo"
+
+  defp game_title(:snooker), do: "Elixir Snooker"
+  defp game_title(_game), do: "Elixir Pool"
+
+  defp parse_game("snooker"), do: :snooker
+  defp parse_game(_game), do: :eight_ball
+
+  defp parse_mode("competitive"), do: :competitive
+  defp parse_mode(_mode), do: :training
+
+  defp parse_opponent("computer"), do: :computer
+  defp parse_opponent(_opponent), do: :human
+
+  defp parse_ai_level(level) when level in ~w(easy medium hard),
+    do: String.to_existing_atom(level)
+
+  defp parse_ai_level(_level), do: :medium
+
   @impl true
   def render(assigns) do
     ~H"""
-    <div class="game-container">
+    <div class={["game-container", @role == :spectator && "spectating"]}>
       <div class="game-header">
-        <h2>Elixir Pool</h2>
+        <h2>{game_title(@settings.game)}</h2>
         <div class="game-info">
-          <span>Score: {@score}</span>
           <span>{@message}</span>
         </div>
       </div>
-      <div id="simulation-wrapper" phx-hook="CanvasHook">
+      <div class="seats-bar">
+        <span :for={{seat, label} <- [player1: "Jogador 1", player2: "Jogador 2"]}>
+          {label}: {@seats.seats[seat] || "vago"}
+        </span>
+        <span title="Espectadores">👁 {@seats.spectators}</span>
+        <span class="role-badge">{role_label(@role)}</span>
+      </div>
+      <div
+        id="simulation-wrapper"
+        phx-hook="CanvasHook"
+        data-render-worker={~p"/assets/canvas/renderWorker.js"}
+      >
         <div id="canvas-wrapper">
           <canvas id="physics-canvas" width="1000" height="500" />
         </div>
+        <div id="sound-controls" phx-update="ignore">
+          <button id="mute-btn" title="Ligar/desligar o som">🔊</button>
+          <input id="volume-slider" type="range" min="0" max="1" step="0.05" title="Volume" />
+          <button id="theme-btn" title="Aparência da mesa, das bolas e do taco">🎨</button>
+        </div>
+        <div id="theme-panel" phx-update="ignore" hidden>
+          <label>Tema <select id="theme-preset" /></label>
+          <label>Mesa <select id="theme-table" /></label>
+          <label>Bolas <select id="theme-balls" /></label>
+          <label>Taco <select id="theme-cue" /></label>
+        </div>
         <div class="camera-controls">
           <button id="rotate-btn" title="Rotacionar Tela">🔄</button>
           <button id="zoom-in-btn" title="Zoom In">+</button>
           <button id="zoom-out-btn" title="Zoom Out">-</button>
           <button id="reset-view-btn" title="Resetar Visão">🗘</button>
+          <button id="camera-mode-btn" phx-update="ignore" title="Modo da câmera (tecla C)">
+            ✋
+          </button>
+        </div>
+        <div id="power-bar-container">
+          <div id="power-bar" />
+        </div>
+        <div
+          id="aim-readout"
+          phx-update="ignore"
+          title="Mira pelo teclado: Q/E giram o taco (Shift: ajuste fino), R/F mudam a força, Espaço tacar, Esc cancela"
+        />
+        <div id="shot-controls" phx-update="ignore">
+          <select id="shot-mode" title="Como tacar com o mouse ou o toque" />
+          <input
+            id="power-slider"
+            type="range"
+            min="0.01"
+            max="1"
+            step="0.01"
+            title="Força da tacada"
+          />
+          <button id="strike-btn" title="Tacar (Espaço)">Tacar</button>
+        </div>
+        <div
+          id="touch-power-strip"
+          phx-update="ignore"
+          title="Puxe para baixo para dar força; solte para tacar"
+        >
+          <div id="touch-power-fill" />
+        </div>
+        <div
+          id="spin-selector"
+          phx-update="ignore"
+          title="Efeito: clique no ponto de contato do taco"
+        >
+          <div id="spin-dot" />
+        </div>
+        <div id="replay-controls" phx-update="ignore">
+          <button id="replay-open-btn" title="Rever as últimas tacadas" disabled>
+            ⏪ Replay
+          </button>
+          <select id="replay-count" title="Quantas tacadas rever">
+            <option value="1">Última tacada</option>
+            <option value="3">Últimas 3</option>
+            <option value="5">Últimas 5</option>
+          </select>
+          <div id="replay-panel" hidden>
+            <button id="replay-play-btn" title="Reproduzir/Pausar">⏸</button>
+            <input id="replay-scrubber" type="range" min="0" max="0" value="0" step="1" />
+            <select id="replay-speed" title="Velocidade">
+              <option value="0.25">0.25×</option>
+              <option value="0.5">0.5×</option>
+              <option value="1" selected>1×</option>
+              <option value="2">2×</option>
+            </select>
+            <button id="replay-close-btn" title="Voltar ao jogo ao vivo">Ao vivo</button>
+          </div>
+        </div>
+        <div id="gamepad-hint" phx-update="ignore" hidden>
+          <button id="gamepad-hint-close" title="Fechar (Select/Back no controle)">✕</button>
+          <h3>🎮 Controle</h3>
+          <dl>
+            <dt>Alavanca esquerda</dt>
+            <dd>Mover a câmera</dd>
+            <dt>LT / RT</dt>
+            <dd>Zoom (mirando, RT define a força)</dd>
+            <dt>Alavanca direita</dt>
+            <dd>Puxar o taco: direção e força</dd>
+            <dt>LB / RB · ◀ ▶</dt>
+            <dd>Girar o taco (1° / 0,1°)</dd>
+            <dt>▲ ▼</dt>
+            <dd>Força ±1%</dd>
+            <dt>A (soltar)</dt>
+            <dd>Tacar</dd>
+            <dt>B</dt>
+            <dd>Cancelar a mira</dd>
+            <dt>Y / Start</dt>
+            <dd>Girar a mesa / recentralizar</dd>
+            <dt>X</dt>
+            <dd>Modo da câmera</dd>
+            <dt>Select / Back</dt>
+            <dd>Mostrar ou esconder esta ajuda</dd>
+          </dl>
+          <label>
+            Zona morta das alavancas
+            <input id="gamepad-stick-deadzone" type="range" min="0" max="0.5" step="0.01" />
+          </label>
+          <label>
+            Zona morta dos gatilhos
+            <input id="gamepad-trigger-deadzone" type="range" min="0" max="0.5" step="0.01" />
+          </label>
         </div>
         <div id="d-pad-controls">
           <button id="d-pad-up">▲</button>
@@ -98,6 +484,7 @@ defmodule SnookerGameExWeb.SnookerGameLive do
       </div>
       <div class="game-controls">
         <button phx-click="reset_game">Reset Game</button>
+        <a href={~p"/room/#{@game_id}/replay.json"} download>Baixar replay</a>
       </div>
     </div>
     """
@@ -0,0 +1,16 @@
+defmodule SnookerGameExWeb.UserSocket do
+  @moduledoc """
+  ADAPTER: Socket para clientes fora do LiveView (bots, quiosques, outros
+  front-ends), montado em `/socket`. Ver `assets/js/sdk/snookerClient.js`.
+  """
+  use Phoenix.Socket
+
+  channel "game:*", SnookerGameExWeb.GameChannel
+
+  # Não há autenticação: o papel de cada conexão é decidido ao entrar na sala.
+  @impl true
+  def connect(_params, socket, _connect_info), do: {:ok, socket}
+
+  @impl true
+  def id(_socket), do: nil
+end
@@ -0,0 +1,52 @@
+# test/snooker_game_ex/core/cue_placement_test.exs
+
+defmodule SnookerGameEx.Core.CuePlacementTest do
+  use ExUnit.Case, async: true
+
+  alias SnookerGameEx.Core.{CuePlacement, TableSpec}
+
+  # Área de jogo de 30 a 970 × 30 a 470; linha de cabeceira em x = 265; raio 15.
+  @table TableSpec.default()
+
+  defp ball(id, pos), do: %{id: id, pos: pos}
+
+  test "aceita qualquer ponto livre da mesa" do
+    assert CuePlacement.validate(@table, :table, [700.0, 250.0], [ball(1, [500.0, 250.0])]) == :ok
+  end
+
+  test "recusa posições fora das tabelas ou sobre uma caçapa" do
+    assert CuePlacement.validate(@table, :table, [40.0, 250.0], []) == {:error, :out_of_bounds}
+    assert CuePlacement.validate(@table, :table, [500.0, 46.0], []) == {:error, :in_pocket}
+    assert CuePlacement.validate(@table, :table, :nowhere, []) == {:error, :out_of_bounds}
+  end
+
+  test "depois de falta na quebra, só atrás da linha de cabeceira" do
+    assert CuePlacement.validate(@table, :kitchen, [200.0, 250.0], []) == :ok
+    assert CuePlacement.validate(@table, :kitchen, [300.0, 250.0], []) ==
+             {:error, :outside_kitchen}
+  end
+
+  test "na sinuca, só dentro do D" do
+    snooker = TableSpec.snooker()
+    [%{center: [baulk_x, center_y], radius: d_radius}] = snooker.arcs
+
+    assert CuePlacement.validate(snooker, :d, [baulk_x - 20, center_y + 30], []) == :ok
+    # A própria linha de baulk faz parte do D.
+    assert CuePlacement.validate(snooker, :d, [baulk_x, center_y - 40], []) == :ok
+
+    assert CuePlacement.validate(snooker, :d, [baulk_x + 5, center_y], []) ==
+             {:error, :outside_d}
+
+    assert CuePlacement.validate(snooker, :d, [baulk_x - d_radius, center_y + d_radius], []) ==
+             {:error, :outside_d}
+  end
+
+  test "a branca não pode encostar em outra bola, mas ignora a si mesma" do
+    particles = [ball(0, [200.0, 250.0]), ball(5, [220.0, 250.0])]
+
+    assert CuePlacement.validate(@table, :table, [200.0, 250.0], particles) ==
+             {:error, :overlapping}
+
+    assert CuePlacement.validate(@table, :table, [200.0, 200.0], particles) == :ok
+  end
+end
@@ -0,0 +1,33 @@
+# test/snooker_game_ex/core/frame_test.exs
+
+defmodule SnookerGameEx.Core.FrameTest do
+  use ExUnit.Case, async: true
+
+  alias SnookerGameEx.Core.{Frame, GameState}
+
+  defp particle(id, pos, vel) do
+    %GameState{id: id, pos: pos, vel: vel, radius: 15.0, mass: 1.0, color: %{}}
+  end
+
+  test "encode_row/1 gera uma linha compacta com floats arredondados" do
+    row = Frame.encode_row(particle(3, [100.123, 50], [0.006, -2.5]))
+    assert row == [3, 100.12, 50.0, 0.01, -2.5, 0.0, 0.0]
+  end
+
+  test "diff/2 envia apenas as partículas que mudaram" do
+    a = particle(1, [10.0, 10.0], [0.0, 0.0])
+    b = particle(2, [20.0, 20.0], [5.0, 0.0])
+
+    {changed, sent} = Frame.diff([a, b], %{})
+    assert length(changed) == 2
+
+    moved_b = %{b | pos: [20.08, 20.0]}
+    assert {[[2 | _]], _sent} = Frame.diff([a, moved_b], sent)
+  end
+
+  test "diff/2 esquece partículas removidas" do
+    a = particle(1, [10.0, 10.0], [0.0, 0.0])
+    {_changed, sent} = Frame.diff([a], %{})
+    assert {[], %{}} == Frame.diff([], sent)
+  end
+end
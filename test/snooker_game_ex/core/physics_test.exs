@@ -0,0 +1,48 @@
+# test/snooker_game_ex/core/physics_test.exs
+
+defmodule SnookerGameEx.Core.PhysicsTest do
+  use ExUnit.Case, async: true
+
+  alias SnookerGameEx.Core.{GameState, Physics}
+
+  @bounds %{x: 0.0, y: 0.0, w: 100.0, h: 100.0}
+
+  defp ball(opts) do
+    struct!(
+      %GameState{id: 0, pos: [50.0, 50.0], vel: [0.0, 0.0], radius: 5.0, mass: 1.0, color: %{}},
+      opts
+    )
+  end
+
+  test "apply_follow_draw/2 empurra a bola adiante com follow" do
+    after_contact = ball(vel: [0.0, 0.0], english: [0.0, 1.0])
+    result = Physics.apply_follow_draw(after_contact, [100.0, 0.0])
+    %GameState{vel: [vx, vy], english: english} = result
+    assert vx > 0.0
+    assert vy == 0.0
+    assert english == [0.0, 0.0]
+  end
+
+  test "apply_follow_draw/2 puxa a bola de volta com draw" do
+    after_contact = ball(vel: [0.0, 0.0], english: [0.0, -1.0])
+    %GameState{vel: [vx, _vy]} = Physics.apply_follow_draw(after_contact, [100.0, 0.0])
+    assert vx < 0.0
+  end
+
+  test "apply_cushion_english/2 desvia o rebote na tabela com efeito lateral" do
+    incoming = ball(pos: [96.0, 50.0], vel: [100.0, 0.0], english: [1.0, 0.0])
+    rebound = Physics.handle_wall_collision(incoming, @bounds)
+    result = Physics.apply_cushion_english(incoming, rebound)
+    %GameState{vel: [vx, vy], english: [side, _]} = result
+
+    assert vx < 0.0
+    # Efeito à direita: desvio para a direita da direção de chegada (+y no canvas).
+    assert vy > 0.0
+    assert side < 1.0
+  end
+
+  test "apply_cushion_english/2 não altera a bola sem contato com a tabela" do
+    incoming = ball(vel: [10.0, 0.0], english: [1.0, 0.0])
+    assert Physics.apply_cushion_english(incoming, incoming) == incoming
+  end
+end
@@ -0,0 +1,70 @@
+# test/snooker_game_ex/core/replay_test.exs
+
+defmodule SnookerGameEx.Core.ReplayTest do
+  use ExUnit.Case, async: true
+
+  alias SnookerGameEx.Core.{GameRules, Replay, TableSpec}
+
+  @ball %{
+    id: 0,
+    pos: [200.0, 250.0],
+    vel: [0.0, 0.0],
+    radius: 15.0,
+    color: %{number: 0, type: :cue, base_color: "white"},
+    spin_angle: 0.0,
+    roll_distance: 0.0,
+    tick: 3,
+    sim_time: 48
+  }
+
+  defp new_replay do
+    Replay.new("sala", TableSpec.default(), [@ball], %GameRules{},
+      frame_interval_ms: 16,
+      recorded_at: ~U[2025-01-01 12:00:00Z]
+    )
+  end
+
+  test "to_export/1 gera um arquivo versionado com mesa e bolas" do
+    export = Replay.to_export(new_replay())
+
+    assert export.format == Replay.format()
+    assert export.version == Replay.version()
+    assert export.recorded_at == "2025-01-01T12:00:00Z"
+    assert export.table == TableSpec.to_payload(TableSpec.default())
+    assert [%{id: 0, color: %{type: :cue}} = ball] = export.roster
+    refute Map.has_key?(ball, :tick)
+    assert export.rules.current_turn == :player1
+  end
+
+  test "frames e eventos saem em ordem, carimbados com o tick do último frame" do
+    export =
+      new_replay()
+      |> Replay.add_frame(%{tick: 4, particles: [[0, 210.0, 250.0, 5.0, 0.0, 0.0, 1.0]]})
+      |> Replay.add_event("particle_removed", %{id: 0})
+      |> Replay.add_frame(%{tick: 5, sim_time: 80, particles: []})
+      |> Replay.add_event("shot_ended")
+      |> Replay.to_export()
+
+    assert Enum.map(export.frames, & &1.tick) == [4, 5]
+    assert [%{tick: 4, type: "particle_removed", id: 0}, %{tick: 5, type: "shot_ended"}] =
+             export.events
+  end
+
+  test "add_particle/2 nunca volta o tick atrás" do
+    replay =
+      new_replay()
+      |> Replay.add_frame(%{tick: 9, particles: []})
+      |> Replay.add_particle(%{@ball | tick: 2, vel: [3.0, 0.0]})
+
+    assert [%{tick: 9, sim_time: 144, particles: [[0, 200.0, 250.0, 3.0, 0.0, 0.0, 0.0]]} | _] =
+             replay.frames
+  end
+
+  test "add_rules/2 destaca faltas e trocas de vez" do
+    foul = %GameRules{current_turn: :player2, foul: true, status_message: "Falta!"}
+    export = new_replay() |> Replay.add_rules(foul) |> Replay.to_export()
+
+    assert ["rules", "foul", "turn_changed"] = Enum.map(export.events, & &1.type)
+    assert %{type: "turn_changed", from: :player1, to: :player2} = List.last(export.events)
+  end
+end
@@ -0,0 +1,28 @@
+# test/snooker_game_ex/core/respot_test.exs
+
+defmodule SnookerGameEx.Core.RespotTest do
+  use ExUnit.Case, async: true
+
+  alias SnookerGameEx.Core.{Respot, TableSpec}
+
+  # Bolas de raio 10; ponto da rosa em [735, 250].
+  @table TableSpec.snooker()
+
+  defp ball_at(colour), do: %{pos: TableSpec.colour_spot(@table, colour)}
+
+  test "a colorida volta ao seu ponto quando ele está livre" do
+    assert Respot.position(@table, :blue, [%{pos: [300.0, 100.0]}]) ==
+             TableSpec.colour_spot(@table, :blue)
+  end
+
+  test "com o próprio ponto ocupado, vai ao ponto livre de maior valor" do
+    assert Respot.position(@table, :green, [ball_at(:green), ball_at(:black)]) ==
+             TableSpec.colour_spot(@table, :pink)
+  end
+
+  test "com todos os pontos ocupados, fica o mais perto possível do seu, rumo ao topo" do
+    occupied = Enum.map([:yellow, :green, :brown, :blue, :pink, :black], &ball_at/1)
+
+    assert Respot.position(@table, :pink, occupied) == [755.0, 250.0]
+  end
+end
@@ -0,0 +1,62 @@
+# test/snooker_game_ex/core/seats_test.exs
+
+defmodule SnookerGameEx.Core.SeatsTest do
+  use ExUnit.Case, async: true
+
+  alias SnookerGameEx.Core.Seats
+
+  defp join_all(names) do
+    Enum.reduce(names, Seats.new(), fn name, seats ->
+      {_role, seats} = Seats.join(seats, name, to_string(name))
+      seats
+    end)
+  end
+
+  test "join/3 ocupa as cadeiras em ordem e manda o resto para a plateia" do
+    {role1, seats} = Seats.join(Seats.new(), :a, "Ana")
+    {role2, seats} = Seats.join(seats, :b, "Bia")
+    {role3, seats} = Seats.join(seats, :c, "Caio")
+
+    assert [role1, role2, role3] == [:player1, :player2, :spectator]
+    assert Seats.to_payload(seats) == %{seats: %{player1: "Ana", player2: "Bia"}, spectators: 1}
+  end
+
+  test "join/3 mantém o papel de quem já está na sala" do
+    seats = join_all([:a, :b, :c])
+    assert {:spectator, ^seats} = Seats.join(seats, :c, "c")
+    assert {:player2, ^seats} = Seats.join(seats, :b, "b")
+  end
+
+  test "reserve/4 guarda a cadeira, que não é passada à plateia" do
+    seats = Seats.reserve(Seats.new(), :player2, :computer, "Computador")
+    {role1, seats} = Seats.join(seats, :a, "Ana")
+    {role2, seats} = Seats.join(seats, :b, "Bia")
+
+    assert [role1, role2] == [:player1, :spectator]
+    assert Seats.role_of(seats, :computer) == :player2
+
+    {nil, seats} = Seats.leave(seats, :computer)
+    assert {{:b, :player1}, _seats} = Seats.leave(seats, :a)
+  end
+
+  test "leave/2 passa a cadeira vaga para o espectador mais antigo" do
+    seats = join_all([:a, :b, :c, :d])
+
+    assert {{:c, :player1}, seats} = Seats.leave(seats, :a)
+    assert Seats.role_of(seats, :c) == :player1
+    assert Seats.role_of(seats, :a) == nil
+    assert Seats.to_payload(seats).spectators == 1
+  end
+
+  test "leave/2 de um espectador só diminui a plateia" do
+    seats = join_all([:a, :b, :c])
+
+    assert {nil, seats} = Seats.leave(seats, :c)
+    assert Seats.to_payload(seats) == %{seats: %{player1: "a", player2: "b"}, spectators: 0}
+  end
+
+  test "members/1 lista as cadeiras e depois a plateia, em ordem de chegada" do
+    seats = join_all([:a, :b, :c, :d])
+    assert Seats.members(seats) == [a: :player1, b: :player2, c: :spectator, d: :spectator]
+  end
+end
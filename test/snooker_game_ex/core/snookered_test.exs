@@ -0,0 +1,32 @@
+# test/snooker_game_ex/core/snookered_test.exs
+
+defmodule SnookerGameEx.Core.SnookeredTest do
+  use ExUnit.Case, async: true
+
+  alias SnookerGameEx.Core.{Snookered, TableSpec}
+
+  # Bolas de raio 10: a branca passa livre a 20 ou mais do centro de outra bola.
+  @table TableSpec.snooker()
+  @cue %{id: 0, pos: [300.0, 250.0]}
+  @red %{id: 1, pos: [600.0, 250.0]}
+
+  test "com as duas bordas do alvo à vista, não há sinuca" do
+    refute Snookered.snookered?(@table, @cue, [@red], [@cue, @red])
+  end
+
+  test "uma bola no caminho de uma das bordas já basta" do
+    blocker = %{id: 2, pos: [450.0, 275.0]}
+
+    assert Snookered.snookered?(@table, @cue, [@red], [@cue, @red, blocker])
+  end
+
+  test "basta uma bola da vez inteiramente à vista" do
+    blocker = %{id: 2, pos: [450.0, 250.0]}
+    other_red = %{id: 3, pos: [300.0, 400.0]}
+
+    particles = [@cue, @red, other_red, blocker]
+
+    assert Snookered.snookered?(@table, @cue, [@red], particles)
+    refute Snookered.snookered?(@table, @cue, [@red, other_red], particles)
+  end
+end
@@ -0,0 +1,58 @@
+# test/snooker_game_ex/core/table_spec_test.exs
+
+defmodule SnookerGameEx.Core.TableSpecTest do
+  use ExUnit.Case, async: true
+
+  alias SnookerGameEx.Core.TableSpec
+  alias SnookerGameEx.Engine.CollisionEngine
+
+  test "default/0 descreve a mesa usada pelo CollisionEngine" do
+    spec = TableSpec.default()
+
+    assert spec.world_bounds == CollisionEngine.world_bounds()
+    assert spec.ball_radius == CollisionEngine.particle_radius()
+    assert spec.friction == CollisionEngine.friction_coefficient()
+    assert length(spec.pockets) == 6
+    assert Enum.all?(spec.pockets, &(&1.radius == CollisionEngine.pocket_radius()))
+  end
+
+  test "build/1 posiciona caçapas, pontos e a linha de cabeceira a partir das medidas" do
+    spec =
+      TableSpec.build(
+        width: 800.0,
+        height: 400.0,
+        cushion_width: 20.0,
+        pocket_radius: 18.0,
+        ball_radius: 10.0
+      )
+
+    assert spec.world_bounds == %{x: 20.0, y: 20.0, w: 760.0, h: 360.0}
+    assert %{pos: [400.0, 20.0], kind: :middle} = Enum.find(spec.pockets, &(&1.kind == :middle))
+    assert %{pos: [210.0, 200.0]} = Enum.find(spec.spots, &(&1.name == :head_spot))
+    assert %{from: [210.0, 20.0], to: [210.0, 380.0]} = hd(spec.lines)
+  end
+
+  test "snooker/0 traz a linha de baulk, o D e os pontos das coloridas" do
+    spec = TableSpec.snooker()
+
+    assert spec.world_bounds == TableSpec.default().world_bounds
+    assert [%{name: :baulk_line, from: [baulk_x, 30.0]}] = spec.lines
+    assert [%{name: :d, center: [^baulk_x, 250.0], radius: d_radius}] = spec.arcs
+    assert_in_delta baulk_x, 30 + 940 * 737 / 3569, 1.0e-9
+    assert_in_delta d_radius, 940 * 292 / 3569, 1.0e-9
+
+    assert TableSpec.colour_spot(spec, :brown) == [baulk_x, 250.0]
+    assert TableSpec.colour_spot(spec, :yellow) == [baulk_x, 250.0 + d_radius]
+    assert TableSpec.colour_spot(spec, :green) == [baulk_x, 250.0 - d_radius]
+    assert TableSpec.colour_spot(spec, :blue) == [500.0, 250.0]
+    assert TableSpec.colour_spot(spec, :pink) == [735.0, 250.0]
+    assert [black_x, 250.0] = TableSpec.colour_spot(spec, :black)
+    assert_in_delta black_x, 970 - 940 * 324 / 3569, 1.0e-9
+  end
+
+  test "for_game/1 escolhe a mesa do jogo da sala" do
+    assert TableSpec.for_game(:snooker) == TableSpec.snooker()
+    assert TableSpec.for_game(:eight_ball) == TableSpec.default()
+    assert TableSpec.colour_spot(TableSpec.default(), :black) == nil
+  end
+end
@@ -3,13 +3,15 @@
 defmodule SnookerGameEx.Engine.GameSupervisorTest do
   use ExUnit.Case, async: true
 
+  alias SnookerGameEx.Core.RoomSettings
   alias SnookerGameEx.Engine.GameSupervisor
   alias SnookerGameEx.Engine.CollisionEngine
+  alias SnookerGameEx.Engine.ParticleSupervisor
 
   setup do
     game_id = "game_sup_test_#{inspect(self())}"
     # Garante que o jogo não está rodando antes do teste
-    GameSupervisor.restart_game(game_id)
+    GameSupervisor.stop_game(game_id)
     :timer.sleep(50)
 
     %{game_id: game_id}
@@ -25,24 +27,149 @@ defmodule SnookerGameEx.Engine.GameSupervisorTest do
     assert {:ok, :already_started} = GameSupervisor.start_game(game_id)
   end
 
-  test "apply_force/3 envia um cast para o CollisionEngine correto", %{game_id: game_id} do
+  test "start_game/2 registra as configurações da sala", %{game_id: game_id} do
+    assert {:ok, _pid} = GameSupervisor.start_game(game_id, mode: :competitive)
+
+    assert {:ok, %RoomSettings{mode: :competitive, aim_guide: false}} =
+             GameSupervisor.get_settings(game_id)
+
+    # As opções só valem na criação da sala.
+    assert {:ok, :already_started} = GameSupervisor.start_game(game_id, mode: :training)
+    assert {:ok, %RoomSettings{mode: :competitive}} = GameSupervisor.get_settings(game_id)
+  end
+
+  test "start_game/2 com game: :snooker arma a sinuca", %{game_id: game_id} do
+    assert {:ok, _pid} = GameSupervisor.start_game(game_id, game: :snooker)
+    assert {:ok, %RoomSettings{game: :snooker}} = GameSupervisor.get_settings(game_id)
+    assert {:ok, %{game: :snooker, ball_on: :red}} = GameSupervisor.get_game_state(game_id)
+
+    {:ok, particles} = GameSupervisor.get_particles(game_id)
+    assert length(particles) == 22
+    assert Enum.count(particles, &(&1.color.type == :red)) == 15
+    assert Enum.all?(particles, &(&1.radius == 10.0))
+  end
+
+  test "apply_force/4 envia um cast para o CollisionEngine correto", %{game_id: game_id} do
     {:ok, _pid} = GameSupervisor.start_game(game_id)
     [{engine_pid, _}] = Registry.lookup(SnookerGameEx.GameRegistry, {CollisionEngine, game_id})
 
     Process.flag(:trap_exit, true)
     ref = Process.monitor(engine_pid)
 
-    assert GameSupervisor.apply_force(game_id, 0, {100, 100}) == :ok
+    assert GameSupervisor.apply_force(game_id, :player1, 0, {100, 100}) == :ok
     refute_receive {:DOWN, ^ref, _, _, _}
   end
 
-  test "restart_game/1 termina a instância do jogo", %{game_id: game_id} do
+  test "apply_force/4 só aceita o jogador da vez, com a mesa parada", %{game_id: game_id} do
+    {:ok, _pid} = GameSupervisor.start_game(game_id)
+
+    assert GameSupervisor.apply_force(game_id, :player2, 0, {100, 0}) ==
+             {:error, :not_your_turn}
+
+    assert GameSupervisor.apply_force(game_id, :spectator, 0, {100, 0}) ==
+             {:error, :not_your_turn}
+
+    assert GameSupervisor.apply_force(game_id, :player1, 0, {0, 0}) == {:error, :weak_strike}
+    assert GameSupervisor.apply_force(game_id, :player1, 0, {100, 0}) == :ok
+
+    # Até as bolas pararem, nem o próprio jogador taca de novo.
+    assert GameSupervisor.apply_force(game_id, :player1, 0, {100, 0}) == {:error, :balls_moving}
+    assert GameSupervisor.hold_ball(game_id, :player1, 0) == {:error, :balls_moving}
+  end
+
+  test "join_game/3 senta dois jogadores e o resto assiste", %{game_id: game_id} do
+    {:ok, _pid} = GameSupervisor.start_game(game_id)
+    watchers = for _ <- 1..3, do: spawn(fn -> Process.sleep(:infinity) end)
+    [first, second, third] = watchers
+
+    assert {:ok, :player1} = GameSupervisor.join_game(game_id, first, "Ana")
+    assert {:ok, :player2} = GameSupervisor.join_game(game_id, second, "Bia")
+    assert {:ok, :spectator} = GameSupervisor.join_game(game_id, third, "Caio")
+
+    assert {:ok, %{seats: %{player1: "Ana", player2: "Bia"}, spectators: 1}} =
+             GameSupervisor.get_seats(game_id)
+
+    Enum.each(watchers, &Process.exit(&1, :kill))
+  end
+
+  test "contra o computador, a cadeira do Jogador 2 já vem ocupada", %{game_id: game_id} do
+    {:ok, _pid} = GameSupervisor.start_game(game_id, opponent: :computer, ai_level: :hard)
+    watchers = for _ <- 1..2, do: spawn(fn -> Process.sleep(:infinity) end)
+    [first, second] = watchers
+
+    assert {:ok, %RoomSettings{opponent: :computer, ai_level: :hard}} =
+             GameSupervisor.get_settings(game_id)
+
+    assert {:ok, :player1} = GameSupervisor.join_game(game_id, first, "Ana")
+    assert {:ok, :spectator} = GameSupervisor.join_game(game_id, second, "Bia")
+
+    assert {:ok, %{seats: %{player1: "Ana", player2: "Computador (difícil)"}}} =
+             GameSupervisor.get_seats(game_id)
+
+    Enum.each(watchers, &Process.exit(&1, :kill))
+  end
+
+  test "place_cue_ball/3 só vale com bola na mão", %{game_id: game_id} do
+    {:ok, _pid} = GameSupervisor.start_game(game_id)
+
+    assert GameSupervisor.place_cue_ball(game_id, :player1, [100.0, 250.0]) ==
+             {:error, :cue_ball_on_table}
+
+    assert GameSupervisor.place_cue_ball(game_id, :player2, [100.0, 250.0]) ==
+             {:error, :not_your_turn}
+  end
+
+  test "bola na mão: a branca encaçapada volta à mesa onde o jogador a coloca", %{
+    game_id: game_id
+  } do
+    {:ok, _pid} = GameSupervisor.start_game(game_id)
+    Phoenix.PubSub.subscribe(SnookerGameEx.PubSub, "particle_updates:#{game_id}")
+    Phoenix.PubSub.subscribe(SnookerGameEx.PubSub, "game_events:#{game_id}")
+
+    # Tacada direto para a caçapa do canto superior esquerdo, sem bolas no caminho.
+    {:ok, particles} = GameSupervisor.get_particles(game_id)
+    %{pos: [x, y]} = Enum.find(particles, &(&1.id == 0))
+    [px, py] = hd(CollisionEngine.pockets()).pos
+    distance = :math.sqrt((px - x) ** 2 + (py - y) ** 2)
+    force = {(px - x) / distance * 800, (py - y) / distance * 800}
+
+    assert GameSupervisor.apply_force(game_id, :player1, 0, force) == :ok
+    assert_receive {:ball_pocketed, 0, %{type: :cue}}, 5_000
+
+    # Falta na quebra: o Jogador 2 recoloca a branca atrás da linha de cabeceira.
+    assert_receive {:game_state_updated, %{ball_in_hand: :kitchen, current_turn: :player2}},
+                   5_000
+
+    cue_child = fn ->
+      ParticleSupervisor.via_tuple(game_id)
+      |> Supervisor.which_children()
+      |> List.keyfind({game_id, 0}, 0)
+    end
+
+    assert {_id, :undefined, :worker, _modules} = cue_child.()
+
+    assert GameSupervisor.place_cue_ball(game_id, :player2, [150.0, 250.0]) == :ok
+
+    # O filho encerrado é removido e recriado na posição escolhida, e anunciado.
+    assert {_id, pid, :worker, _modules} = cue_child.()
+    assert is_pid(pid)
+    assert_receive {:particle_moved, %{id: 0, pos: [150.0, 250.0]}}
+
+    {:ok, particles} = GameSupervisor.get_particles(game_id)
+    assert %{pos: [150.0, 250.0]} = Enum.find(particles, &(&1.id == 0))
+
+    assert_receive {:game_state_updated, %{ball_in_hand: nil, current_turn: :player2}}
+    assert {:ok, %{ball_in_hand: nil}} = GameSupervisor.get_game_state(game_id)
+    assert GameSupervisor.apply_force(game_id, :player2, 0, {100, 0}) == :ok
+  end
+
+  test "stop_game/1 termina a instância do jogo", %{game_id: game_id} do
     {:ok, instance_sup_pid} = GameSupervisor.start_game(game_id)
 
     # CORREÇÃO: Monitora o processo e espera ativamente por sua terminação.
     ref = Process.monitor(instance_sup_pid)
 
-    assert GameSupervisor.restart_game(game_id) == :ok
+    assert GameSupervisor.stop_game(game_id) == :ok
 
     # Espera pela mensagem :DOWN, confirmando que o processo morreu.
     assert_receive {:DOWN, ^ref, :process, _, _}
@@ -51,8 +178,44 @@ defmodule SnookerGameEx.Engine.GameSupervisorTest do
     assert [] == Registry.lookup(SnookerGameEx.GameRegistry, game_id)
   end
 
+  test "restart_game/1 reconstrói a sala com as mesmas configurações e lugares",
+       %{game_id: game_id} do
+    {:ok, instance_sup_pid} = GameSupervisor.start_game(game_id, game: :snooker)
+    watcher = spawn(fn -> Process.sleep(:infinity) end)
+    assert {:ok, :player1} = GameSupervisor.join_game(game_id, self(), "Ana")
+    assert {:ok, :player2} = GameSupervisor.join_game(game_id, watcher, "Bia")
+    assert GameSupervisor.apply_force(game_id, :player1, 0, {100, 0}) == :ok
+
+    ref = Process.monitor(instance_sup_pid)
+    assert GameSupervisor.restart_game(game_id) == :ok
+    assert_receive {:DOWN, ^ref, :process, _, _}
+
+    assert [{new_pid, %RoomSettings{game: :snooker}}] =
+             Registry.lookup(SnookerGameEx.GameRegistry, game_id)
+
+    assert new_pid != instance_sup_pid
+    assert_receive {:game_restarted, :player1}
+
+    assert {:ok, %{seats: %{player1: "Ana", player2: "Bia"}}} =
+             GameSupervisor.get_seats(game_id)
+
+    # A vez volta ao Jogador 1, com a mesa parada.
+    assert {:ok, %{current_turn: :player1, ball_on: :red}} =
+             GameSupervisor.get_game_state(game_id)
+
+    assert GameSupervisor.apply_force(game_id, :player1, 0, {100, 0}) == :ok
+
+    Process.exit(watcher, :kill)
+  end
+
   test "comandos retornam :game_not_found se o jogo não existe", %{game_id: game_id} do
-    assert GameSupervisor.apply_force(game_id, 0, {0, 0}) == {:error, :game_not_found}
-    assert GameSupervisor.hold_ball(game_id, 0) == {:error, :game_not_found}
+    assert GameSupervisor.apply_force(game_id, :player1, 0, {0, 0}) == {:error, :game_not_found}
+    assert GameSupervisor.hold_ball(game_id, :player1, 0) == {:error, :game_not_found}
+    assert GameSupervisor.get_settings(game_id) == {:error, :game_not_found}
+    assert GameSupervisor.join_game(game_id, self(), "Ana") == {:error, :game_not_found}
+    assert GameSupervisor.restart_game(game_id) == {:error, :game_not_found}
+
+    assert GameSupervisor.place_cue_ball(game_id, :player1, [100.0, 100.0]) ==
+             {:error, :game_not_found}
   end
 end
@@ -47,10 +47,18 @@ defmodule SnookerGameEx.Engine.ParticleTest do
     with_particle([vel: [100.0, 0.0]], fn context ->
       id = context.id
       assert Particle.move(context.game_id, id, 0.016) == :ok
-      assert_receive {:particle_update, %GameState{id: ^id, vel: [vx, _vy]} = particle}
+      assert [{^id, %GameState{vel: [vx, _vy]}}] = :ets.lookup(context.ets_table, id)
       assert vx < 100.0
-      assert [{^id, updated_particle}] = :ets.lookup(context.ets_table, id)
-      assert updated_particle == particle
+      # O movimento é publicado em lote pelo CollisionEngine, não pela partícula.
+      refute_received {:particle_update, _}
+    end)
+  end
+
+  test "move/4 carimba a partícula com o tick da simulação" do
+    with_particle([vel: [100.0, 0.0]], fn context ->
+      id = context.id
+      assert Particle.move(context.game_id, id, 0.016, 42) == :ok
+      assert [{^id, %GameState{tick: 42}}] = :ets.lookup(context.ets_table, id)
     end)
   end
 
@@ -70,6 +78,14 @@ defmodule SnookerGameEx.Engine.ParticleTest do
     end)
   end
 
+  test "apply_force/4 guarda o efeito da tacada limitado ao disco unitário" do
+    with_particle([], fn context ->
+      id = context.id
+      Particle.apply_force(context.game_id, id, {100.0, 0.0}, {0.0, 2.0})
+      assert_receive {:particle_update, %GameState{id: ^id, english: [+0.0, 1.0]}}
+    end)
+  end
+
   test "a partícula é removida quando encaçapada" do
     start_pos = [31.0, 31.0]
     velocity_towards_pocket = [-50.0, -50.0]
@@ -0,0 +1,106 @@
+# test/snooker_game_ex/rules/eight_ball_test.exs
+
+defmodule SnookerGameEx.Rules.EightBallTest do
+  use ExUnit.Case, async: true
+
+  alias SnookerGameEx.Core.GameRules
+  alias SnookerGameEx.Rules.EightBall
+
+  @cue %{number: nil, type: :cue, base_color: "white"}
+
+  defp ball(number) when number < 8, do: %{number: number, type: :solid, base_color: "#fff"}
+  defp ball(8), do: %{number: 8, type: :solid, base_color: "#212121"}
+  defp ball(number), do: %{number: number, type: :stripe, base_color: "#fff"}
+
+  defp pot(state, balls), do: Enum.reduce(balls, state, &EightBall.handle_ball_pocketed(&2, &1))
+
+  defp assigned_state do
+    %GameRules{
+      game_phase: :assigned_suits,
+      ball_assignments: %{player1: :solid, player2: :stripe}
+    }
+  end
+
+  test "bolas encaçapadas ficam no placar, mas a branca não" do
+    state = EightBall.init() |> pot([ball(3), @cue, ball(12)])
+
+    assert Enum.map(state.potted_balls, & &1.number) == [3, 12]
+    assert length(state.pocketed_in_turn) == 3
+  end
+
+  test "branca na caçapa marca falta e passa a vez" do
+    state = assigned_state() |> pot([@cue]) |> EightBall.handle_turn_end()
+
+    assert state.foul
+    assert state.current_turn == :player2
+    assert state.pocketed_in_turn == []
+    assert state.ball_in_hand == :table
+  end
+
+  test "branca na caçapa na quebra dá bola na mão atrás da linha de cabeceira" do
+    state = EightBall.init() |> pot([@cue]) |> EightBall.handle_turn_end()
+    assert state.ball_in_hand == :kitchen
+
+    state = EightBall.handle_cue_ball_placed(state)
+    assert state.ball_in_hand == nil
+    assert state.current_turn == :player2
+  end
+
+  test "uma quebra sem bolas encaçapadas abre a mesa" do
+    state = EightBall.init() |> EightBall.handle_turn_end()
+
+    assert state.game_phase == :open_table
+    assert state.current_turn == :player2
+  end
+
+  test "branca na caçapa depois de uma quebra vazia dá bola na mão na mesa toda" do
+    state =
+      EightBall.init()
+      |> EightBall.handle_turn_end()
+      |> pot([@cue])
+      |> EightBall.handle_turn_end()
+
+    assert state.foul
+    assert state.ball_in_hand == :table
+    assert state.current_turn == :player1
+  end
+
+  test "branca na caçapa na quebra também encerra a quebra" do
+    state = EightBall.init() |> pot([@cue]) |> EightBall.handle_turn_end()
+
+    assert state.ball_in_hand == :kitchen
+    assert state.game_phase == :open_table
+  end
+
+  test "a falta é limpa na tacada seguinte" do
+    state =
+      assigned_state()
+      |> pot([ball(9)])
+      |> EightBall.handle_turn_end()
+
+    assert state.foul
+
+    state = state |> pot([ball(10)]) |> EightBall.handle_turn_end()
+    refute state.foul
+    assert state.current_turn == :player2
+  end
+
+  test "encaçapar a 8 depois de limpar o naipe vence a partida" do
+    state =
+      assigned_state()
+      |> pot(Enum.map(1..7, &ball/1))
+      |> EightBall.handle_turn_end()
+      |> pot([ball(8)])
+      |> EightBall.handle_turn_end()
+
+    assert state.winner == :player1
+    refute state.foul
+  end
+
+  test "encaçapar a 8 antes da hora perde a partida com falta" do
+    state = assigned_state() |> pot([ball(1), ball(8)]) |> EightBall.handle_turn_end()
+
+    assert state.winner == :player2
+    assert state.foul
+  end
+end
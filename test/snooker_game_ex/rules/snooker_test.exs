@@ -0,0 +1,194 @@
+# test/snooker_game_ex/rules/snooker_test.exs
+
+defmodule SnookerGameEx.Rules.SnookerTest do
+  use ExUnit.Case, async: true
+
+  alias SnookerGameEx.Core.TableSpec
+  alias SnookerGameEx.Rules.Snooker
+
+  @cue %{number: 0, type: :cue, base_color: "white"}
+  @red %{number: 1, type: :red, name: :red, base_color: "#c62828"}
+  @values %{yellow: 2, green: 3, brown: 4, blue: 5, pink: 6, black: 7}
+
+  defp colour(name), do: %{number: @values[name], type: :colour, name: name, base_color: "#fff"}
+
+  # Uma tacada: a primeira bola tocada (ou `nil`) e as bolas que caíram.
+  defp shot(state, first_contact, potted) do
+    state = if first_contact, do: Snooker.handle_first_contact(state, first_contact), else: state
+
+    potted
+    |> Enum.reduce(state, &Snooker.handle_ball_pocketed(&2, &1))
+    |> Snooker.handle_turn_end()
+  end
+
+  # Fase final: sem vermelhas, com `potted` já fora da mesa.
+  defp clearance(ball_on, potted) do
+    %{
+      Snooker.init()
+      | game_phase: :colours,
+        ball_on: ball_on,
+        potted_balls: List.duplicate(@red, 15) ++ Enum.map(potted, &colour/1)
+    }
+  end
+
+  # Só a preta na mesa, com o placar dado.
+  defp final_black(player1, player2) do
+    %{
+      clearance(:black, [:yellow, :green, :brown, :blue, :pink])
+      | scores: %{player1: player1, player2: player2}
+    }
+  end
+
+  test "o frame começa na vermelha, com o placar zerado" do
+    state = Snooker.init()
+
+    assert state.game == :snooker
+    assert state.ball_on == :red
+    assert state.scores == %{player1: 0, player2: 0}
+  end
+
+  test "vermelhas valem 1 cada e o jogador segue numa colorida" do
+    state = Snooker.init() |> shot(@red, [@red, @red])
+
+    refute state.foul
+    assert state.current_turn == :player1
+    assert state.scores.player1 == 2
+    assert state.current_break == 2
+    assert state.ball_on == :colour
+    assert state.respot == []
+  end
+
+  test "a colorida depois da vermelha soma seu valor e volta ao ponto" do
+    state = Snooker.init() |> shot(@red, [@red]) |> shot(colour(:pink), [colour(:pink)])
+
+    assert state.scores.player1 == 7
+    assert state.current_break == 7
+    assert state.respot == [colour(:pink)]
+    assert state.ball_on == :red
+    assert length(state.potted_balls) == 1
+  end
+
+  test "a colorida nomeada é a primeira tocada; encaçapar outra é falta" do
+    state =
+      Snooker.init()
+      |> shot(@red, [@red])
+      |> shot(colour(:blue), [colour(:pink)])
+
+    assert state.foul
+    assert state.scores == %{player1: 1, player2: 6}
+    assert state.current_turn == :player2
+    assert state.current_break == 0
+    assert state.respot == [colour(:pink)]
+    assert state.ball_on == :red
+  end
+
+  test "a falta vale no mínimo 4, ou o valor da bola envolvida" do
+    assert (Snooker.init() |> shot(nil, [])).scores.player2 == 4
+    assert (Snooker.init() |> shot(colour(:black), [])).scores.player2 == 7
+    assert (Snooker.init() |> shot(@red, [@red, colour(:blue)])).scores.player2 == 5
+  end
+
+  test "branca na caçapa dá ao adversário bola na mão no D" do
+    state = Snooker.init() |> shot(@red, [@red, @cue])
+
+    assert state.foul
+    assert state.ball_in_hand == :d
+    assert state.current_turn == :player2
+    # A vermelha encaçapada na falta não volta à mesa.
+    assert state.potted_balls == [@red]
+
+    state = Snooker.handle_cue_ball_placed(state)
+    assert state.ball_in_hand == nil
+  end
+
+  test "sem bola encaçapada, a vez passa e a tacada zera" do
+    state = Snooker.init() |> shot(@red, [@red]) |> shot(colour(:green), [])
+
+    refute state.foul
+    assert state.current_turn == :player2
+    assert state.current_break == 0
+    assert state.ball_on == :red
+  end
+
+  test "sem vermelhas, as coloridas caem em ordem e ficam fora da mesa" do
+    state = clearance(:yellow, []) |> shot(colour(:yellow), [colour(:yellow)])
+
+    assert state.scores.player1 == 2
+    assert state.respot == []
+    assert state.ball_on == :green
+    assert state.game_phase == :colours
+
+    state = state |> shot(colour(:blue), [colour(:blue)])
+    assert state.foul
+    assert state.scores.player2 == 5
+    assert state.respot == [colour(:blue)]
+    assert state.ball_on == :green
+  end
+
+  test "a última preta encerra o frame" do
+    state = final_black(50, 40) |> shot(colour(:black), [colour(:black)])
+
+    assert state.winner == :player1
+    assert state.game_phase == :game_over
+    assert state.scores.player1 == 57
+  end
+
+  test "empate na última preta a recoloca para o adversário" do
+    state = final_black(33, 40) |> shot(colour(:black), [colour(:black)])
+
+    assert state.winner == nil
+    assert state.ball_on == :black
+    assert state.respot == [colour(:black)]
+    assert state.current_turn == :player2
+    refute Enum.any?(state.potted_balls, &(&1.name == :black))
+  end
+
+  test "falta com só a preta na mesa também encerra o frame" do
+    state = final_black(30, 28) |> shot(nil, [])
+
+    assert state.winner == :player2
+    assert state.scores.player2 == 35
+  end
+
+  describe "bola livre" do
+    # A preta esconde a única vermelha da branca.
+    @particles [
+      %{id: 0, pos: [300.0, 250.0], color: @cue},
+      %{id: 1, pos: [600.0, 250.0], color: @red},
+      %{id: 2, pos: [450.0, 250.0], color: %{number: 7, type: :colour, name: :black}}
+    ]
+
+    test "é concedida ao jogador snookado depois de uma falta" do
+      state =
+        Snooker.init()
+        |> shot(nil, [])
+        |> Snooker.handle_table_at_rest(TableSpec.snooker(), @particles)
+
+      assert state.free_ball
+      assert state.current_turn == :player2
+    end
+
+    test "não é concedida sem falta ou com a bola da vez à vista" do
+      table = TableSpec.snooker()
+      visible = List.delete_at(@particles, 2)
+
+      without_foul = Snooker.init() |> shot(@red, [])
+      after_foul = Snooker.init() |> shot(nil, [])
+
+      refute Snooker.handle_table_at_rest(without_foul, table, @particles).free_ball
+      refute Snooker.handle_table_at_rest(after_foul, table, visible).free_ball
+    end
+
+    test "a bola nomeada vale como a bola da vez e volta ao ponto" do
+      state =
+        %{Snooker.init() | free_ball: true, current_turn: :player2}
+        |> shot(colour(:blue), [colour(:blue)])
+
+      refute state.foul
+      assert state.scores.player2 == 1
+      assert state.respot == [colour(:blue)]
+      assert state.ball_on == :colour
+      refute state.free_ball
+    end
+  end
+end
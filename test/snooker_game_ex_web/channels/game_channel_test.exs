@@ -0,0 +1,67 @@
+# test/snooker_game_ex_web/channels/game_channel_test.exs
+defmodule SnookerGameExWeb.GameChannelTest do
+  use SnookerGameExWeb.ChannelCase
+
+  alias SnookerGameExWeb.UserSocket
+
+  setup do
+    game_id = "channel-#{System.unique_integer([:positive])}"
+    {:ok, socket} = connect(UserSocket, %{})
+    %{game_id: game_id, socket: socket}
+  end
+
+  test "join responde com o estado completo da sala", %{game_id: game_id, socket: socket} do
+    {:ok, reply, _socket} =
+      subscribe_and_join(socket, "game:#{game_id}", %{"name" => "Ana"})
+
+    assert reply.role == :player1
+    assert %{table_spec: table, particles: particles, seats: seats} = reply.initial_state
+    assert is_list(table.pockets)
+    assert Enum.any?(particles, &(&1.id == 0))
+    assert seats.seats.player1 == "Ana"
+  end
+
+  test "request_state devolve um novo estado para ressincronizar", %{
+    game_id: game_id,
+    socket: socket
+  } do
+    {:ok, _reply, socket} = subscribe_and_join(socket, "game:#{game_id}", %{})
+
+    ref = push(socket, "request_state", %{})
+    assert_reply ref, :ok, %{initial_state: %{role: :player1, particles: [_ | _]}}
+  end
+
+  test "reiniciar a sala reenvia o estado com o mesmo papel", %{
+    game_id: game_id,
+    socket: socket
+  } do
+    {:ok, _reply, _socket} = subscribe_and_join(socket, "game:#{game_id}", %{"name" => "Ana"})
+
+    assert SnookerGameEx.Engine.GameSupervisor.restart_game(game_id) == :ok
+    assert_push "game_restarted", %{initial_state: %{role: :player1, particles: [_ | _]}}
+  end
+
+  test "espectadores não podem segurar nem tacar a bola", %{game_id: game_id, socket: socket} do
+    {:ok, _, _} = subscribe_and_join(socket, "game:#{game_id}", %{"name" => "Ana"})
+    {:ok, _, _} = subscribe_and_join(socket, "game:#{game_id}", %{"name" => "Bia"})
+
+    {:ok, %{role: :spectator}, spectator} =
+      subscribe_and_join(socket, "game:#{game_id}", %{"name" => "Caio"})
+
+    ref = push(spectator, "hold_ball", %{})
+    assert_reply ref, :error, %{reason: :not_your_turn}
+
+    ref = push(spectator, "player_hit", %{"force" => [300, 0]})
+    assert_reply ref, :error, %{reason: "spectator"}
+  end
+
+  test "comandos com o payload malformado são recusados", %{game_id: game_id, socket: socket} do
+    {:ok, _reply, socket} = subscribe_and_join(socket, "game:#{game_id}", %{})
+
+    ref = push(socket, "player_hit", %{"force" => "forte"})
+    assert_reply ref, :error, %{reason: :invalid_payload}
+
+    ref = push(socket, "place_cue_ball", %{"pos" => ["a", 1]})
+    assert_reply ref, :error, %{reason: :invalid_payload}
+  end
+end
@@ -0,0 +1,28 @@
+defmodule SnookerGameExWeb.ReplayControllerTest do
+  use SnookerGameExWeb.ConnCase
+
+  alias SnookerGameEx.Core.Replay
+  alias SnookerGameEx.Engine.GameSupervisor
+
+  test "GET /room/:game_id/replay.json baixa o replay da partida", %{conn: conn} do
+    game_id = "replay_ctrl_test_#{System.unique_integer([:positive])}"
+    {:ok, _pid} = GameSupervisor.start_game(game_id)
+    on_exit(fn -> GameSupervisor.stop_game(game_id) end)
+
+    conn = get(conn, ~p"/room/#{game_id}/replay.json")
+    replay = json_response(conn, 200)
+
+    assert replay["format"] == Replay.format()
+    assert replay["version"] == Replay.version()
+    assert replay["game_id"] == game_id
+    assert length(replay["roster"]) == 16
+    assert %{"width" => _, "pockets" => [_ | _]} = replay["table"]
+    assert [disposition] = get_resp_header(conn, "content-disposition")
+    assert disposition =~ "attachment"
+  end
+
+  test "GET /room/:game_id/replay.json responde 404 para sala inexistente", %{conn: conn} do
+    conn = get(conn, ~p"/room/sala_que_nao_existe/replay.json")
+    assert json_response(conn, 404) == %{"error" => "game_not_found"}
+  end
+end
@@ -15,12 +15,42 @@ defmodule SnookerGameEx.Test.MockNotifier do
     :ok
   end
 
+  @impl SnookerGameEx.GameNotifier
+  def notify_frame(_game_id, frame) do
+    send(owner_pid(), {:frame, frame})
+    :ok
+  end
+
   @impl SnookerGameEx.GameNotifier
   def notify_particle_removed(_game_id, particle_id) do
     send(owner_pid(), {:particle_removed, particle_id})
     :ok
   end
 
+  @impl SnookerGameEx.GameNotifier
+  def notify_all_balls_stopped(_game_id) do
+    send(owner_pid(), :all_balls_stopped)
+    :ok
+  end
+
+  @impl SnookerGameEx.GameNotifier
+  def notify_first_contact(_game_id, ball_data) do
+    send(owner_pid(), {:first_contact, ball_data})
+    :ok
+  end
+
+  @impl SnookerGameEx.GameNotifier
+  def notify_seats_updated(_game_id, seats) do
+    send(owner_pid(), {:seats_updated, seats})
+    :ok
+  end
+
+  @impl SnookerGameEx.GameNotifier
+  def notify_game_state_update(_game_id, rules_state) do
+    send(owner_pid(), {:game_state_updated, rules_state})
+    :ok
+  end
+
   @impl SnookerGameEx.GameNotifier
   def notify_ball_pocketed(_game_id, particle_id, ball_data) do
     send(owner_pid(), {:ball_pocketed, particle_id, ball_data})